@@ -3,6 +3,7 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import apiRouter from './src/routes/api.js';
+import adminRouter from './src/routes/admin.js';
 import logger, {
   requestLogger,
   errorLogger,
@@ -17,7 +18,27 @@ const PORT = process.env.PORT || 3001;
 setupGracefulShutdown();
 
 // --- Middleware ---
-app.use(cors()); // Enable Cross-Origin Resource Sharing
+// Enable Cross-Origin Resource Sharing, for every origin unless
+// CORS_ORIGINS lists the allowed ones
+const corsOrigins = process.env.CORS_ORIGINS?.split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+app.use(
+  cors({
+    ...(corsOrigins?.length && { origin: corsOrigins }),
+    // Let browser clients read their remaining limits
+    exposedHeaders: [
+      'Retry-After',
+      'X-RateLimit-Limit',
+      'X-RateLimit-Remaining',
+      'X-RateLimit-Reset',
+      'X-Token-Budget-Limit',
+      'X-Token-Budget-Used',
+      'X-Token-Budget-Remaining',
+      'X-Token-Budget-Reset',
+    ],
+  }),
+);
 app.use(express.json()); // Allow the server to understand JSON in request bodies
 app.use(requestLogger); // Add request logging middleware
 app.use(express.static('public')); // Serve static files from public directory
@@ -42,6 +63,9 @@ app.get('/health', (_req, res) => {
 // Use our API routes, prefixed with /api
 app.use('/api', apiRouter);
 
+// Operator routes, guarded by ADMIN_API_TOKEN
+app.use('/admin', adminRouter);
+
 // --- Error Handling Middleware ---
 app.use(errorLogger);
 
@@ -0,0 +1,211 @@
+import 'dotenv/config';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createPool, envConnection } from './db.js';
+import { DEFAULT_DIALECT, getDialect } from './dialects.js';
+import logger from './logger.js';
+import { readSchemaFile } from './schemaFiles.js';
+import {
+  DEFAULT_SCHEMA,
+  ENV_SCHEMA_FILTERS,
+  createSchemaFilter,
+} from './schemaFilters.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Go up two levels to the project root, then into `config/`
+const configPath =
+  process.env.DATASOURCES_CONFIG ||
+  path.join(__dirname, '..', '..', 'config', 'datasources.json');
+
+const DEFAULT_DATASOURCE_NAME = 'default';
+
+// Replaces ${VAR} placeholders so credentials can stay in the environment
+const interpolateEnv = value => {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (_match, name) => {
+      if (process.env[name] === undefined) {
+        throw new Error(
+          `Environment variable ${name} referenced in ${configPath} is not set`,
+        );
+      }
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolateEnv);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => [key, interpolateEnv(child)]),
+    );
+  }
+  return value;
+};
+
+/**
+ * Builds a datasource from its config entry. Pools are created on first use
+ * so a misconfigured connection only fails when it is actually queried.
+ * A dialect without a connector needs a `schemaFile` describing its tables
+ * (see schemaFiles.js), which is checked here.
+ * @param {string} name
+ * @param {object} entry
+ * @param {string} baseDir - Directory relative `schemaFile` paths start from.
+ */
+const buildDatasource = (name, entry, baseDir) => {
+  const dialect = entry.dialect ? getDialect(entry.dialect) : DEFAULT_DIALECT;
+  const schemaFile = entry.schemaFile
+    ? path.resolve(baseDir, entry.schemaFile)
+    : null;
+  if (!dialect.connector && !schemaFile) {
+    throw new Error(
+      `Datasource "${name}" uses ${dialect.label}, which has no database connector, so its tables cannot be introspected. ` +
+        `Set "schemaFile" in ${configPath} (SCHEMA_FILE for the DB_* environment) to a JSON file describing them.`,
+    );
+  }
+  if (schemaFile) {
+    readSchemaFile(schemaFile);
+  }
+  let pool;
+
+  return {
+    name,
+    dialect,
+    // Tables are read from this file instead of the database catalog
+    schemaFile,
+    // Table allowlist; `null` means every table is visible
+    allowedTables: entry.tables ? new Set(entry.tables) : null,
+    // Schema include/exclude patterns and table/column denylists; options
+    // missing from the entry fall back to the SCHEMA_* / *_DENYLIST env vars
+    schemaFilter: createSchemaFilter({
+      includeSchemas: entry.schemas?.include,
+      excludeSchemas: entry.schemas?.exclude,
+      denyTables: entry.denyTables,
+      denyColumns: entry.denyColumns,
+    }),
+    // Column patterns whose queries the query-log sync leaves out; denied
+    // columns are always redacted, so logged queries cannot reveal them
+    redactColumns: [
+      ...(entry.redactColumns ?? ENV_SCHEMA_FILTERS.redactColumns),
+      ...(entry.denyColumns ?? ENV_SCHEMA_FILTERS.denyColumns),
+    ],
+    // Vectors of each datasource live in their own vector namespace. The
+    // default datasource keeps the default namespace for existing indexes.
+    vectorNamespace:
+      entry.vectorNamespace ?? (name === DEFAULT_DATASOURCE_NAME ? '' : name),
+    get pool() {
+      if (dialect.connector !== 'postgres') {
+        throw new Error(
+          `Datasource "${name}" uses ${dialect.label}, which has no database connector`,
+        );
+      }
+      pool ??= createPool(entry.connection);
+      return pool;
+    },
+  };
+};
+
+const loadRegistry = () => {
+  if (!existsSync(configPath)) {
+    logger.info('No datasource config found, using DB_* environment', {
+      configPath,
+      service: 'DATASOURCES',
+    });
+    return {
+      defaultName: DEFAULT_DATASOURCE_NAME,
+      datasources: new Map([
+        [
+          DEFAULT_DATASOURCE_NAME,
+          buildDatasource(
+            DEFAULT_DATASOURCE_NAME,
+            {
+              connection: envConnection,
+              schemaFile: process.env.SCHEMA_FILE,
+            },
+            process.cwd(),
+          ),
+        ],
+      ]),
+    };
+  }
+
+  const config = interpolateEnv(JSON.parse(readFileSync(configPath, 'utf-8')));
+  const entries = Object.entries(config.datasources || {});
+  if (entries.length === 0) {
+    throw new Error(`No datasources defined in ${configPath}`);
+  }
+
+  const datasources = new Map(
+    entries.map(([name, entry]) => [
+      name,
+      buildDatasource(name, entry, path.dirname(configPath)),
+    ]),
+  );
+  const defaultName = config.defaultDatasource || entries[0][0];
+  if (!datasources.has(defaultName)) {
+    throw new Error(
+      `Default datasource "${defaultName}" is not defined in ${configPath}`,
+    );
+  }
+
+  logger.info('Loaded datasource config', {
+    configPath,
+    datasources: [...datasources.keys()],
+    defaultDatasource: defaultName,
+    service: 'DATASOURCES',
+  });
+  return { defaultName, datasources };
+};
+
+const registry = loadRegistry();
+
+export const hasDatasource = name => registry.datasources.has(name);
+
+/**
+ * Returns a datasource by name, or the default datasource.
+ * @param {string} [name]
+ * @returns {{name: string, dialect: object, schemaFile: string|null, allowedTables: Set<string>|null, schemaFilter: object, vectorNamespace: string, pool: import('pg').Pool}}
+ */
+export const getDatasource = (name = registry.defaultName) => {
+  const datasource = registry.datasources.get(name);
+  if (!datasource) {
+    throw new Error(
+      `Unknown datasource "${name}". Expected one of: ${[...registry.datasources.keys()].join(', ')}`,
+    );
+  }
+  return datasource;
+};
+
+export const listDatasources = () => [...registry.datasources.values()];
+
+/**
+ * Checks a table against the datasource allowlist, its schema include and
+ * exclude patterns and its table denylist. Allowlist entries are either bare
+ * table names (any schema) or `schema.table`. Unqualified names are checked
+ * as if they were in the `public` schema.
+ */
+export const isTableAllowed = (datasource, tableName, schemaName = null) => {
+  const schema = schemaName ?? DEFAULT_SCHEMA;
+  return (
+    (!datasource.allowedTables ||
+      datasource.allowedTables.has(tableName) ||
+      datasource.allowedTables.has(`${schema}.${tableName}`)) &&
+    datasource.schemaFilter.includesSchema(schema) &&
+    !datasource.schemaFilter.isTableDenied(schema, tableName)
+  );
+};
+
+// Whether a column is hidden by the datasource column denylist
+export const isColumnAllowed = (
+  datasource,
+  tableName,
+  columnName,
+  schemaName = null,
+) =>
+  !datasource.schemaFilter.isColumnDenied(
+    schemaName ?? DEFAULT_SCHEMA,
+    tableName,
+    columnName,
+  );
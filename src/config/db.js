@@ -1,13 +1,15 @@
 import 'dotenv/config';
 import { Pool } from 'pg';
 
-// Creates a single, shared connection pool for the entire application.
-const dbPool = new Pool({
+// Connection settings for the default datasource when no datasource config
+// file is present.
+export const envConnection = {
   host: process.env.DB_HOST,
   port: process.env.DB_PORT,
   user: process.env.DB_USER,
   password: process.env.DB_PASSWORD,
   database: process.env.DB_NAME, // Changed from DB_DATABASE to match .env.example
-});
+};
 
-export default dbPool;
+// Creates a connection pool for one datasource.
+export const createPool = connection => new Pool(connection);
@@ -0,0 +1,106 @@
+import 'dotenv/config';
+
+/**
+ * Supported SQL dialects. Each dialect drives:
+ * - `promptRules`: dialect-specific instructions given to the model
+ * - `identifierQuote`: how identifiers are quoted in generated SQL
+ * - `parserDatabase`: the node-sql-parser grammar used by the safety validator
+ * - `connector`: which database connector can EXPLAIN and execute the SQL
+ *   (`null` means the SQL is only checked by the parser, and the tables come
+ *   from the datasource's `schemaFile`)
+ */
+export const DIALECTS = {
+  postgresql: {
+    id: 'postgresql',
+    label: 'PostgreSQL',
+    identifierQuote: '"',
+    parserDatabase: 'postgresql',
+    connector: 'postgres',
+    promptRules: [
+      'Use PostgreSQL syntax.',
+      'Use ILIKE for case-insensitive matching.',
+      "Use NOW() - INTERVAL '7 days' style date arithmetic and DATE_TRUNC for grouping by period.",
+    ],
+  },
+  trino: {
+    id: 'trino',
+    label: 'Presto/Trino',
+    identifierQuote: '"',
+    parserDatabase: 'trino',
+    connector: null,
+    promptRules: [
+      'Use Presto/Trino SQL syntax.',
+      'There is no ILIKE; use LOWER(column) LIKE LOWER(pattern).',
+      "Use date_add('day', -7, current_date) style date arithmetic and date_trunc for grouping by period.",
+    ],
+  },
+  mysql: {
+    id: 'mysql',
+    label: 'MySQL',
+    identifierQuote: '`',
+    parserDatabase: 'mysql',
+    connector: null,
+    promptRules: [
+      'Use MySQL 8 syntax.',
+      'FULL OUTER JOIN is not supported; combine LEFT and RIGHT joins with UNION instead.',
+      'Use DATE_SUB(NOW(), INTERVAL 7 DAY) style date arithmetic and DATE_FORMAT for grouping by period.',
+    ],
+  },
+  sqlite: {
+    id: 'sqlite',
+    label: 'SQLite',
+    identifierQuote: '"',
+    parserDatabase: 'sqlite',
+    connector: null,
+    promptRules: [
+      'Use SQLite syntax.',
+      "Dates are stored as text; use date('now', '-7 days') style date arithmetic and strftime for grouping by period.",
+      'RIGHT and FULL OUTER JOIN are not available in older SQLite versions; prefer LEFT JOIN.',
+    ],
+  },
+  bigquery: {
+    id: 'bigquery',
+    label: 'BigQuery',
+    identifierQuote: '`',
+    parserDatabase: 'bigquery',
+    connector: null,
+    promptRules: [
+      'Use BigQuery Standard SQL syntax.',
+      'Reference tables as `project.dataset.table` when a dataset is given.',
+      'Use DATE_SUB(CURRENT_DATE(), INTERVAL 7 DAY) style date arithmetic, DATE_TRUNC for grouping by period and SAFE_DIVIDE for ratios.',
+    ],
+  },
+};
+
+const DIALECT_ALIASES = {
+  postgres: 'postgresql',
+  pg: 'postgresql',
+  presto: 'trino',
+  prestosql: 'trino',
+};
+
+/**
+ * Looks up a dialect by name or alias (case-insensitive).
+ * @param {string} name - e.g. 'postgresql', 'presto', 'mysql'.
+ * @returns {object} The dialect definition.
+ */
+export const getDialect = name => {
+  const key = String(name).toLowerCase();
+  const dialect = DIALECTS[DIALECT_ALIASES[key] || key];
+  if (!dialect) {
+    throw new Error(
+      `Unknown SQL dialect "${name}". Expected one of: ${Object.keys(DIALECTS).join(', ')}`,
+    );
+  }
+  return dialect;
+};
+
+export const DEFAULT_DIALECT = getDialect(
+  process.env.SQL_DIALECT || 'postgresql',
+);
+
+// Numbered dialect rules for the generation prompts
+export const formatDialectRules = (dialect, startAt = 1) =>
+  dialect.promptRules
+    .map((rule, index) => `${startAt + index}. ${rule}`)
+    .join('\n');
@@ -0,0 +1,204 @@
+import 'dotenv/config';
+import { existsSync, readFileSync, statSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Go up two levels to the project root, then into `config/grammars/`
+const grammarsDir =
+  process.env.GRAMMARS_DIR ||
+  path.join(__dirname, '..', '..', 'config', 'grammars');
+
+const BASE_GRAMMAR = 'base';
+
+const AGGREGATES = new Set(['COUNT', 'SUM', 'AVG', 'MIN', 'MAX']);
+const DIRECTIONS = new Set(['ASC', 'DESC']);
+const OPERATORS = new Set(['>', '<', '>=', '<=']);
+// Units of the `{ start, minus }` bounds of time ranges; a period can only
+// start at a day or longer
+export const TIME_UNITS = new Set([
+  'hour',
+  'day',
+  'week',
+  'month',
+  'quarter',
+  'year',
+]);
+export const PERIOD_UNITS = new Set([
+  'day',
+  'week',
+  'month',
+  'quarter',
+  'year',
+]);
+
+// Lists a datasource grammar replaces as a whole rather than extends
+const REPLACED_LISTS = [
+  'intents',
+  'distinct',
+  'groupBy',
+  'comparisons',
+  'timeRanges',
+  'sorts',
+];
+
+const readGrammarFile = file =>
+  existsSync(file) ? JSON.parse(readFileSync(file, 'utf-8')) : {};
+
+const compilePatterns = (patterns, file) =>
+  (patterns || []).map(pattern => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(
+        `Invalid pattern "${pattern}" in ${file}: ${error.message}`,
+      );
+    }
+  });
+
+const checkOneOf = (allowed, value, what, file) => {
+  if (value !== undefined && !allowed.has(value)) {
+    throw new Error(
+      `Unknown ${what} "${value}" in ${file}. Expected one of: ${[...allowed].join(', ')}`,
+    );
+  }
+};
+
+// A bound is raw SQL, or `{ start, minus }` rendered for the datasource's
+// dialect; units given as {placeholders} are checked once they are filled
+const compileBound = (bound, file) => {
+  if (bound === undefined || bound === null || typeof bound === 'string') {
+    return bound ?? null;
+  }
+  const minus = typeof bound.minus === 'string' ? bound.minus.split(' ') : [];
+  if (
+    typeof bound !== 'object' ||
+    (bound.minus !== undefined && minus.length !== 2)
+  ) {
+    throw new Error(
+      `Invalid time range bound ${JSON.stringify(bound)} in ${file}. Expected SQL or { "start": "<unit>", "minus": "<count> <unit>" }`,
+    );
+  }
+  if (!bound.start?.includes('{')) {
+    checkOneOf(PERIOD_UNITS, bound.start, 'period', file);
+  }
+  if (!minus[1]?.includes('{')) {
+    checkOneOf(TIME_UNITS, minus[1], 'time unit', file);
+  }
+  return { start: bound.start ?? null, minus: bound.minus ?? null };
+};
+
+/**
+ * Merges a datasource grammar over the base grammar and compiles its
+ * patterns. Entities, vocabulary, number words and sampling settings are
+ * merged key by key; every list in REPLACED_LISTS is taken from the
+ * datasource grammar when it has one.
+ */
+const compileGrammar = (base, own, file) => {
+  const grammar = {
+    ...base,
+    ...Object.fromEntries(
+      REPLACED_LISTS.map(key => [key, own[key] ?? base[key]]),
+    ),
+    limit: own.limit ?? base.limit ?? 100,
+    numberWords: { ...base.numberWords, ...own.numberWords },
+    sampling: { ...base.sampling, ...own.sampling },
+    entities: { ...base.entities, ...own.entities },
+    vocabulary: { ...base.vocabulary, ...own.vocabulary },
+  };
+
+  return {
+    limit: grammar.limit,
+    numberWords: grammar.numberWords,
+    sampling: {
+      maxDistinct: grammar.sampling.maxDistinct ?? 50,
+      ttlMs: grammar.sampling.ttlMs ?? 600000,
+    },
+    intents: (grammar.intents || []).map(intent => {
+      const aggregate = intent.aggregate?.toUpperCase();
+      const order = intent.order?.toUpperCase();
+      checkOneOf(AGGREGATES, aggregate, 'aggregate', file);
+      checkOneOf(DIRECTIONS, order, 'order', file);
+      return {
+        name: intent.name,
+        patterns: compilePatterns(intent.patterns, file),
+        aggregate,
+        order,
+        limit: intent.limit,
+      };
+    }),
+    distinct: compilePatterns(grammar.distinct, file),
+    groupBy: compilePatterns(grammar.groupBy, file),
+    comparisons: (grammar.comparisons || []).map(comparison => {
+      checkOneOf(OPERATORS, comparison.operator, 'operator', file);
+      if (
+        comparison.value !== undefined &&
+        !Number.isFinite(comparison.value)
+      ) {
+        throw new Error(
+          `Comparison value ${JSON.stringify(comparison.value)} in ${file} is not a number`,
+        );
+      }
+      return {
+        patterns: compilePatterns(comparison.patterns, file),
+        operator: comparison.operator,
+        value: comparison.value ?? null,
+      };
+    }),
+    timeRanges: (grammar.timeRanges || []).map(range => ({
+      patterns: compilePatterns(range.patterns, file),
+      from: compileBound(range.from, file),
+      to: compileBound(range.to, file),
+    })),
+    sorts: (grammar.sorts || []).map(sort => {
+      const direction = sort.direction?.toUpperCase() ?? 'DESC';
+      checkOneOf(DIRECTIONS, direction, 'direction', file);
+      return {
+        patterns: compilePatterns(sort.patterns, file),
+        by: sort.by,
+        direction,
+      };
+    }),
+    entities: grammar.entities,
+    vocabulary: Object.fromEntries(
+      Object.entries(grammar.vocabulary).map(([word, names]) => [
+        word.toLowerCase(),
+        names.map(name => name.toLowerCase()),
+      ]),
+    ),
+  };
+};
+
+const fileVersion = file => (existsSync(file) ? statSync(file).mtimeMs : null);
+
+// datasource name -> { versions, grammar }; recompiled whenever one of its
+// files changes, so grammar edits apply without a restart
+const grammars = new Map();
+
+/**
+ * Returns the compiled intent grammar of a datasource: `base.json` from
+ * GRAMMARS_DIR (default `config/grammars/`) merged with `<datasource>.json`.
+ * Either file may be missing; entities not listed in the grammar are still
+ * derived from the schema by the rule-based generator.
+ * @param {{name: string}} datasource - From config/datasources.js.
+ * @returns {object}
+ */
+export const getGrammar = datasource => {
+  const baseFile = path.join(grammarsDir, `${BASE_GRAMMAR}.json`);
+  const ownFile = path.join(grammarsDir, `${datasource.name}.json`);
+  const versions = `${fileVersion(baseFile)}/${fileVersion(ownFile)}`;
+
+  const cached = grammars.get(datasource.name);
+  if (cached?.versions === versions) {
+    return cached.grammar;
+  }
+  const grammar = compileGrammar(
+    readGrammarFile(baseFile),
+    ownFile === baseFile ? {} : readGrammarFile(ownFile),
+    ownFile,
+  );
+  grammars.set(datasource.name, { versions, grammar });
+  return grammar;
+};
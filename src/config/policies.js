@@ -0,0 +1,63 @@
+import 'dotenv/config';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Go up two levels to the project root, then into `config/`
+const configPath =
+  process.env.POLICIES_CONFIG ||
+  path.join(__dirname, '..', '..', 'config', 'policies.json');
+
+// Claim of a JWT that names the caller's policy
+export const JWT_POLICY_CLAIM = process.env.JWT_POLICY_CLAIM || 'policy';
+
+/**
+ * Reads the access policy config. Without a config file access control is
+ * off and every caller sees every table the datasource exposes.
+ * @returns {{policies: object, apiKeys: Array<object>, anonymousPolicy: string|null}|null}
+ */
+const loadPolicyConfig = () => {
+  if (!existsSync(configPath)) {
+    logger.info('No access policy config found, access control disabled', {
+      configPath,
+      service: 'ACCESS_CONTROL',
+    });
+    return null;
+  }
+
+  const config = JSON.parse(readFileSync(configPath, 'utf-8'));
+  const policies = config.policies || {};
+  if (Object.keys(policies).length === 0) {
+    throw new Error(`No policies defined in ${configPath}`);
+  }
+  const apiKeys = config.apiKeys || [];
+  apiKeys.forEach(apiKey => {
+    if (!policies[apiKey.policy]) {
+      throw new Error(
+        `API key "${apiKey.id}" refers to unknown policy "${apiKey.policy}" in ${configPath}`,
+      );
+    }
+  });
+  const anonymousPolicy = config.anonymousPolicy ?? null;
+  if (anonymousPolicy !== null && !policies[anonymousPolicy]) {
+    throw new Error(
+      `Anonymous policy "${anonymousPolicy}" is not defined in ${configPath}`,
+    );
+  }
+
+  logger.info('Loaded access policy config', {
+    configPath,
+    policies: Object.keys(policies),
+    apiKeyCount: apiKeys.length,
+    jwtEnabled: Boolean(process.env.JWT_SECRET),
+    anonymousPolicy,
+    service: 'ACCESS_CONTROL',
+  });
+  return { policies, apiKeys, anonymousPolicy };
+};
+
+export const policyConfig = loadPolicyConfig();
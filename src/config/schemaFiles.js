@@ -0,0 +1,118 @@
+import { existsSync, readFileSync, statSync } from 'fs';
+import { DEFAULT_SCHEMA } from './schemaFilters.js';
+
+/**
+ * Static schema files describe the tables of datasources whose dialect has
+ * no database connector, so nothing can be read from a catalog. The file
+ * holds `{ "tables": [...] }` in the shape `introspectSchema` returns; only
+ * the table `name` and the `name` and `type` of each column are required:
+ *
+ *   { "name": "orders", "schema": "sales",
+ *     "columns": [{ "name": "id", "type": "bigint" }],
+ *     "primaryKey": ["id"] }
+ */
+
+const invalid = (file, message) =>
+  new Error(`Invalid schema file ${file}: ${message}`);
+
+const stringList = value =>
+  Array.isArray(value) && value.every(item => typeof item === 'string');
+
+const normalizeColumn = (column, where, file) => {
+  if (typeof column?.name !== 'string' || typeof column.type !== 'string') {
+    throw invalid(file, `every column of ${where} needs a "name" and a "type"`);
+  }
+  return {
+    name: column.name,
+    type: column.type.toLowerCase(),
+    nullable: column.nullable ?? true,
+    comment: column.comment ?? null,
+    enumValues: column.enumValues ?? null,
+  };
+};
+
+const normalizeForeignKey = (foreignKey, where, file) => {
+  const { references } = foreignKey ?? {};
+  if (
+    !stringList(foreignKey?.columns) ||
+    typeof references?.table !== 'string' ||
+    !stringList(references.columns)
+  ) {
+    throw invalid(
+      file,
+      `foreign keys of ${where} need "columns" and "references": { "table", "columns" }`,
+    );
+  }
+  return {
+    columns: foreignKey.columns,
+    references: {
+      schema: references.schema ?? DEFAULT_SCHEMA,
+      table: references.table,
+      columns: references.columns,
+    },
+  };
+};
+
+const normalizeTable = (table, index, file) => {
+  if (typeof table?.name !== 'string' || !Array.isArray(table.columns)) {
+    throw invalid(file, `table #${index + 1} needs a "name" and "columns"`);
+  }
+  const schema = table.schema ?? DEFAULT_SCHEMA;
+  const qualifiedName = `${schema}.${table.name}`;
+  return {
+    name: table.name,
+    schema,
+    qualifiedName,
+    kind: table.kind ?? 'table',
+    comment: table.comment ?? null,
+    columns: table.columns.map(column =>
+      normalizeColumn(column, qualifiedName, file),
+    ),
+    primaryKey: table.primaryKey ?? [],
+    foreignKeys: (table.foreignKeys ?? []).map(foreignKey =>
+      normalizeForeignKey(foreignKey, qualifiedName, file),
+    ),
+    uniqueConstraints: table.uniqueConstraints ?? [],
+    indexes: (table.indexes ?? []).map(index => ({
+      name: index.name,
+      columns: index.columns,
+      unique: Boolean(index.unique),
+    })),
+  };
+};
+
+// file -> { mtimeMs, tables }; read again whenever the file changes
+const schemaFiles = new Map();
+
+/**
+ * Reads the tables of a static schema file.
+ * @param {string} file - Absolute path of the file.
+ * @returns {Array<object>} Tables in the shape `introspectSchema` returns,
+ *   before datasource filters and denylists are applied.
+ * @throws {Error} When the file is missing or malformed.
+ */
+export const readSchemaFile = file => {
+  if (!existsSync(file)) {
+    throw new Error(`Schema file ${file} does not exist`);
+  }
+  const { mtimeMs } = statSync(file);
+  const cached = schemaFiles.get(file);
+  if (cached?.mtimeMs === mtimeMs) {
+    return cached.tables;
+  }
+
+  let content;
+  try {
+    content = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw invalid(file, error.message);
+  }
+  if (!Array.isArray(content?.tables)) {
+    throw invalid(file, 'expected { "tables": [...] }');
+  }
+  const tables = content.tables.map((table, index) =>
+    normalizeTable(table, index, file),
+  );
+  schemaFiles.set(file, { mtimeMs, tables });
+  return tables;
+};
@@ -0,0 +1,82 @@
+import 'dotenv/config';
+
+// Schema used for unqualified table names, as in PostgreSQL's default
+// search_path
+export const DEFAULT_SCHEMA = 'public';
+
+const parseList = value =>
+  (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// Defaults for datasources that do not configure their own filters
+export const ENV_SCHEMA_FILTERS = {
+  includeSchemas: parseList(process.env.SCHEMA_INCLUDE || DEFAULT_SCHEMA),
+  excludeSchemas: parseList(process.env.SCHEMA_EXCLUDE),
+  denyTables: parseList(process.env.TABLE_DENYLIST),
+  denyColumns: parseList(process.env.COLUMN_DENYLIST),
+  // Queries reading these columns are left out of the query-log sync
+  redactColumns: parseList(process.env.QUERY_LOG_REDACT_COLUMNS),
+};
+
+const escapeRegExp = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// `*` matches any run of characters; matching ignores case
+const compileSegment = segment =>
+  new RegExp(`^${segment.split('*').map(escapeRegExp).join('.*')}$`, 'i');
+
+/**
+ * Compiles a dotted pattern. A pattern with fewer segments than the name
+ * matches its trailing segments: for columns (`schema.table.column`)
+ * `ssn` matches the column in any table and `users.email` the column of
+ * `users` in any schema.
+ */
+export const compileNamePattern = pattern => {
+  const segments = pattern.split('.').map(compileSegment);
+  return nameSegments => {
+    if (segments.length > nameSegments.length) {
+      return false;
+    }
+    const tail = nameSegments.slice(nameSegments.length - segments.length);
+    return segments.every((segment, index) => segment.test(tail[index]));
+  };
+};
+
+/**
+ * Builds the schema/table/column filter of one datasource.
+ * @param {{includeSchemas?: string[], excludeSchemas?: string[], denyTables?: string[], denyColumns?: string[]}} [options] -
+ *   Glob patterns; `denyTables` entries are `table` or `schema.table`,
+ *   `denyColumns` entries are `column`, `table.column` or
+ *   `schema.table.column`.
+ */
+export const createSchemaFilter = ({
+  includeSchemas = ENV_SCHEMA_FILTERS.includeSchemas,
+  excludeSchemas = ENV_SCHEMA_FILTERS.excludeSchemas,
+  denyTables = ENV_SCHEMA_FILTERS.denyTables,
+  denyColumns = ENV_SCHEMA_FILTERS.denyColumns,
+} = {}) => {
+  const include = includeSchemas.map(compileSegment);
+  const exclude = excludeSchemas.map(compileSegment);
+  const deniedTables = denyTables.map(compileNamePattern);
+  const deniedColumns = denyColumns.map(compileNamePattern);
+  // Table part of each column pattern; a bare `column` pattern applies to
+  // every table
+  const tablesWithDeniedColumns = denyColumns.map(pattern =>
+    compileNamePattern(pattern.split('.').slice(0, -1).join('.') || '*'),
+  );
+
+  return {
+    includesSchema: schema =>
+      include.some(pattern => pattern.test(schema)) &&
+      !exclude.some(pattern => pattern.test(schema)),
+    isTableDenied: (schema, table) =>
+      deniedTables.some(matches => matches([schema, table])),
+    isColumnDenied: (schema, table, column) =>
+      deniedColumns.some(matches => matches([schema, table, column])),
+    // Whether any column of the table may be denied; `SELECT *` cannot be
+    // checked column by column, so it is refused for these tables
+    hasDeniedColumns: (schema, table) =>
+      tablesWithDeniedColumns.some(matches => matches([schema, table])),
+  };
+};
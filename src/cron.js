@@ -1,24 +1,15 @@
-import cron from 'node-cron';
-import { runQueryLogSync } from './scheduler/syncQueryLogs.js';
-import { runSchemaSync } from './scheduler/syncSchema.js';
+import { startSyncScheduler } from './scheduler/syncScheduler.js';
 import { createServiceLogger } from './config/logger.js';
 
 const logger = createServiceLogger('CronScheduler');
 
 // --- SCHEDULER ---
-// This schedule runs the job at 2:00 AM every day.
-cron.schedule('0 2 * * *', runQueryLogSync, {
-  scheduled: true,
-  timezone: 'Asia/Kolkata',
-});
-
-cron.schedule('0 2 * * *', runSchemaSync, {
-  scheduled: true,
-  timezone: 'Asia/Kolkata',
-});
+// Schedules, timezones and retries are configured per job in the env (see
+// src/scheduler/syncScheduler.js). Runs go through the job runner, so they
+// show up in the job history of the admin API.
+const schedules = startSyncScheduler();
 
 logger.info('Synchronization service started', {
-  schedule: '0 2 * * *',
-  timezone: 'Asia/Kolkata',
-  service: 'SCHEMA_SYNC',
+  schedules,
+  service: 'SYNC_SCHEDULER',
 });
@@ -0,0 +1,307 @@
+// src/eval/runEval.js
+import 'dotenv/config';
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { getDatasource, hasDatasource } from '../config/datasources.js';
+import { executeReadOnlyQuery } from '../services/queryExecutor.js';
+import {
+  DEFAULT_STRATEGIES,
+  generateWithStrategies,
+  parseStrategyChain,
+  STRATEGY_NAMES,
+} from '../services/sqlStrategies.js';
+import { normalizeSql, resultSetsMatch } from './scoring.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_SUITE = path.join(__dirname, 'suites', 'demo.json');
+
+const USAGE = `Usage:
+  npm run eval -- [--suite <file>] [--strategy <chain>] [--datasource <name>]
+                  [--category <name>] [--report <file>] [--min-accuracy <0-1>]
+
+Runs every case of the suite (default: src/eval/suites/demo.json) through the
+strategy chain and scores execution accuracy and exact match per category.
+The chain is a comma-separated list of ${STRATEGY_NAMES.join(', ')}
+(default: SQL_STRATEGY or ${DEFAULT_STRATEGIES.join(',')}).
+--min-accuracy exits with 1 when execution accuracy falls below it.`;
+
+/**
+ * A suite is `{ description, cases }`. Each case has an `id`, a `category`,
+ * a `question` and the expected answer as golden `sql`, an expected
+ * `result` (an array of rows, each an array of values), or both. `ordered`
+ * makes row order count.
+ */
+const loadSuite = async file => {
+  const suite = JSON.parse(await readFile(file, 'utf-8'));
+  (suite.cases || []).forEach((testCase, index) => {
+    if (!testCase.id || !testCase.question) {
+      throw new Error(
+        `Case #${index + 1} in ${file} needs an id and a question`,
+      );
+    }
+    if (!testCase.sql && !testCase.result) {
+      throw new Error(`Case "${testCase.id}" in ${file} needs sql or result`);
+    }
+  });
+  return suite;
+};
+
+// An explicit result wins over running the golden SQL
+const expectedRows = async (testCase, datasource) =>
+  testCase.result ??
+  (await executeReadOnlyQuery(testCase.sql, { datasource })).rows;
+
+const runCase = async (testCase, { strategies, datasource }) => {
+  const outcome = {
+    id: testCase.id,
+    category: testCase.category || 'uncategorized',
+    question: testCase.question,
+    expectedSql: testCase.sql ?? null,
+    sql: null,
+    strategy: null,
+    generated: false,
+    executionMatch: null,
+    exactMatch: null,
+    skipped: false,
+    error: null,
+    latencyMs: null,
+    llmTokens: 0,
+  };
+
+  // A broken golden case says nothing about the generator
+  let expected = null;
+  if (datasource.dialect.connector === 'postgres') {
+    try {
+      expected = await expectedRows(testCase, datasource);
+    } catch (error) {
+      return {
+        ...outcome,
+        skipped: true,
+        error: `Golden SQL failed: ${error.message}`,
+      };
+    }
+  }
+
+  const startTime = Date.now();
+  let generation;
+  try {
+    generation = await generateWithStrategies(testCase.question, {
+      datasource,
+      strategies,
+    });
+  } catch (error) {
+    return {
+      ...outcome,
+      executionMatch: expected === null ? null : false,
+      exactMatch: testCase.sql ? false : null,
+      error: `Generation failed: ${error.message}`,
+      latencyMs: Date.now() - startTime,
+      llmTokens: error.usage?.totalTokens ?? 0,
+    };
+  }
+  outcome.generated = true;
+  outcome.sql = generation.sql;
+  outcome.strategy = generation.strategy;
+  outcome.latencyMs = Date.now() - startTime;
+  outcome.llmTokens = generation.usage?.totalTokens ?? 0;
+
+  if (testCase.sql) {
+    const database = datasource.dialect.parserDatabase;
+    outcome.exactMatch =
+      normalizeSql(generation.sql, database) ===
+      normalizeSql(testCase.sql, database);
+  }
+
+  // Dialects without a connector are scored on exact match only
+  if (expected) {
+    try {
+      const actual = await executeReadOnlyQuery(generation.sql, {
+        datasource,
+      });
+      outcome.executionMatch = resultSetsMatch(actual.rows, expected, {
+        ordered: testCase.ordered,
+      });
+    } catch (error) {
+      outcome.executionMatch = false;
+      outcome.error = `Execution failed: ${error.message}`;
+    }
+  }
+  return outcome;
+};
+
+// Share of `true` among the scored (non-null) values, or null without any
+const rate = values => {
+  const scored = values.filter(value => value !== null);
+  return scored.length
+    ? Number((scored.filter(Boolean).length / scored.length).toFixed(4))
+    : null;
+};
+
+const summarize = outcomes => {
+  const scored = outcomes.filter(outcome => !outcome.skipped);
+  const latencies = scored
+    .map(outcome => outcome.latencyMs)
+    .filter(latency => latency !== null);
+  return {
+    cases: scored.length,
+    skipped: outcomes.length - scored.length,
+    generationRate: rate(scored.map(outcome => outcome.generated)),
+    executionAccuracy: rate(scored.map(outcome => outcome.executionMatch)),
+    exactMatch: rate(scored.map(outcome => outcome.exactMatch)),
+    averageLatencyMs: latencies.length
+      ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length)
+      : null,
+    llmTokens: scored.reduce((total, outcome) => total + outcome.llmTokens, 0),
+  };
+};
+
+const groupByCategory = outcomes =>
+  outcomes.reduce((groups, outcome) => {
+    (groups[outcome.category] ??= []).push(outcome);
+    return groups;
+  }, {});
+
+const formatRate = value =>
+  value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+
+const printReport = report => {
+  const rows = Object.entries(report.categories).map(([category, summary]) => ({
+    category,
+    ...summary,
+  }));
+  rows.push({ category: 'OVERALL', ...report.overall });
+  console.log(
+    `\n📊 ${report.strategies.join(' → ')} on ${report.datasource} (${report.suite})\n`,
+  );
+  console.table(
+    rows.map(row => ({
+      category: row.category,
+      cases: row.cases,
+      skipped: row.skipped,
+      generated: formatRate(row.generationRate),
+      execution: formatRate(row.executionAccuracy),
+      exact: formatRate(row.exactMatch),
+      avgLatencyMs: row.averageLatencyMs ?? '-',
+      llmTokens: row.llmTokens,
+    })),
+  );
+
+  const misses = report.cases.filter(
+    outcome => outcome.skipped || outcome.executionMatch === false,
+  );
+  misses.forEach(outcome => {
+    const mark = outcome.skipped ? '⏭️ ' : '❌';
+    console.log(
+      `\n${mark} ${outcome.id} [${outcome.category}] ${outcome.question}`,
+    );
+    if (outcome.error) {
+      console.log(`   ${outcome.error}`);
+    }
+    if (outcome.sql) {
+      console.log(
+        `   generated (${outcome.strategy}): ${outcome.sql.replace(/\s+/g, ' ')}`,
+      );
+    }
+    if (outcome.expectedSql) {
+      console.log(`   expected:  ${outcome.expectedSql}`);
+    }
+  });
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      suite: { type: 'string', default: DEFAULT_SUITE },
+      strategy: { type: 'string' },
+      datasource: { type: 'string' },
+      category: { type: 'string' },
+      report: { type: 'string' },
+      'min-accuracy': { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const strategies =
+    values.strategy === undefined
+      ? DEFAULT_STRATEGIES
+      : parseStrategyChain(values.strategy);
+  if (values.datasource !== undefined && !hasDatasource(values.datasource)) {
+    throw new Error(`Unknown datasource "${values.datasource}"`);
+  }
+  const minAccuracy =
+    values['min-accuracy'] === undefined
+      ? null
+      : Number(values['min-accuracy']);
+  if (minAccuracy !== null && !(minAccuracy >= 0 && minAccuracy <= 1)) {
+    throw new Error('--min-accuracy must be between 0 and 1');
+  }
+
+  const datasource = getDatasource(values.datasource);
+  const suite = await loadSuite(values.suite);
+  const cases = suite.cases.filter(
+    testCase =>
+      values.category === undefined || testCase.category === values.category,
+  );
+
+  console.log(
+    `🧪 Evaluating ${cases.length} case(s) with ${strategies.join(' → ')}...`,
+  );
+  const startedAt = new Date().toISOString();
+  const outcomes = [];
+  // One case at a time: the cases share the LLM's rate limits
+  for (const testCase of cases) {
+    const outcome = await runCase(testCase, {
+      strategies,
+      datasource,
+    });
+    outcomes.push(outcome);
+    const mark = (outcome.executionMatch ?? outcome.exactMatch) ? '✅' : '❌';
+    console.log(`${outcome.skipped ? '⏭️ ' : mark} ${outcome.id}`);
+  }
+
+  const report = {
+    suite: path.relative(process.cwd(), values.suite),
+    strategies,
+    datasource: datasource.name,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    overall: summarize(outcomes),
+    categories: Object.fromEntries(
+      Object.entries(groupByCategory(outcomes)).map(([category, group]) => [
+        category,
+        summarize(group),
+      ]),
+    ),
+    cases: outcomes,
+  };
+  printReport(report);
+
+  if (values.report) {
+    await writeFile(values.report, JSON.stringify(report, null, 2));
+    console.log(`\n📝 Report written to ${values.report}`);
+  }
+
+  const accuracy = report.overall.executionAccuracy;
+  if (minAccuracy !== null && (accuracy === null || accuracy < minAccuracy)) {
+    console.error(
+      `\n❌ Execution accuracy ${formatRate(accuracy)} is below the minimum of ${formatRate(minAccuracy)}`,
+    );
+    return 1;
+  }
+  return 0;
+};
+
+// Database pools would keep the process alive
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  });
@@ -0,0 +1,69 @@
+import sqlParser from 'node-sql-parser';
+
+const { Parser } = sqlParser;
+const parser = new Parser();
+
+// Digits kept when comparing floating point values, so 1299.99 from one
+// query matches 1299.990000000001 from another
+const FLOAT_PRECISION = 6;
+
+const normalizeText = sql =>
+  sql.trim().replace(/;+$/, '').replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Canonical form of a query for exact-match scoring: parsed and printed
+ * back, so whitespace, keyword case and identifier quoting do not matter.
+ * Queries the parser rejects fall back to whitespace and case folding.
+ * @param {string} sql
+ * @param {string} [database] - node-sql-parser dialect, e.g. `postgresql`.
+ * @returns {string}
+ */
+export const normalizeSql = (sql, database = 'postgresql') => {
+  try {
+    const ast = parser.astify(sql.trim().replace(/;+$/, ''), { database });
+    return normalizeText(parser.sqlify(ast, { database }));
+  } catch {
+    return normalizeText(sql);
+  }
+};
+
+const normalizeValue = value => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'number' && !Number.isInteger(value)) {
+    return Number(value.toFixed(FLOAT_PRECISION));
+  }
+  return value;
+};
+
+// Column names and order are ignored: a row is the sorted list of its values
+const rowKey = row =>
+  JSON.stringify(
+    (Array.isArray(row) ? row : Object.values(row))
+      .map(normalizeValue)
+      .map(value => JSON.stringify(value))
+      .sort(),
+  );
+
+/**
+ * Compares two result sets by their values. Rows may be objects (as
+ * returned by `executeReadOnlyQuery`) or arrays (as written in a suite).
+ * Row order only matters when `ordered` is set, e.g. for "top 3" questions.
+ * @param {Array<object|Array>} actual
+ * @param {Array<object|Array>} expected
+ * @param {{ordered?: boolean}} [options]
+ * @returns {boolean}
+ */
+export const resultSetsMatch = (actual, expected, { ordered = false } = {}) => {
+  if (actual.length !== expected.length) {
+    return false;
+  }
+  const actualKeys = actual.map(rowKey);
+  const expectedKeys = expected.map(rowKey);
+  if (!ordered) {
+    actualKeys.sort();
+    expectedKeys.sort();
+  }
+  return actualKeys.every((key, index) => key === expectedKeys[index]);
+};
@@ -0,0 +1,108 @@
+// src/manageApiKeys.js
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { policyConfig } from './config/policies.js';
+import { createApiKey, listApiKeys, revokeApiKey } from './services/apiKeys.js';
+
+const USAGE = `Usage:
+  npm run api-keys -- create --name <name> [--policy <policy>]
+                            [--attributes '<json>'] [--rpm <n>] [--daily-tokens <n>]
+  npm run api-keys -- list
+  npm run api-keys -- revoke <key-id>
+
+--rpm and --daily-tokens override API_KEY_RATE_LIMIT_PER_MINUTE and
+API_KEY_DAILY_TOKEN_BUDGET for this key; 0 means unlimited.`;
+
+const parseLimit = (value, option) => {
+  if (value === undefined) {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`--${option} must be a non-negative integer`);
+  }
+  return parsed;
+};
+
+const create = async args => {
+  const { values } = parseArgs({
+    args,
+    options: {
+      name: { type: 'string' },
+      policy: { type: 'string' },
+      attributes: { type: 'string' },
+      rpm: { type: 'string' },
+      'daily-tokens': { type: 'string' },
+    },
+  });
+  if (!values.name) {
+    throw new Error('--name is required');
+  }
+  // Keys are checked against the policy config they will be used with
+  if (policyConfig && !values.policy) {
+    throw new Error('--policy is required while access policies are enabled');
+  }
+  if (values.policy && !policyConfig?.policies[values.policy]) {
+    throw new Error(`Unknown policy "${values.policy}"`);
+  }
+
+  const { apiKey, key } = await createApiKey({
+    name: values.name,
+    policy: values.policy ?? null,
+    attributes: values.attributes ? JSON.parse(values.attributes) : {},
+    rateLimitPerMinute: parseLimit(values.rpm, 'rpm'),
+    dailyTokenBudget: parseLimit(values['daily-tokens'], 'daily-tokens'),
+  });
+  console.log(`🔑 Created API key ${key.id} (${key.name})`);
+  console.log(`\n    ${apiKey}\n`);
+  console.log('Store it now: it is not saved and cannot be shown again.');
+};
+
+const list = () => {
+  const keys = listApiKeys();
+  if (keys.length === 0) {
+    console.log(
+      'No API keys yet. Create one with `npm run api-keys -- create`.',
+    );
+    return;
+  }
+  console.table(
+    keys.map(key => ({
+      id: key.id,
+      name: key.name,
+      prefix: `${key.prefix}…`,
+      policy: key.policy ?? '-',
+      rpm: key.rateLimitPerMinute ?? 'default',
+      dailyTokens: key.dailyTokenBudget ?? 'default',
+      createdAt: key.createdAt,
+      revokedAt: key.revokedAt ?? '-',
+    })),
+  );
+};
+
+const revoke = async ([id]) => {
+  if (!id) {
+    throw new Error('A key id is required');
+  }
+  const key = await revokeApiKey(id);
+  if (!key) {
+    throw new Error(`Unknown API key "${id}"`);
+  }
+  console.log(`🚫 Revoked API key ${key.id} (${key.name}) at ${key.revokedAt}`);
+};
+
+const commands = { create, list, revoke };
+
+const [command, ...args] = process.argv.slice(2);
+if (!commands[command]) {
+  console.log(USAGE);
+  process.exit(command ? 1 : 0);
+}
+
+try {
+  await commands[command](args);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.log(`\n${USAGE}`);
+  process.exit(1);
+}
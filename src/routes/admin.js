@@ -0,0 +1,126 @@
+import express from 'express';
+import { timingSafeEqual } from 'crypto';
+import { hasDatasource } from '../config/datasources.js';
+import { getQueryCache } from '../services/queryCache.js';
+import {
+  cancelSyncJob,
+  getSyncJob,
+  listSyncJobs,
+  startSyncJob,
+} from '../scheduler/syncJobs.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+const matchesAdminToken = token => {
+  const expected = Buffer.from(process.env.ADMIN_API_TOKEN);
+  const actual = Buffer.from(token);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
+
+// Admin routes are off until ADMIN_API_TOKEN is set, and then require it in
+// the `X-Admin-Token` header
+router.use((req, res, next) => {
+  if (!process.env.ADMIN_API_TOKEN) {
+    return res
+      .status(403)
+      .json({ error: 'Admin API is disabled: set ADMIN_API_TOKEN.' });
+  }
+  const token = req.get('X-Admin-Token');
+  if (!token || !matchesAdminToken(token)) {
+    logger.warn('Admin request rejected', {
+      method: req.method,
+      path: req.path,
+      service: 'ADMIN',
+    });
+    return res.status(401).json({ error: 'Invalid admin token.' });
+  }
+  next();
+});
+
+// Define the route for GET /admin/cache
+// Reports the query cache size and hit counters
+router.get('/cache', async (_req, res) => {
+  const cache = getQueryCache();
+  if (!cache) {
+    return res.json({ enabled: false });
+  }
+  res.json({ enabled: true, ...(await cache.stats()) });
+});
+
+// Define the route for DELETE /admin/cache
+// Purges cached SQL, only for one datasource with `?datasource=<name>`
+router.delete('/cache', async (req, res) => {
+  const { datasource } = req.query;
+  if (datasource !== undefined && !hasDatasource(datasource)) {
+    return res
+      .status(400)
+      .json({ error: `Unknown datasource "${datasource}".` });
+  }
+  const cache = getQueryCache();
+  const purged = cache ? await cache.purge({ datasource }) : 0;
+
+  logger.info('Query cache purged', {
+    datasource: datasource ?? 'all',
+    purged,
+    service: 'ADMIN',
+  });
+  res.json({ purged });
+});
+
+// Sync job errors carry the status to answer with
+const sendSyncJobError = (res, error) => {
+  if (!error.status) {
+    throw error;
+  }
+  res.status(error.status).json({ error: error.message });
+};
+
+// Define the route for POST /admin/sync-jobs
+// Starts a sync job: `{ type: "schema" | "query-logs", datasource, table,
+// full }`; answers before the job finishes with the run to poll
+router.post('/sync-jobs', async (req, res) => {
+  const { type, ...options } = req.body ?? {};
+  try {
+    const { run } = await startSyncJob(type, options, { trigger: 'admin' });
+    res.status(202).json(run);
+  } catch (error) {
+    sendSyncJobError(res, error);
+  }
+});
+
+// Define the route for GET /admin/sync-jobs
+// Lists runs, newest first; filter with `?type=`, `?status=` and `?limit=`
+router.get('/sync-jobs', async (req, res) => {
+  const { type, status } = req.query;
+  const limit = Number.parseInt(req.query.limit ?? '50', 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res
+      .status(400)
+      .json({ error: '`limit` must be a positive number.' });
+  }
+  res.json({ runs: await listSyncJobs({ type, status, limit }) });
+});
+
+// Define the route for GET /admin/sync-jobs/:id
+router.get('/sync-jobs/:id', async (req, res) => {
+  const run = await getSyncJob(req.params.id);
+  if (!run) {
+    return res
+      .status(404)
+      .json({ error: `Unknown sync job "${req.params.id}".` });
+  }
+  res.json(run);
+});
+
+// Define the route for POST /admin/sync-jobs/:id/cancel
+// Stops a running job before its next table or datasource
+router.post('/sync-jobs/:id/cancel', async (req, res) => {
+  try {
+    res.status(202).json(await cancelSyncJob(req.params.id));
+  } catch (error) {
+    sendSyncJobError(res, error);
+  }
+});
+
+export default router;
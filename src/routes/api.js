@@ -1,13 +1,301 @@
 import express from 'express';
-// Use AI-powered SQL generator with Gemini
-import { generateSqlFromQuestion } from '../services/sqlGeneratorAI.js';
+import {
+  DEFAULT_STRATEGIES,
+  generateWithStrategies,
+  parseStrategyChain,
+} from '../services/sqlStrategies.js';
+import {
+  executeReadOnlyQuery,
+  isStatementTimeout,
+} from '../services/queryExecutor.js';
+import { getSessionStore } from '../services/sessionStore.js';
+import { getDatasource, hasDatasource } from '../config/datasources.js';
+import { authenticateRequest } from '../services/accessControl.js';
+import { consumeRequest, recordTokenUsage } from '../services/rateLimiter.js';
+import { withQueryCache } from '../services/queryCache.js';
+import { createUsageTracker } from '../services/llm/index.js';
+import { getHistoryStore } from '../services/historyStore.js';
+import { addQueryExample } from '../services/queryExamples.js';
+import { validateGeneratedSql } from '../services/sqlValidator.js';
 import logger from '../config/logger.js';
 
 const router = express.Router();
 
+// Every API route runs as an identified caller when access policies are
+// configured; `req.access` is null when access control is disabled and
+// `req.caller` is null for requests without credentials
+router.use((req, res, next) => {
+  try {
+    ({ caller: req.caller, access: req.access } = authenticateRequest(req));
+    next();
+  } catch (error) {
+    if (!error.status) {
+      return next(error);
+    }
+    logger.warn('Request rejected by access control', {
+      status: error.status,
+      reason: error.message,
+      path: req.path,
+      service: 'API',
+    });
+    res.status(error.status).json({ error: error.message });
+  }
+});
+
+// API keys are limited to a number of requests per minute and a daily
+// budget of LLM tokens; every response reports what is left
+router.use((req, res, next) => {
+  const apiKey = req.caller?.apiKey;
+  if (!apiKey) {
+    return next();
+  }
+  const verdict = consumeRequest(apiKey);
+  res.set(verdict.headers);
+  if (verdict.allowed) {
+    return next();
+  }
+  logger.warn('Request rejected by rate limit', {
+    keyId: apiKey.id,
+    reason: verdict.message,
+    retryAfterSeconds: verdict.retryAfterSeconds,
+    path: req.path,
+    service: 'API',
+  });
+  res.set('Retry-After', String(verdict.retryAfterSeconds));
+  res.status(429).json({ error: verdict.message });
+});
+
+// Generation errors that carry an attempt history mean the model kept
+// producing invalid SQL; they are reported with the full history.
+// The history id lets the caller send feedback on the failure as well, and
+// `fallbacks` lists every strategy that was tried. Policy-restricted callers
+// only get the generic message: the model's explanation, the rejected SQL
+// and the validator's reasons can name tables and columns their policy hides.
+const describeGenerationError = (req, error) => {
+  if (req.access) {
+    return {
+      error: error.attempts
+        ? 'Failed to generate a valid SQL query.'
+        : 'Failed to generate SQL query.',
+      ...(error.historyId && { historyId: error.historyId }),
+    };
+  }
+  const details = {
+    ...(error.fallbacks && { fallbacks: error.fallbacks }),
+    ...(error.historyId && { historyId: error.historyId }),
+  };
+  if (error.attempts) {
+    return {
+      error: 'Failed to generate a valid SQL query.',
+      message: error.message,
+      attempts: error.attempts,
+      ...details,
+    };
+  }
+  return { error: 'Failed to generate SQL query.', ...details };
+};
+
+const sendGenerationError = (req, res, error) =>
+  res
+    .status(error.attempts ? 422 : 500)
+    .json(describeGenerationError(req, error));
+
+// Switches the response to Server-Sent Events. Events written after the
+// client disconnected are dropped.
+const openEventStream = res => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  return {
+    get closed() {
+      return closed;
+    },
+    send: (event, data) => {
+      if (!closed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    end: () => res.end(),
+  };
+};
+
+// Resolves the optional `datasource` request parameter. Responds with 400
+// and returns null when the name is unknown.
+const resolveDatasource = (res, name) => {
+  if (name === undefined) {
+    return getDatasource();
+  }
+  if (!hasDatasource(name)) {
+    logger.warn('Request for unknown datasource', {
+      datasource: name,
+      service: 'API',
+    });
+    res.status(400).json({ error: `Unknown datasource "${name}".` });
+    return null;
+  }
+  return getDatasource(name);
+};
+
+// Resolves the optional `strategy` request parameter: one strategy name, or
+// a fallback chain as a comma-separated string or an array. Responds with
+// 400 and returns null when a name is unknown.
+const resolveStrategies = (res, requested) => {
+  if (requested === undefined) {
+    return DEFAULT_STRATEGIES;
+  }
+  try {
+    return parseStrategyChain(requested);
+  } catch (error) {
+    logger.warn('Request for unknown strategy', {
+      strategy: requested,
+      service: 'API',
+    });
+    res.status(error.status).json({ error: error.message });
+    return null;
+  }
+};
+
+// `explain=true` in the body or the query string adds a structured
+// explanation of the SQL to the response
+const wantsExplanation = req =>
+  req.body?.explain === true || req.query.explain === 'true';
+
+// Charges the LLM tokens of a generation to the caller's API key. Headers
+// are only updated while the response has not started, e.g. not on streams.
+const chargeTokens = async (req, res, usage) => {
+  const apiKey = req.caller?.apiKey;
+  if (!apiKey || !usage) {
+    return;
+  }
+  const headers = await recordTokenUsage(apiKey, usage.totalTokens);
+  if (!res.headersSent) {
+    res.set(headers);
+  }
+};
+
+// Sessions, history entries and feedback belong to the caller that created
+// them; `null` stands for every unidentified caller
+const callerIdOf = req => req.access?.callerId ?? req.caller?.id ?? null;
+
+// Records one generation in the query history and returns its id. History
+// is best effort: a failing store is logged and never fails the request.
+const recordHistory = async (req, question, options, outcome) => {
+  const store = getHistoryStore();
+  if (!store) {
+    return null;
+  }
+  const { generation, error, latencyMs } = outcome;
+  const attempts = generation?.attempts ?? error?.attempts ?? [];
+  let status = 'valid';
+  if (error) {
+    status = error.attempts ? 'invalid' : 'error';
+  }
+  try {
+    const entry = await store.record({
+      datasource: options.datasource.name,
+      callerId: callerIdOf(req),
+      sessionId: req.params.id ?? null,
+      route: req.path,
+      question,
+      context: {
+        historyTurns: options.history?.length ?? 0,
+        strategy: generation?.strategy ?? error?.strategy,
+        fallbacks: generation?.fallbacks ?? error?.fallbacks,
+        tables: generation?.tableSelection?.selected.map(({ name }) => name),
+        droppedTables: generation?.tableSelection?.dropped,
+        cache: generation?.cache,
+      },
+      sql: generation?.sql ?? attempts[attempts.length - 1]?.sql ?? null,
+      status,
+      error: error?.message ?? null,
+      attempts: attempts.map(({ attempt, isValid, error: reason }) => ({
+        attempt,
+        isValid,
+        ...(reason && { error: reason }),
+      })),
+      latencyMs,
+      llmTokens: (generation?.usage ?? error?.usage)?.totalTokens ?? null,
+    });
+    return entry.id;
+  } catch (storeError) {
+    logger.error('Failed to record query history', {
+      error: storeError.message,
+      service: 'API',
+    });
+    return null;
+  }
+};
+
+// Generates SQL as the request's caller, answering from the query cache
+// when it can. Every token the generators used is charged, whether the
+// request succeeds or fails at any step, and every generation is recorded
+// in the query history.
+const generateForRequest = async (req, res, question, options) => {
+  const usage = createUsageTracker().totals;
+  const generationOptions = {
+    ...options,
+    access: req.access,
+    explain: wantsExplanation(req),
+  };
+  const startTime = Date.now();
+  try {
+    const generation = await withQueryCache(
+      question,
+      { ...generationOptions, service: 'API' },
+      () => generateWithStrategies(question, { ...generationOptions, usage }),
+    );
+    const historyId = await recordHistory(req, question, options, {
+      generation,
+      latencyMs: Date.now() - startTime,
+    });
+    return { ...generation, ...(historyId && { historyId }) };
+  } catch (error) {
+    error.historyId = await recordHistory(req, question, options, {
+      error,
+      latencyMs: Date.now() - startTime,
+    });
+    throw error;
+  } finally {
+    await chargeTokens(req, res, usage);
+  }
+};
+
+// Only datasources with a connector can be executed; the others still return
+// the generated SQL so the caller can run it themselves
+const canExecute = datasource => datasource.dialect.connector === 'postgres';
+
+const sendNotExecutable = (res, datasource, generation) =>
+  res.status(501).json({
+    error: `Executing ${datasource.dialect.label} SQL is not supported.`,
+    ...generation,
+  });
+
+const sendExecutionError = (res, error, sqlQuery) => {
+  if (isStatementTimeout(error)) {
+    return res.status(504).json({
+      error: 'Query exceeded the statement timeout.',
+      sql: sqlQuery,
+    });
+  }
+  return res
+    .status(500)
+    .json({ error: 'Failed to execute SQL query.', sql: sqlQuery });
+};
+
 // Define the route for POST /api/generate-sql
 router.post('/generate-sql', async (req, res) => {
-  const { question } = req.body;
+  const { question, datasource: datasourceName } = req.body;
 
   logger.info('SQL generation request received', {
     question: question ? `${question.substring(0, 100)}...` : 'undefined',
@@ -21,18 +309,55 @@ router.post('/generate-sql', async (req, res) => {
     return res.status(400).json({ error: 'Question is required.' });
   }
 
+  const datasource = resolveDatasource(res, datasourceName);
+  if (!datasource) {
+    return;
+  }
+
+  const strategies = resolveStrategies(res, req.body.strategy);
+  if (!strategies) {
+    return;
+  }
+
   try {
     // Call our "brain" to do the work
-    const sqlQuery = await generateSqlFromQuestion(question);
+    const {
+      sql: sqlQuery,
+      attempts,
+      dialect,
+      tableSelection,
+      explanation,
+      cache,
+      historyId,
+      strategy,
+      fallbacks,
+    } = await generateForRequest(req, res, question, {
+      datasource,
+      strategies,
+    });
 
     logger.info('SQL generation completed successfully', {
       questionLength: question.length,
       sqlLength: sqlQuery.length,
+      attempts: attempts.length,
+      datasource: datasource.name,
+      dialect,
       service: 'API',
     });
 
     // Send the result back to the client
-    res.json({ sql: sqlQuery });
+    res.json({
+      sql: sqlQuery,
+      datasource: datasource.name,
+      dialect,
+      strategy,
+      fallbacks,
+      attempts,
+      tableSelection,
+      ...(explanation !== undefined && { explanation }),
+      ...(cache && { cache }),
+      ...(historyId && { historyId }),
+    });
   } catch (error) {
     logger.error('Error in generate-sql route', {
       error: error.message,
@@ -40,8 +365,382 @@ router.post('/generate-sql', async (req, res) => {
       question: `${question.substring(0, 100)}...`,
       service: 'API',
     });
-    res.status(500).json({ error: 'Failed to generate SQL query.' });
+    sendGenerationError(req, res, error);
+  }
+});
+
+// Define the route for POST /api/generate-sql/stream
+// Same as /generate-sql, but reports progress as Server-Sent Events:
+// `context`, `attempt`, `token`, `validation`, then `sql` or `error`
+router.post('/generate-sql/stream', async (req, res) => {
+  const { question, datasource: datasourceName } = req.body;
+
+  logger.info('Streaming SQL generation request received', {
+    question: question ? `${question.substring(0, 100)}...` : 'undefined',
+    service: 'API',
+  });
+
+  if (!question) {
+    logger.warn('Streaming SQL generation request missing question parameter', {
+      service: 'API',
+    });
+    return res.status(400).json({ error: 'Question is required.' });
+  }
+
+  const datasource = resolveDatasource(res, datasourceName);
+  if (!datasource) {
+    return;
+  }
+
+  const strategies = resolveStrategies(res, req.body.strategy);
+  if (!strategies) {
+    return;
+  }
+
+  const stream = openEventStream(res);
+  try {
+    const generation = await generateForRequest(req, res, question, {
+      datasource,
+      strategies,
+      onEvent: ({ type, ...data }) => stream.send(type, data),
+    });
+
+    logger.info('Streaming SQL generation completed successfully', {
+      questionLength: question.length,
+      sqlLength: generation.sql.length,
+      attempts: generation.attempts.length,
+      datasource: datasource.name,
+      clientDisconnected: stream.closed,
+      service: 'API',
+    });
+
+    stream.send('sql', generation);
+  } catch (error) {
+    logger.error('Error in streaming generate-sql route', {
+      error: error.message,
+      stack: error.stack,
+      question: `${question.substring(0, 100)}...`,
+      service: 'API',
+    });
+    stream.send('error', describeGenerationError(req, error));
+  } finally {
+    stream.end();
+  }
+});
+
+// Define the route for POST /api/query
+// Generates SQL for the question and runs it in a read-only transaction
+router.post('/query', async (req, res) => {
+  const { question, maxRows, datasource: datasourceName } = req.body;
+
+  logger.info('Query execution request received', {
+    question: question ? `${question.substring(0, 100)}...` : 'undefined',
+    service: 'API',
+  });
+
+  if (!question) {
+    logger.warn('Query execution request missing question parameter', {
+      service: 'API',
+    });
+    return res.status(400).json({ error: 'Question is required.' });
+  }
+
+  const datasource = resolveDatasource(res, datasourceName);
+  if (!datasource) {
+    return;
+  }
+
+  const strategies = resolveStrategies(res, req.body.strategy);
+  if (!strategies) {
+    return;
+  }
+
+  let generation;
+  try {
+    generation = await generateForRequest(req, res, question, {
+      datasource,
+      strategies,
+    });
+  } catch (error) {
+    logger.error('Error generating SQL in query route', {
+      error: error.message,
+      stack: error.stack,
+      question: `${question.substring(0, 100)}...`,
+      service: 'API',
+    });
+    return sendGenerationError(req, res, error);
+  }
+
+  if (!canExecute(datasource)) {
+    return sendNotExecutable(res, datasource, generation);
+  }
+
+  try {
+    const result = await executeReadOnlyQuery(generation.sql, {
+      datasource,
+      maxRows,
+    });
+
+    logger.info('Query execution completed successfully', {
+      rowCount: result.rowCount,
+      truncated: result.truncated,
+      executionTimeMs: result.executionTimeMs,
+      service: 'API',
+    });
+
+    res.json({ ...generation, ...result });
+  } catch (error) {
+    logger.error('Error executing SQL in query route', {
+      error: error.message,
+      code: error.code,
+      question: `${question.substring(0, 100)}...`,
+      service: 'API',
+    });
+    sendExecutionError(res, error, generation.sql);
+  }
+});
+
+// Define the route for POST /api/sessions
+// Starts a conversation so follow-up questions can refer to earlier turns.
+// A session is bound to one datasource and one caller for its whole lifetime.
+router.post('/sessions', async (req, res) => {
+  const datasource = resolveDatasource(res, req.body?.datasource);
+  if (!datasource) {
+    return;
+  }
+
+  const store = getSessionStore();
+  const session = await store.create();
+  session.datasource = datasource.name;
+  session.callerId = callerIdOf(req);
+  await store.save(session);
+
+  logger.info('Session created', {
+    sessionId: session.id,
+    datasource: datasource.name,
+    expiresAt: session.expiresAt,
+    service: 'API',
+  });
+
+  res.status(201).json({
+    sessionId: session.id,
+    datasource: datasource.name,
+    expiresAt: session.expiresAt,
+  });
+});
+
+// Define the route for POST /api/sessions/:id/ask
+// Generates SQL with the session's previous turns as context and runs it
+router.post('/sessions/:id/ask', async (req, res) => {
+  const { question, maxRows } = req.body;
+  const sessionId = req.params.id;
+
+  logger.info('Session question received', {
+    sessionId,
+    question: question ? `${question.substring(0, 100)}...` : 'undefined',
+    service: 'API',
+  });
+
+  if (!question) {
+    logger.warn('Session question missing question parameter', {
+      sessionId,
+      service: 'API',
+    });
+    return res.status(400).json({ error: 'Question is required.' });
+  }
+
+  const store = getSessionStore();
+  const session = await store.get(sessionId);
+  // Another caller's session is reported as missing, not as forbidden
+  if (!session || (session.callerId ?? null) !== callerIdOf(req)) {
+    logger.warn('Session not found or expired', { sessionId, service: 'API' });
+    return res.status(404).json({ error: 'Session not found or expired.' });
+  }
+
+  const datasource = resolveDatasource(res, session.datasource);
+  if (!datasource) {
+    return;
+  }
+
+  const strategies = resolveStrategies(res, req.body.strategy);
+  if (!strategies) {
+    return;
+  }
+
+  let generation;
+  try {
+    generation = await generateForRequest(req, res, question, {
+      history: session.turns,
+      datasource,
+      strategies,
+    });
+  } catch (error) {
+    logger.error('Error generating SQL in session route', {
+      error: error.message,
+      stack: error.stack,
+      sessionId,
+      service: 'API',
+    });
+    return sendGenerationError(req, res, error);
+  }
+
+  if (!canExecute(datasource)) {
+    return sendNotExecutable(res, datasource, generation);
+  }
+
+  try {
+    const result = await executeReadOnlyQuery(generation.sql, {
+      datasource,
+      maxRows,
+    });
+
+    session.turns.push({
+      question,
+      sql: generation.sql,
+      resultShape: {
+        columns: result.columns,
+        rowCount: result.rowCount,
+        truncated: result.truncated,
+      },
+      askedAt: new Date().toISOString(),
+    });
+    await store.save(session);
+
+    logger.info('Session question answered', {
+      sessionId,
+      turn: session.turns.length,
+      rowCount: result.rowCount,
+      service: 'API',
+    });
+
+    res.json({
+      sessionId,
+      turn: session.turns.length,
+      expiresAt: session.expiresAt,
+      ...generation,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Error executing SQL in session route', {
+      error: error.message,
+      code: error.code,
+      sessionId,
+      service: 'API',
+    });
+    sendExecutionError(res, error, generation.sql);
   }
 });
 
+const FEEDBACK_RATINGS = ['up', 'down'];
+// Corrected SQL becomes an example for every caller's prompts, so by default
+// only callers with an API key or a bearer token may add one
+const ANONYMOUS_FEEDBACK_EXAMPLES =
+  process.env.FEEDBACK_EXAMPLES_ANONYMOUS === 'true';
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Define the route for POST /api/feedback
+// Rates a generated query and/or submits the SQL it should have been. The
+// corrected SQL is validated like generated SQL, then added to the example
+// queries used for similar questions when the caller is authenticated.
+router.post('/feedback', async (req, res) => {
+  const { historyId, rating, correctedSql, comment } = req.body ?? {};
+
+  if (!historyId) {
+    return res.status(400).json({ error: 'historyId is required.' });
+  }
+  if (rating !== undefined && !FEEDBACK_RATINGS.includes(rating)) {
+    return res.status(400).json({ error: 'rating must be "up" or "down".' });
+  }
+  if (correctedSql !== undefined && typeof correctedSql !== 'string') {
+    return res.status(400).json({ error: 'correctedSql must be a string.' });
+  }
+  if (rating === undefined && !correctedSql?.trim()) {
+    return res
+      .status(400)
+      .json({ error: 'Send a rating, a correctedSql or both.' });
+  }
+
+  const store = getHistoryStore();
+  if (!store) {
+    return res.status(503).json({ error: 'Query history is disabled.' });
+  }
+  const entry = UUID_PATTERN.test(historyId)
+    ? await store.get(historyId)
+    : null;
+  // Another caller's entry is reported as missing, not as forbidden
+  if (!entry || (entry.callerId ?? null) !== callerIdOf(req)) {
+    logger.warn('Feedback for unknown history entry', {
+      historyId,
+      service: 'API',
+    });
+    return res.status(404).json({ error: 'History entry not found.' });
+  }
+
+  const datasource = resolveDatasource(res, entry.datasource);
+  if (!datasource) {
+    return;
+  }
+
+  const sql = correctedSql?.trim() || null;
+  if (sql) {
+    const validation = await validateGeneratedSql(sql, {
+      datasource,
+      access: req.access,
+      service: 'API',
+    });
+    if (!validation.isValid) {
+      return res.status(422).json({
+        error: 'Corrected SQL is not valid.',
+        message: validation.error,
+        reasons: validation.reasons,
+      });
+    }
+  }
+
+  await store.addFeedback(historyId, {
+    rating: rating ?? null,
+    correctedSql: sql,
+    comment: comment ?? null,
+    submittedAt: new Date().toISOString(),
+  });
+
+  // A follow-up question only makes sense next to the turns before it, so
+  // it is never turned into an example
+  const mayAddExample = Boolean(req.caller) || ANONYMOUS_FEEDBACK_EXAMPLES;
+  let exampleId = null;
+  if (sql && !mayAddExample) {
+    logger.info('Corrected SQL from an anonymous caller kept out of examples', {
+      historyId,
+      service: 'API',
+    });
+  }
+  if (sql && mayAddExample && entry.context?.historyTurns === 0) {
+    try {
+      exampleId = await addQueryExample(datasource, {
+        question: entry.question,
+        sql,
+        source: 'feedback',
+        historyId,
+      });
+    } catch (error) {
+      logger.error('Failed to add corrected query to the examples', {
+        historyId,
+        error: error.message,
+        service: 'API',
+      });
+    }
+  }
+
+  logger.info('Feedback recorded', {
+    historyId,
+    rating,
+    corrected: Boolean(sql),
+    exampleId,
+    service: 'API',
+  });
+
+  res.json({ historyId, rating: rating ?? null, exampleId });
+});
+
 export default router;
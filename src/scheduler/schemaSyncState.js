@@ -0,0 +1,60 @@
+import 'dotenv/config';
+import { existsSync } from 'fs';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Go up two levels to the project root, then into `data/`
+const stateFile =
+  process.env.SCHEMA_SYNC_STATE_FILE ||
+  path.join(__dirname, '..', '..', 'data', 'schema-sync-state.json');
+
+/**
+ * What the schema sync last wrote to the vector store, per datasource:
+ * `{ datasources: { [name]: { target, tables: { [qualifiedName]:
+ *   { fingerprint, syncedAt } } } } }`.
+ * `target` names the vector index, namespace and embeddings the vectors
+ * went to; vectors written elsewhere do not count as synced.
+ */
+const readState = async () =>
+  existsSync(stateFile)
+    ? JSON.parse(await readFile(stateFile, 'utf-8'))
+    : { datasources: {} };
+
+/**
+ * Returns the last synced state of a datasource, or an empty state when it
+ * was never synced to `target`.
+ * @param {string} datasourceName
+ * @param {string} target
+ * @returns {Promise<{target: string, tables: object}>}
+ */
+export const loadSchemaSyncState = async (datasourceName, target) => {
+  const entry = (await readState()).datasources[datasourceName];
+  return entry?.target === target ? entry : { target, tables: {} };
+};
+
+// Writes are chained so datasources finishing together cannot interleave
+let pendingWrite = Promise.resolve();
+
+/**
+ * Replaces the synced state of a datasource. Written to a temp file first so
+ * a crash never leaves a truncated state file.
+ * @param {string} datasourceName
+ * @param {{target: string, tables: object}} entry
+ * @returns {Promise<void>}
+ */
+export const saveSchemaSyncState = (datasourceName, entry) => {
+  pendingWrite = pendingWrite
+    .catch(() => {})
+    .then(async () => {
+      const state = await readState();
+      state.datasources[datasourceName] = entry;
+      await mkdir(path.dirname(stateFile), { recursive: true });
+      await writeFile(`${stateFile}.tmp`, JSON.stringify(state, null, 2));
+      await rename(`${stateFile}.tmp`, stateFile);
+    });
+  return pendingWrite;
+};
@@ -0,0 +1,377 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import { existsSync } from 'fs';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { hasDatasource } from '../config/datasources.js';
+import logger from '../config/logger.js';
+import { getSyncLock } from './syncLock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Go up two levels to the project root, then into `data/`
+const jobsFile =
+  process.env.SYNC_JOBS_FILE ||
+  path.join(__dirname, '..', '..', 'data', 'sync-jobs.json');
+
+const parseLimit = value => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : 200;
+};
+
+// Older runs are dropped from the history file
+const HISTORY_LIMIT = parseLimit(process.env.SYNC_JOB_HISTORY_LIMIT);
+
+const countSchemaChanges = report =>
+  (report.added?.length ?? 0) +
+  (report.changed?.length ?? 0) +
+  (report.resynced?.length ?? 0) +
+  (report.removed?.length ?? 0);
+
+/**
+ * Sync jobs that can be run on demand or on a schedule. `run(options)`
+ * returns one report per datasource; `processed` counts what a report did:
+ * tables synced or removed, or query intents stored.
+ */
+const JOB_TYPES = {
+  schema: {
+    run: async options =>
+      (await import('./syncSchema.js')).runSchemaSync(options),
+    processed: countSchemaChanges,
+  },
+  'query-logs': {
+    run: async options =>
+      (await import('./syncQueryLogs.js')).runQueryLogSync(options),
+    processed: report => report.stored ?? 0,
+  },
+};
+
+export const SYNC_JOB_TYPES = Object.keys(JOB_TYPES);
+
+/**
+ * A run is `{ id, type, status, trigger, attempt, retryOf, options, pid,
+ * startedAt, finishedAt, durationMs, processed, reports, errors }`. `status` is
+ * `running`, `succeeded`, `failed` (the job threw, or a datasource or table
+ * failed), `cancelled`, or `interrupted` when the process running it exited
+ * first. `errors` is a list of `{ datasource, table, error }`.
+ */
+
+const jobError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const isProcessAlive = pid => {
+  try {
+    // Signal 0 only checks that the process exists
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+// Runs started by this process: id -> { run, controller }
+const activeRuns = new Map();
+
+// A run still marked running whose process is gone never finished
+const withLiveStatus = run => {
+  if (activeRuns.has(run.id)) {
+    return activeRuns.get(run.id).run;
+  }
+  const orphaned =
+    run.status === 'running' &&
+    (run.pid === process.pid || !isProcessAlive(run.pid));
+  return orphaned ? { ...run, status: 'interrupted' } : run;
+};
+
+const readRuns = async () => {
+  const { runs } = existsSync(jobsFile)
+    ? JSON.parse(await readFile(jobsFile, 'utf-8'))
+    : { runs: [] };
+  return runs.map(withLiveStatus);
+};
+
+// Writes are chained so runs finishing together cannot interleave
+let pendingWrite = Promise.resolve();
+
+// Saves a run over its previous version, newest first. The file is re-read
+// on every write since the cron process and the API server share it.
+const saveRun = run => {
+  pendingWrite = pendingWrite
+    .catch(() => {})
+    .then(async () => {
+      const runs = (await readRuns()).filter(saved => saved.id !== run.id);
+      runs.push(run);
+      runs.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+      await mkdir(path.dirname(jobsFile), { recursive: true });
+      await writeFile(
+        `${jobsFile}.tmp`,
+        JSON.stringify({ runs: runs.slice(0, HISTORY_LIMIT) }, null, 2),
+      );
+      await rename(`${jobsFile}.tmp`, jobsFile);
+    });
+  return pendingWrite;
+};
+
+const checkOptions = (type, { datasource, table, full, dryRun }) => {
+  if (!JOB_TYPES[type]) {
+    throw jobError(
+      `Unknown sync job type "${type}". Expected one of: ${SYNC_JOB_TYPES.join(', ')}`,
+      400,
+    );
+  }
+  if (datasource !== undefined && !hasDatasource(datasource)) {
+    throw jobError(`Unknown datasource "${datasource}".`, 400);
+  }
+  if (type !== 'schema' && (table !== undefined || full !== undefined)) {
+    throw jobError('`table` and `full` only apply to schema sync jobs.', 400);
+  }
+  if (table !== undefined && (typeof table !== 'string' || !table.trim())) {
+    throw jobError('`table` must be a table name.', 400);
+  }
+  if (full !== undefined && typeof full !== 'boolean') {
+    throw jobError('`full` must be a boolean.', 400);
+  }
+  if (dryRun !== undefined && type !== 'query-logs') {
+    throw jobError('`dryRun` only applies to query-log sync jobs.', 400);
+  }
+  if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+    throw jobError('`dryRun` must be a boolean.', 400);
+  }
+};
+
+const collectErrors = reports =>
+  reports.flatMap(report => [
+    ...(report.error
+      ? [{ datasource: report.datasource, error: report.error }]
+      : []),
+    ...(report.failed || []).map(failure => ({
+      datasource: report.datasource,
+      ...failure,
+    })),
+  ]);
+
+const finishRun = (run, { signal, error }) => {
+  const finishedAt = new Date();
+  run.finishedAt = finishedAt.toISOString();
+  run.durationMs = finishedAt - new Date(run.startedAt);
+  run.errors = collectErrors(run.reports);
+  if (signal.aborted) {
+    run.status = 'cancelled';
+  } else if (error) {
+    run.errors.push({ error: error.message });
+    run.status = 'failed';
+  } else {
+    run.status = run.errors.length > 0 ? 'failed' : 'succeeded';
+  }
+};
+
+const releaseLock = async (run, release) => {
+  try {
+    await release();
+  } catch (error) {
+    logger.error('Failed to release sync lock', {
+      id: run.id,
+      type: run.type,
+      error: error.message,
+      service: 'SYNC_JOBS',
+    });
+  }
+};
+
+const execute = async (run, controller, release) => {
+  const job = JOB_TYPES[run.type];
+  const { signal } = controller;
+  let failure;
+  try {
+    await job.run({
+      datasource: run.options.datasource,
+      tables: run.options.table && [run.options.table],
+      full: run.options.full,
+      dryRun: run.options.dryRun ?? undefined,
+      signal,
+      // Reports are kept as they come, so a running or cancelled job shows
+      // what it has done so far
+      onReport: report => {
+        run.reports.push(report);
+        run.processed += job.processed(report);
+      },
+    });
+  } catch (error) {
+    failure = error;
+  }
+  finishRun(run, { signal, error: failure });
+
+  const log = run.status === 'succeeded' ? logger.info : logger.error;
+  log('Sync job finished', {
+    id: run.id,
+    type: run.type,
+    status: run.status,
+    durationMs: run.durationMs,
+    processed: run.processed,
+    errors: run.errors.length,
+    service: 'SYNC_JOBS',
+  });
+  await saveRun(run).catch(error => {
+    logger.error('Failed to save sync job run', {
+      id: run.id,
+      error: error.message,
+      service: 'SYNC_JOBS',
+    });
+  });
+  // Kept active until saved, so the run never reads as interrupted
+  activeRuns.delete(run.id);
+  await releaseLock(run, release);
+  return run;
+};
+
+/**
+ * Starts a sync job in the background. Only one run of each type can be
+ * running: across every process that shares SYNC_JOBS_FILE, and across
+ * every instance that shares the sync lock (see syncLock.js).
+ * @param {string} type - One of SYNC_JOB_TYPES.
+ * @param {{datasource?: string, table?: string, full?: boolean, dryRun?: boolean}} [options]
+ *   `datasource` limits the job to one datasource; `table` (schema jobs
+ *   only) re-syncs a single table; `full` re-syncs every table; `dryRun`
+ *   (query-log jobs only) reports what sanitizing redacted without storing.
+ * @param {{trigger?: string, attempt?: number, retryOf?: string}} [context]
+ *   What started the run, e.g. `admin` or `cron`; retries of a failed run
+ *   pass their `attempt` number and the id of the first run.
+ * @returns {Promise<{run: object, done: Promise<object>}>} The run as
+ *   started, and a promise of the run once it has finished.
+ * @throws With `status` 400 for invalid options, 409 when a run of the
+ *   same type is already running and 503 when the lock cannot be taken.
+ */
+export const startSyncJob = async (
+  type,
+  options = {},
+  { trigger = 'admin', attempt = 1, retryOf = null } = {},
+) => {
+  checkOptions(type, options);
+  const running = (await readRuns()).find(
+    run => run.type === type && run.status === 'running',
+  );
+  if (running) {
+    const error = jobError(
+      `A ${type} sync job is already running (${running.id}).`,
+      409,
+    );
+    error.runningId = running.id;
+    throw error;
+  }
+
+  let release;
+  try {
+    release = await getSyncLock().acquire(type);
+  } catch (error) {
+    throw jobError(
+      `Could not take the ${type} sync lock: ${error.message}`,
+      503,
+    );
+  }
+  if (!release) {
+    throw jobError(
+      `A ${type} sync job is already running on another instance.`,
+      409,
+    );
+  }
+
+  const run = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'running',
+    trigger,
+    attempt,
+    retryOf,
+    options: {
+      datasource: options.datasource ?? null,
+      table: options.table ?? null,
+      full: options.full ?? false,
+      // `null`: QUERY_LOG_SYNC_DRY_RUN decides
+      dryRun: options.dryRun ?? null,
+    },
+    pid: process.pid,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    processed: 0,
+    reports: [],
+    errors: [],
+  };
+  const controller = new AbortController();
+  activeRuns.set(run.id, { run, controller });
+  try {
+    await saveRun(run);
+  } catch (error) {
+    activeRuns.delete(run.id);
+    await releaseLock(run, release);
+    throw error;
+  }
+
+  logger.info('Sync job started', {
+    id: run.id,
+    type,
+    trigger,
+    attempt,
+    ...run.options,
+    service: 'SYNC_JOBS',
+  });
+  return { run: { ...run }, done: execute(run, controller, release) };
+};
+
+/**
+ * Lists runs, newest first.
+ * @param {{type?: string, status?: string, limit?: number}} [filters]
+ * @returns {Promise<Array<object>>}
+ */
+export const listSyncJobs = async ({ type, status, limit = 50 } = {}) =>
+  (await readRuns())
+    .filter(
+      run => (!type || run.type === type) && (!status || run.status === status),
+    )
+    .slice(0, limit);
+
+/**
+ * Returns one run, or null when it is unknown.
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export const getSyncJob = async id =>
+  (await readRuns()).find(run => run.id === id) ?? null;
+
+/**
+ * Asks a running job to stop. The job stops before its next table or
+ * datasource and is then saved as `cancelled`.
+ * @param {string} id
+ * @returns {Promise<object>} The run, still `running` until it stops.
+ * @throws With `status` 404 for an unknown run and 409 when the run is not
+ *   running, or runs in another process.
+ */
+export const cancelSyncJob = async id => {
+  const active = activeRuns.get(id);
+  if (active) {
+    active.controller.abort();
+    logger.info('Sync job cancellation requested', {
+      id,
+      type: active.run.type,
+      service: 'SYNC_JOBS',
+    });
+    return { ...active.run, cancelRequested: true };
+  }
+
+  const run = await getSyncJob(id);
+  if (!run) {
+    throw jobError(`Unknown sync job "${id}".`, 404);
+  }
+  if (run.status !== 'running') {
+    throw jobError(`Sync job "${id}" is ${run.status}.`, 409);
+  }
+  throw jobError(
+    `Sync job "${id}" runs in another process (pid ${run.pid}) and can only be cancelled there.`,
+    409,
+  );
+};
@@ -0,0 +1,213 @@
+import 'dotenv/config';
+import { existsSync } from 'fs';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createPool, envConnection } from '../config/db.js';
+import logger from '../config/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Go up two levels to the project root, then into `data/`
+const scheduleFile =
+  process.env.SYNC_SCHEDULE_FILE ||
+  path.join(__dirname, '..', '..', 'data', 'sync-schedule.json');
+
+/**
+ * A sync lock keeps every instance of the server and the scheduler from
+ * running the same job at once, and remembers which scheduled runs were
+ * taken. Backends provide:
+ *   acquire(type) -> release() | null when another instance holds the lock
+ *   claimSlot(type, slot, nextSlot) -> true when this instance runs `slot`
+ *   getSchedule(type) -> { lastSlot, nextSlot } | null
+ *   setNextSlot(type, nextSlot)
+ * `lastSlot` is the scheduled time of the last claimed run and `nextSlot`
+ * the scheduled time after it; both are Dates.
+ */
+
+const CREATE_TABLE = `
+  CREATE TABLE IF NOT EXISTS sync_job_schedule (
+    job TEXT PRIMARY KEY,
+    last_slot TIMESTAMPTZ,
+    next_slot TIMESTAMPTZ
+  );`;
+
+/**
+ * Locks with Postgres session-level advisory locks, held by a dedicated
+ * connection for as long as the job runs, so a crashed instance releases
+ * them. Scheduled runs are claimed in the `sync_job_schedule` table,
+ * created on first use. Connects with SYNC_LOCK_DATABASE_URL, or the DB_*
+ * settings when it is not set; every instance must use the same database.
+ */
+export const createPostgresSyncLock = () => {
+  const pool = createPool(
+    process.env.SYNC_LOCK_DATABASE_URL
+      ? { connectionString: process.env.SYNC_LOCK_DATABASE_URL }
+      : envConnection,
+  );
+  let ready;
+  const ensureTable = () => {
+    ready ??= pool.query(CREATE_TABLE).catch(error => {
+      // Allow the next call to try again
+      ready = undefined;
+      throw error;
+    });
+    return ready;
+  };
+
+  return {
+    acquire: async type => {
+      const client = await pool.connect();
+      const key = `sync-job:${type}`;
+      try {
+        const res = await client.query(
+          'SELECT pg_try_advisory_lock(hashtext($1)) AS locked',
+          [key],
+        );
+        if (!res.rows[0].locked) {
+          client.release();
+          return null;
+        }
+      } catch (error) {
+        client.release(true);
+        throw error;
+      }
+      return async () => {
+        try {
+          await client.query('SELECT pg_advisory_unlock(hashtext($1))', [key]);
+          client.release();
+        } catch (error) {
+          // Closing the connection releases the lock as well
+          client.release(true);
+          throw error;
+        }
+      };
+    },
+    claimSlot: async (type, slot, nextSlot) => {
+      await ensureTable();
+      const res = await pool.query(
+        `INSERT INTO sync_job_schedule (job, last_slot, next_slot)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (job) DO UPDATE
+           SET last_slot = EXCLUDED.last_slot, next_slot = EXCLUDED.next_slot
+           WHERE sync_job_schedule.last_slot IS NULL
+              OR sync_job_schedule.last_slot < EXCLUDED.last_slot
+         RETURNING job`,
+        [type, slot, nextSlot],
+      );
+      return res.rowCount > 0;
+    },
+    getSchedule: async type => {
+      await ensureTable();
+      const res = await pool.query(
+        'SELECT last_slot, next_slot FROM sync_job_schedule WHERE job = $1',
+        [type],
+      );
+      const [row] = res.rows;
+      return row ? { lastSlot: row.last_slot, nextSlot: row.next_slot } : null;
+    },
+    setNextSlot: async (type, nextSlot) => {
+      await ensureTable();
+      await pool.query(
+        `INSERT INTO sync_job_schedule (job, next_slot) VALUES ($1, $2)
+         ON CONFLICT (job) DO UPDATE SET next_slot = EXCLUDED.next_slot`,
+        [type, nextSlot],
+      );
+    },
+  };
+};
+
+/**
+ * Locks within this process and keeps scheduled runs in a JSON file
+ * (SYNC_SCHEDULE_FILE). Meant for a single instance: a second replica
+ * would run every job again.
+ */
+export const createLocalSyncLock = ({ file = scheduleFile } = {}) => {
+  const held = new Set();
+
+  const readSchedules = async () =>
+    existsSync(file) ? JSON.parse(await readFile(file, 'utf-8')) : {};
+
+  // Writes are chained so two jobs updating their slots cannot interleave
+  let pendingWrite = Promise.resolve();
+  const update = change => {
+    pendingWrite = pendingWrite
+      .catch(() => {})
+      .then(async () => {
+        const schedules = await readSchedules();
+        const changed = change(schedules);
+        await mkdir(path.dirname(file), { recursive: true });
+        await writeFile(`${file}.tmp`, JSON.stringify(schedules, null, 2));
+        await rename(`${file}.tmp`, file);
+        return changed;
+      });
+    return pendingWrite;
+  };
+
+  const toDate = value => (value ? new Date(value) : null);
+
+  return {
+    acquire: async type => {
+      if (held.has(type)) {
+        return null;
+      }
+      held.add(type);
+      return async () => {
+        held.delete(type);
+      };
+    },
+    claimSlot: (type, slot, nextSlot) =>
+      update(schedules => {
+        const lastSlot = toDate(schedules[type]?.lastSlot);
+        if (lastSlot && lastSlot >= slot) {
+          return false;
+        }
+        schedules[type] = { lastSlot: slot, nextSlot };
+        return true;
+      }),
+    getSchedule: async type => {
+      const schedule = (await readSchedules())[type];
+      if (!schedule) {
+        return null;
+      }
+      return {
+        lastSlot: toDate(schedule.lastSlot),
+        nextSlot: toDate(schedule.nextSlot),
+      };
+    },
+    setNextSlot: async (type, nextSlot) => {
+      await update(schedules => {
+        schedules[type] = { ...schedules[type], nextSlot };
+      });
+    },
+  };
+};
+
+const BACKENDS = {
+  postgres: createPostgresSyncLock,
+  local: createLocalSyncLock,
+};
+
+let activeLock;
+
+/**
+ * Returns the sync lock selected by SYNC_LOCK: `postgres`, the default, or
+ * `local`.
+ */
+export const getSyncLock = () => {
+  const backend = (process.env.SYNC_LOCK || 'postgres').toLowerCase();
+  if (!BACKENDS[backend]) {
+    throw new Error(
+      `Unknown sync lock "${backend}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`,
+    );
+  }
+  if (!activeLock) {
+    activeLock = BACKENDS[backend]();
+    logger.info('Sync lock initialized', {
+      backend,
+      service: 'SYNC_JOBS',
+    });
+  }
+  return activeLock;
+};
@@ -1,9 +1,18 @@
 import 'dotenv/config';
-import dbPool from '../config/db.js';
-import { VertexAI, VertexAIEmbeddings } from '@langchain/google-vertexai';
-import { Pinecone } from '@pinecone-database/pinecone';
+import { listDatasources } from '../config/datasources.js';
 import crypto from 'crypto';
 import { createServiceLogger } from '../config/logger.js';
+import { createLlmClient } from '../services/llm/index.js';
+import { cosineSimilarity, createEmbeddings } from '../services/embeddings.js';
+import { fingerprintQuery } from '../services/queryFingerprint.js';
+import {
+  compileRedactions,
+  sanitizeQuery,
+} from '../services/querySanitizer.js';
+import {
+  getVectorStore,
+  QUERY_INDEX_NAME,
+} from '../services/vectorStore/index.js';
 // import { readFile } from 'fs/promises';
 // import path from 'path';
 // import { fileURLToPath } from 'url';
@@ -18,16 +27,37 @@ import { createServiceLogger } from '../config/logger.js';
 
 // --- CLIENT SETUPS ---
 const logger = createServiceLogger('QueryLogSync');
-const llm = new VertexAI({ model: 'claude-sonnet-4@20250514' });
-const embeddings = new VertexAIEmbeddings({ model: 'text-embedding-004' });
-const pinecone = new Pinecone();
-// Connect to our NEW index for query intents
-const queryIntentsIndex = pinecone.index(process.env.PINECONE_QUERY_INDEX_NAME);
+const llm = createLlmClient({
+  scope: 'QUERY_LOG_SYNC',
+  provider: 'vertex',
+  model: 'claude-sonnet-4@20250514',
+});
+const embeddings = createEmbeddings();
+const vectorStore = getVectorStore();
+
+// Dry runs fetch and sanitize queries but neither summarize nor store them
+const DRY_RUN = process.env.QUERY_LOG_SYNC_DRY_RUN === 'true';
+
+const parseThreshold = (value, fallback) => {
+  const parsed = Number.parseFloat(value);
+  return parsed >= 0 && parsed <= 1 ? parsed : fallback;
+};
+
+// Intents whose summaries embed at least this similar are stored once; 0
+// turns clustering off
+const CLUSTER_THRESHOLD = parseThreshold(
+  process.env.QUERY_LOG_CLUSTER_THRESHOLD,
+  0.9,
+);
+
+const md5 = text => crypto.createHash('md5').update(text).digest('hex');
 
 // --- JOB TO SYNC QUERY LOGS ---
-const fetchRecentQueries = async () => {
-  logger.info('Fetching recent queries from database logs...');
-  const client = await dbPool.connect();
+const fetchRecentQueries = async datasource => {
+  logger.info(
+    `Fetching recent queries from database logs of ${datasource.name}...`,
+  );
+  const client = await datasource.pool.connect();
   try {
     const res = await client.query(`
             SELECT query, SUM(calls) as total_calls
@@ -37,20 +67,85 @@ const fetchRecentQueries = async () => {
             ORDER BY total_calls DESC
             LIMIT 100;
         `);
-    return res.rows.map(row => row.query);
+    return res.rows.map(row => ({
+      query: row.query,
+      calls: Number(row.total_calls) || 1,
+    }));
   } finally {
     client.release();
   }
 };
-const sanitizeQueries = queries => {
+/**
+ * Replaces the literals of each query with typed placeholders and leaves out
+ * queries that read a redacted column. Queries with the same shape (see
+ * queryFingerprint.js) are one intent, represented by the query called most
+ * often.
+ * @param {object} datasource - Decides the redacted columns.
+ * @param {Array<{query: string, calls: number}>} queries - Raw queries from
+ *   the database logs.
+ * @returns {{intents: Array<object>, report: object, entries: Array<object>}}
+ *   The intents to summarize as `{ sanitizedQuery, frequency, variants,
+ *   queries }`, counts of what was replaced and left out, and each sanitized
+ *   query with its fingerprint, placeholders and redacted columns. Raw
+ *   queries are never reported.
+ */
+const sanitizeQueries = (datasource, queries) => {
   logger.info('Sanitizing queries...');
-  return queries.map(query =>
-    query
-      .replace(/WHERE\s+\S+\s*=\s*'.*?'/g, "WHERE column = 'value'")
-      .replace(/AND\s+\S+\s*=\s*'.*?'/g, "AND column = 'value'")
-      .replace(/WHERE\s+\S+\s*=\s*\d+/g, 'WHERE column = 123')
-      .replace(/AND\s+\S+\s*=\s*\d+/g, 'AND column = 123'),
-  );
+  const redactions = compileRedactions(datasource.redactColumns);
+  const placeholders = {};
+  const entries = queries.map(({ query, calls }) => {
+    const sanitized = sanitizeQuery(query, { redactions });
+    Object.entries(sanitized.placeholders).forEach(([type, count]) => {
+      placeholders[type] = (placeholders[type] ?? 0) + count;
+    });
+    return {
+      ...sanitized,
+      calls,
+      fingerprint: fingerprintQuery(sanitized.sql),
+    };
+  });
+
+  const kept = entries.filter(entry => entry.redactedColumns.length === 0);
+  const intents = new Map();
+  kept.forEach(entry => {
+    const intent = intents.get(entry.fingerprint);
+    if (!intent) {
+      intents.set(entry.fingerprint, {
+        sanitizedQuery: entry.sql,
+        calls: entry.calls,
+        frequency: entry.calls,
+        variants: 1,
+        queries: new Set([entry.sql]),
+      });
+      return;
+    }
+    if (entry.calls > intent.calls) {
+      intent.sanitizedQuery = entry.sql;
+      intent.calls = entry.calls;
+    }
+    intent.frequency += entry.calls;
+    intent.variants += 1;
+    intent.queries.add(entry.sql);
+  });
+
+  return {
+    intents: [...intents.values()],
+    report: {
+      queries: queries.length,
+      redacted: entries.length - kept.length,
+      duplicates: kept.length - intents.size,
+      fingerprints: intents.size,
+      placeholders,
+    },
+    entries: entries.map(
+      ({ sql, fingerprint, placeholders: replaced, redactedColumns }) => ({
+        query: sql,
+        fingerprint,
+        placeholders: replaced,
+        redactedColumns,
+      }),
+    ),
+  };
 };
 
 /**
@@ -83,23 +178,23 @@ const runWithConcurrency = async (tasks, concurrency = 5) => {
 };
 
 /**
- * Takes sanitized queries and uses an LLM to generate a natural language summary for each.
- * @param {Array<string>} sanitizedQueries - The array of sanitized query strings.
- * @param {number} delayMs - Optional cooldown period between each LLM call in milliseconds.
- * @returns {Promise<Array<{summary: string, sanitizedQuery: string}>>}
+ * Takes query intents and uses an LLM to generate a natural language summary for each.
+ * @param {Array<{sanitizedQuery: string}>} intents - From sanitizeQueries.
+ * @param {number} concurrency - Max number of concurrent LLM calls.
+ * @returns {Promise<Array<object>>} Each intent with its `summary`.
  */
-const summarizeQueries = async (sanitizedQueries, concurrency = 10) => {
+const summarizeQueries = async (intents, concurrency = 10) => {
   logger.info(
-    `Generating AI summaries for ${sanitizedQueries.length} queries with concurrency = ${concurrency}...`,
+    `Generating AI summaries for ${intents.length} queries with concurrency = ${concurrency}...`,
   );
 
-  const tasks = sanitizedQueries.map(query => async () => {
+  const tasks = intents.map(intent => async () => {
     const prompt = `
       You are an expert data analyst. Analyze the following SQL query and describe its business purpose in one clear sentence. Focus on what the query achieves, not just a literal description.
 
       SQL Query:
       \`\`\`sql
-      ${query}
+      ${intent.sanitizedQuery}
       \`\`\`
 
       Example: For 'SELECT "product_name", SUM("amount") FROM "transactions" GROUP BY "product_name"', a good summary is "Calculates the total sales revenue for each product."
@@ -108,19 +203,63 @@ const summarizeQueries = async (sanitizedQueries, concurrency = 10) => {
     `;
 
     const summary = await llm.invoke(prompt);
-    return { summary: summary.trim(), sanitizedQuery: query };
+    return { ...intent, summary: summary.trim() };
   });
 
   return runWithConcurrency(tasks, concurrency);
 };
 
 /**
- * Embeds query summaries and upserts them to Pinecone with concurrency and batching.
- * @param {Array<{summary: string, sanitizedQuery: string}>} summarizedIntents
+ * Groups intents whose summaries mean the same thing, e.g. two differently
+ * written queries counting orders per day. Intents are visited most frequent
+ * first and join the most similar cluster whose representative is at least
+ * `threshold` similar, so each cluster is represented by its most frequent
+ * intent and counts the calls and variants of all of them.
+ * @param {Array<object>} intents - Embedded intents, with `values`.
+ * @param {number} threshold - Minimum cosine similarity; 0 keeps every
+ *   intent apart.
+ * @returns {Array<object>} The representatives, each with its `members`.
+ */
+const clusterIntents = (intents, threshold = CLUSTER_THRESHOLD) => {
+  const clusters = [];
+  [...intents]
+    .sort((a, b) => b.frequency - a.frequency)
+    .forEach(intent => {
+      let closest = null;
+      let closestSimilarity = threshold;
+      if (threshold > 0) {
+        clusters.forEach(cluster => {
+          const similarity = cosineSimilarity(cluster.values, intent.values);
+          if (similarity >= closestSimilarity) {
+            closest = cluster;
+            closestSimilarity = similarity;
+          }
+        });
+      }
+      if (!closest) {
+        clusters.push({ ...intent, members: [intent] });
+        return;
+      }
+      closest.frequency += intent.frequency;
+      closest.variants += intent.variants;
+      closest.members.push(intent);
+    });
+  return clusters;
+};
+
+/**
+ * Embeds query summaries, clusters them and upserts one vector per cluster
+ * to the vector store with concurrency and batching. Vectors that earlier
+ * syncs stored for queries now merged into a cluster are deleted.
+ * @param {object} datasource - Decides the vector namespace.
+ * @param {Array<object>} summarizedIntents - From summarizeQueries.
  * @param {number} concurrency - Number of parallel embeddings to run
  * @param {number} batchSize - Number of vectors to send in each upsert batch
+ * @returns {Promise<{clusters: number, stored: number}>} How many clusters
+ *   were found and how many vectors were upserted.
  */
 const embedAndStoreQueries = async (
+  datasource,
   summarizedIntents,
   concurrency = 10,
   batchSize = 20,
@@ -129,19 +268,16 @@ const embedAndStoreQueries = async (
     `Embedding and storing ${summarizedIntents.length} query intents...`,
   );
 
-  // Helper to embed a single summary and return the Pinecone vector format
-  const embedTask = async ({ summary, sanitizedQuery }) => {
-    const id = crypto.createHash('md5').update(sanitizedQuery).digest('hex');
-    const vector = await embeddings.embedQuery(summary);
-    return {
-      id,
-      values: vector,
-      metadata: {
-        summary,
-        query: sanitizedQuery,
-      },
-    };
-  };
+  // Connect to our NEW index for query intents, in the datasource's namespace
+  const queryIntentsIndex = vectorStore
+    .index(QUERY_INDEX_NAME)
+    .namespace(datasource.vectorNamespace);
+
+  // Helper to embed a single summary
+  const embedTask = async intent => ({
+    ...intent,
+    values: await embeddings.embedQuery(intent.summary),
+  });
 
   // Run embedding in parallel with limited concurrency
   const embedWithConcurrency = async (items, concurrency) => {
@@ -166,49 +302,174 @@ const embedAndStoreQueries = async (
     return results.filter(Boolean); // Remove any nulls
   };
 
-  const embeddedVectors = await embedWithConcurrency(
+  const embeddedIntents = await embedWithConcurrency(
     summarizedIntents,
     concurrency,
   );
+  const clusters = clusterIntents(embeddedIntents);
+  logger.info(
+    `🧩 Clustered ${embeddedIntents.length} query intents into ${clusters.length}.`,
+  );
 
-  // Batch upsert to Pinecone
+  // The id is derived from the query as in queryExamples.js
+  const embeddedVectors = clusters.map(cluster => ({
+    id: md5(cluster.sanitizedQuery),
+    values: cluster.values,
+    metadata: {
+      summary: cluster.summary,
+      query: cluster.sanitizedQuery,
+      datasource: datasource.name,
+      frequency: cluster.frequency,
+      variants: cluster.variants,
+    },
+  }));
+
+  // Batch upsert to the vector store
+  let stored = 0;
   for (let i = 0; i < embeddedVectors.length; i += batchSize) {
     const batch = embeddedVectors.slice(i, i + batchSize);
     try {
       await queryIntentsIndex.upsert(batch);
+      stored += batch.length;
     } catch (err) {
       logger.error(`Upsert batch failed at index ${i}: ${err.message}`);
     }
   }
 
-  logger.info('Pinecone upsert for query intents complete.');
+  const storedIds = new Set(embeddedVectors.map(vector => vector.id));
+  const mergedIds = [
+    ...new Set(
+      clusters
+        .flatMap(cluster => cluster.members)
+        .flatMap(member => [...member.queries].map(md5)),
+    ),
+  ].filter(id => !storedIds.has(id));
+  if (mergedIds.length > 0) {
+    try {
+      await queryIntentsIndex.deleteMany(mergedIds);
+    } catch (err) {
+      logger.error(`Deleting merged query intents failed: ${err.message}`);
+    }
+  }
+
+  logger.info('Vector store upsert for query intents complete.');
+  return { clusters: clusters.length, stored };
 };
 
-// --- MAIN JOB ORCHESTRATOR ---
-export const runQueryLogSync = async () => {
-  logger.info('🚀 Starting query log sync job...');
+/**
+ * Summarizes and stores the most frequent queries of one datasource.
+ * @param {object} datasource - From config/datasources.js.
+ * @param {{signal?: AbortSignal, dryRun?: boolean}} [options] - `signal`
+ *   cancels the sync between its steps; `dryRun` stops after sanitizing.
+ * @returns {Promise<object>} `queries` fetched, `redacted` and `duplicates`
+ *   left out, `fingerprints` (distinct query shapes), `placeholders` by
+ *   type, `clusters` and `stored`; a dry run reports every sanitized query
+ *   in `entries` instead of storing them.
+ */
+const syncDatasourceQueryLogs = async (
+  datasource,
+  { signal, dryRun = false } = {},
+) => {
+  // const fileContent = await readFile(jsonPath, 'utf-8');
+  // const rawQueries = JSON.parse(fileContent);
+  const rawQueries = await fetchRecentQueries(datasource);
+  if (!Array.isArray(rawQueries) || rawQueries.length === 0) {
+    logger.warn(
+      `⚠️ No queries found for datasource ${datasource.name}. Skipping sync.`,
+    );
+    return { queries: 0, stored: 0 };
+  }
 
-  try {
-    // const fileContent = await readFile(jsonPath, 'utf-8');
-    // const rawQueries = JSON.parse(fileContent);
-    const rawQueries = await fetchRecentQueries();
-    if (!Array.isArray(rawQueries) || rawQueries.length === 0) {
-      logger.warn('⚠️ No queries found in input JSON. Skipping sync.');
-      return;
-    }
+  const { intents, report, entries } = sanitizeQueries(datasource, rawQueries);
+  logger.info(
+    `🧼 Sanitized ${rawQueries.length} queries: ${report.redacted} redacted, ${report.duplicates} duplicates, ${report.fingerprints} distinct shapes.`,
+  );
+  if (dryRun) {
+    logger.info(
+      `🔍 Dry run for datasource ${datasource.name}: nothing summarized or stored.`,
+    );
+    return { dryRun: true, ...report, entries, stored: 0 };
+  }
 
-    const sanitizedQueries = sanitizeQueries(rawQueries);
-    logger.info(`🧼 Sanitized ${sanitizedQueries.length} queries.`);
+  signal?.throwIfAborted();
+  const summarizedIntents = (await summarizeQueries(intents, 10)).filter(
+    intent => !intent.error,
+  );
+  logger.info(`🧠 Generated ${summarizedIntents.length} query summaries.`);
 
-    const summarizedIntents = await summarizeQueries(sanitizedQueries, 10);
-    logger.info(`🧠 Generated ${summarizedIntents.length} query summaries.`);
+  signal?.throwIfAborted();
+  const { clusters, stored } = await embedAndStoreQueries(
+    datasource,
+    summarizedIntents,
+    10,
+    50,
+  );
+  return { ...report, clusters, stored };
+};
 
-    await embedAndStoreQueries(summarizedIntents, 10, 50);
-    logger.info('✅ Query log sync job completed successfully.');
-  } catch (error) {
-    logger.error('❌ Query log sync job failed:', {
-      error: error.message,
-      stack: error.stack,
-    });
+// --- MAIN JOB ORCHESTRATOR ---
+/**
+ * Syncs the query intents of every PostgreSQL datasource.
+ * @param {{datasource?: string, dryRun?: boolean, signal?: AbortSignal, onReport?: Function}} [options]
+ *   `datasource` limits the sync to one datasource; `dryRun` (default
+ *   QUERY_LOG_SYNC_DRY_RUN) only reports what sanitizing replaced and
+ *   redacted; `signal` cancels the sync between steps; `onReport` is called
+ *   with each report as it is made.
+ * @returns {Promise<Array<object>>} One report per datasource: from
+ *   `syncDatasourceQueryLogs`, `skipped` with the reason, or `error`.
+ */
+export const runQueryLogSync = async ({
+  datasource: datasourceName,
+  dryRun = DRY_RUN,
+  signal,
+  onReport,
+} = {}) => {
+  logger.info(`🚀 Starting query log sync job${dryRun ? ' (dry run)' : ''}...`);
+  const reports = [];
+  const report = entry => {
+    reports.push(entry);
+    onReport?.(entry);
+  };
+
+  const datasources = listDatasources().filter(
+    datasource => !datasourceName || datasource.name === datasourceName,
+  );
+
+  // Datasources are synced one at a time; a failure in one does not stop
+  // the others
+  for (const datasource of datasources) {
+    signal?.throwIfAborted();
+    if (datasource.dialect.connector !== 'postgres') {
+      logger.warn(
+        `Skipping datasource ${datasource.name}: pg_stat_statements requires PostgreSQL.`,
+      );
+      report({
+        datasource: datasource.name,
+        skipped: 'pg_stat_statements requires PostgreSQL',
+      });
+      continue;
+    }
+
+    try {
+      const counts = await syncDatasourceQueryLogs(datasource, {
+        signal,
+        dryRun,
+      });
+      logger.info(
+        `✅ Query log sync completed for datasource ${datasource.name}.`,
+      );
+      report({ datasource: datasource.name, ...counts });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      logger.error('❌ Query log sync job failed:', {
+        datasource: datasource.name,
+        error: error.message,
+        stack: error.stack,
+      });
+      report({ datasource: datasource.name, error: error.message });
+    }
   }
+  return reports;
 };
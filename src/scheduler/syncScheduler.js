@@ -0,0 +1,195 @@
+import 'dotenv/config';
+import cron from 'node-cron';
+import logger from '../config/logger.js';
+import { startSyncJob } from './syncJobs.js';
+import { getSyncLock } from './syncLock.js';
+
+const DEFAULT_EXPRESSION = '0 2 * * *';
+const DEFAULT_TIMEZONE = process.env.SYNC_TIMEZONE || 'Asia/Kolkata';
+
+const parseCount = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// A failed run is started again up to SYNC_JOB_MAX_RETRIES times, waiting
+// SYNC_JOB_RETRY_DELAY_MS before the first retry and twice as long before
+// each next one
+const MAX_RETRIES = parseCount(process.env.SYNC_JOB_MAX_RETRIES, 2);
+const RETRY_DELAY_MS = parseCount(process.env.SYNC_JOB_RETRY_DELAY_MS, 60000);
+
+/**
+ * When each sync job runs: a cron expression (`off` disables the job) and
+ * the timezone it is read in.
+ */
+export const JOB_SCHEDULES = [
+  {
+    type: 'schema',
+    expression: process.env.SCHEMA_SYNC_SCHEDULE || DEFAULT_EXPRESSION,
+    timezone: process.env.SCHEMA_SYNC_TIMEZONE || DEFAULT_TIMEZONE,
+  },
+  {
+    type: 'query-logs',
+    expression: process.env.QUERY_LOG_SYNC_SCHEDULE || DEFAULT_EXPRESSION,
+    timezone: process.env.QUERY_LOG_SYNC_TIMEZONE || DEFAULT_TIMEZONE,
+  },
+];
+
+const checkSchedule = ({ type, expression, timezone }) => {
+  if (!cron.validate(expression)) {
+    throw new Error(`Invalid cron expression "${expression}" for ${type}`);
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error(`Unknown timezone "${timezone}" for ${type}`);
+  }
+};
+
+const sleep = ms =>
+  new Promise(resolve => {
+    setTimeout(resolve, ms);
+  });
+
+/**
+ * Runs a job, and runs it again with exponential backoff while it fails.
+ * Gives up without retrying when the job is already running elsewhere or
+ * was cancelled.
+ */
+const runWithRetries = async (type, trigger) => {
+  let retryOf = null;
+  for (let attempt = 1; attempt <= MAX_RETRIES + 1; attempt += 1) {
+    let status = 'failed';
+    try {
+      const { run, done } = await startSyncJob(
+        type,
+        {},
+        { trigger, attempt, retryOf },
+      );
+      retryOf ??= run.id;
+      ({ status } = await done);
+    } catch (error) {
+      if (error.status === 409) {
+        logger.info('Sync job already running, scheduled run skipped', {
+          type,
+          reason: error.message,
+          service: 'SYNC_SCHEDULER',
+        });
+        return;
+      }
+      logger.error('Sync job could not be started', {
+        type,
+        attempt,
+        error: error.message,
+        service: 'SYNC_SCHEDULER',
+      });
+    }
+    if (status !== 'failed') {
+      return;
+    }
+    if (attempt > MAX_RETRIES) {
+      logger.error('Sync job failed after every retry', {
+        type,
+        attempts: attempt,
+        service: 'SYNC_SCHEDULER',
+      });
+      return;
+    }
+    const delayMs = RETRY_DELAY_MS * 2 ** (attempt - 1);
+    logger.warn('Sync job failed, retrying', {
+      type,
+      attempt,
+      delayMs,
+      service: 'SYNC_SCHEDULER',
+    });
+    await sleep(delayMs);
+  }
+};
+
+/**
+ * Runs the scheduled run of `slot` unless another instance claimed it
+ * first, so replicas sharing the sync lock run each scheduled run once.
+ */
+const runSlot = async (schedule, task, slot, trigger) => {
+  let claimed;
+  try {
+    claimed = await getSyncLock().claimSlot(
+      schedule.type,
+      slot,
+      task.getNextRun(),
+    );
+  } catch (error) {
+    logger.error('Scheduled sync run could not be claimed', {
+      type: schedule.type,
+      slot: slot.toISOString(),
+      error: error.message,
+      service: 'SYNC_SCHEDULER',
+    });
+    return;
+  }
+  if (!claimed) {
+    logger.info('Scheduled sync run taken by another instance', {
+      type: schedule.type,
+      slot: slot.toISOString(),
+      service: 'SYNC_SCHEDULER',
+    });
+    return;
+  }
+  await runWithRetries(schedule.type, trigger);
+};
+
+/**
+ * Starts a catch-up run when the scheduled run recorded as next already
+ * passed without any instance claiming it, e.g. because every instance was
+ * down at the time. Otherwise records when the job runs next.
+ */
+const catchUp = async (schedule, task) => {
+  const lock = getSyncLock();
+  const saved = await lock.getSchedule(schedule.type);
+  const missed =
+    saved?.nextSlot &&
+    saved.nextSlot < new Date() &&
+    !(saved.lastSlot >= saved.nextSlot);
+  if (!missed) {
+    await lock.setNextSlot(schedule.type, task.getNextRun());
+    return;
+  }
+  logger.warn('Scheduled sync run was missed, catching up', {
+    type: schedule.type,
+    missed: saved.nextSlot.toISOString(),
+    service: 'SYNC_SCHEDULER',
+  });
+  await runSlot(schedule, task, saved.nextSlot, 'catch-up');
+};
+
+// Scheduled times are whole seconds; the tick may fire a few ms later
+const toSlot = date => new Date(Math.floor(date.getTime() / 1000) * 1000);
+
+/**
+ * Schedules every enabled sync job and starts catch-up runs for the ones
+ * that were missed.
+ * @returns {Array<{type: string, expression: string, timezone: string, nextRun: Date}>}
+ * @throws When a schedule or timezone is invalid.
+ */
+export const startSyncScheduler = () => {
+  const enabled = JOB_SCHEDULES.filter(
+    schedule => schedule.expression !== 'off',
+  );
+  enabled.forEach(checkSchedule);
+
+  return enabled.map(schedule => {
+    const task = cron.schedule(
+      schedule.expression,
+      context => runSlot(schedule, task, toSlot(context.date), 'cron'),
+      { timezone: schedule.timezone, name: `${schedule.type}-sync` },
+    );
+    catchUp(schedule, task).catch(error => {
+      logger.error('Missed sync runs could not be checked', {
+        type: schedule.type,
+        error: error.message,
+        service: 'SYNC_SCHEDULER',
+      });
+    });
+    return { ...schedule, nextRun: task.getNextRun() };
+  });
+};
@@ -1,8 +1,20 @@
 import 'dotenv/config';
-import { VertexAI, VertexAIEmbeddings } from '@langchain/google-vertexai';
-import { Pinecone } from '@pinecone-database/pinecone';
-import dbPool from '../config/db.js';
+import { createHash } from 'crypto';
 import logger from '../config/logger.js';
+import { isColumnAllowed, listDatasources } from '../config/datasources.js';
+import { DEFAULT_SCHEMA } from '../config/schemaFilters.js';
+import { createLlmClient } from '../services/llm/index.js';
+import { createEmbeddings } from '../services/embeddings.js';
+import {
+  formatForeignKey,
+  formatTableSchema,
+  introspectSchema,
+} from '../services/schemaIntrospection.js';
+import {
+  getVectorStore,
+  TABLE_INDEX_NAME,
+} from '../services/vectorStore/index.js';
+import { loadSchemaSyncState, saveSchemaSyncState } from './schemaSyncState.js';
 import { readFile } from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -12,13 +24,9 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Go up one level to the parent, then into `content/`
-const tableStandardJsonPath = path.join(
-  __dirname,
-  '..',
-  '..',
-  'content',
-  'table-standard.json',
-);
+const tableStandardJsonPath =
+  process.env.TABLE_STANDARD_FILE ||
+  path.join(__dirname, '..', '..', 'content', 'table-standard.json');
 
 const tableSqlJsonPath = path.join(
   __dirname,
@@ -29,55 +37,65 @@ const tableSqlJsonPath = path.join(
 );
 
 // --- CLIENT SETUPS ---
-const llm = new VertexAI({ model: 'claude-sonnet-4@20250514', temperature: 0 });
-const pinecone = new Pinecone();
-const pineconeIndex = pinecone.index(process.env.PINECONE_INDEX_NAME);
-const embeddings = new VertexAIEmbeddings({ model: 'text-embedding-004' });
+const llm = createLlmClient({
+  scope: 'SCHEMA_SYNC',
+  provider: 'vertex',
+  model: 'claude-sonnet-4@20250514',
+  temperature: 0,
+});
+const vectorStore = getVectorStore();
+const embeddings = createEmbeddings();
 
 // --- PIPELINE FUNCTIONS ---
 
-const getDatabaseSchema = async () => {
+const getDatabaseSchema = async datasource => {
   logger.info('Inspecting database to get table schemas', {
+    datasource: datasource.name,
+    service: 'SCHEMA_SYNC',
+  });
+  const tables = await introspectSchema(datasource);
+  const tableSchemas = tables.map(table => ({
+    // Fully qualified, so tables with the same name in different schemas
+    // get their own vector
+    name: table.qualifiedName,
+    schemaName: table.schema,
+    tableName: table.name,
+    kind: table.kind,
+    // Keys, enum values and comments are part of the summarized text
+    schema: formatTableSchema(table),
+    primaryKey: table.primaryKey,
+    relationships: table.foreignKeys.map(foreignKey =>
+      formatForeignKey(table, foreignKey),
+    ),
+    // Everything introspected: columns, keys, indexes, comments, enums
+    introspected: table,
+  }));
+
+  logger.info('Database schema inspection completed', {
+    tableCount: tableSchemas.length,
+    tableNames: tableSchemas.map(t => t.name),
     service: 'SCHEMA_SYNC',
   });
-  const client = await dbPool.connect();
-  try {
-    const res = await client.query(
-      "SELECT t.table_name, c.column_name, c.data_type FROM information_schema.tables t JOIN information_schema.columns c ON t.table_name = c.table_name AND t.table_schema = c.table_schema WHERE t.table_schema = 'public' AND t.table_type = 'BASE TABLE' ORDER BY t.table_name, c.ordinal_position;",
-    );
-    const tables = res.rows.reduce(
-      (acc, { table_name, column_name, data_type }) => {
-        if (!acc[table_name]) {
-          acc[table_name] = [];
-        }
-        acc[table_name].push(`${column_name} ${data_type}`);
-        return acc;
-      },
-      {},
-    );
-    const tableSchemas = Object.keys(tables).map(tableName => ({
-      name: tableName,
-      schema: tables[tableName].join(', '),
-    }));
-
-    logger.info('Database schema inspection completed', {
-      tableCount: tableSchemas.length,
-      tableNames: tableSchemas.map(t => t.name),
-      service: 'SCHEMA_SYNC',
-    });
 
-    return tableSchemas;
-  } finally {
-    client.release();
-  }
+  return tableSchemas;
 };
 
 /**
  * Finds real-world sample queries for a specific table from the database logs.
- * @param {string} tableName - The name of the table to find queries for.
+ * @param {object} datasource - The datasource the table belongs to.
+ * @param {{schemaName: string, tableName: string}} table - The table to find queries for.
  * @returns {Promise<Array<string>>} An array of sample query strings.
  */
-const findSampleQueriesForTable = async tableName => {
+const findSampleQueriesForTable = async (
+  datasource,
+  { schemaName, tableName },
+) => {
+  // Tables outside the default schema are only found by their qualified name
+  const schemaPrefix =
+    schemaName === DEFAULT_SCHEMA
+      ? `("?${schemaName}"?[.])?`
+      : `"?${schemaName}"?[.]`;
+  const tablePattern = `${schemaPrefix}"?${tableName}"?`;
   // This query is specific to PostgreSQL and pg_stat_statements.
   // The `~* E'\\b"tableName"\\b'` is a regular expression to match the exact table name as a whole word.
   const sql = `
@@ -85,12 +103,12 @@ const findSampleQueriesForTable = async tableName => {
         FROM pg_stat_statements
         WHERE
             query ILIKE 'SELECT%' AND
-            (query ~* E'\\mfrom\\s+"?${tableName}"?\\M' OR query ~* E'\\mjoin\\s+"?${tableName}"?\\M')
+            (query ~* E'\\mfrom\\s+${tablePattern}\\M' OR query ~* E'\\mjoin\\s+${tablePattern}\\M')
         ORDER BY
             calls DESC
         LIMIT 3;
     `;
-  const client = await dbPool.connect();
+  const client = await datasource.pool.connect();
   try {
     const res = await client.query(sql);
     // We only return the query string itself.
@@ -102,22 +120,31 @@ const findSampleQueriesForTable = async tableName => {
 
 /**
  * For a given table, fetches distinct values for specified columns.
- * @param {string} tableName - The name of the table.
+ * Columns on the datasource column denylist are never sampled.
+ * @param {object} datasource - The datasource the table belongs to.
+ * @param {{schemaName: string, tableName: string}} table - The table.
  * @param {Array<string>} columns - The columns to sample.
  * @returns {Promise<string>} A formatted string of sample values.
  */
-const getSampleDataForTable = async (tableName, columns) => {
-  if (!columns || columns.length === 0) {
+const getSampleDataForTable = async (
+  datasource,
+  { schemaName, tableName },
+  columns,
+) => {
+  const allowedColumns = (columns || []).filter(column =>
+    isColumnAllowed(datasource, tableName, column, schemaName),
+  );
+  if (allowedColumns.length === 0) {
     return '';
   }
 
   let profileString = '\n\nSample column values:\n';
-  const client = await dbPool.connect();
+  const client = await datasource.pool.connect();
 
   try {
-    for (const column of columns) {
+    for (const column of allowedColumns) {
       const res = await client.query(
-        `SELECT DISTINCT "${column}" FROM "${tableName}" LIMIT 10`,
+        `SELECT DISTINCT "${column}" FROM "${schemaName}"."${tableName}" LIMIT 10`,
       );
       const values = res.rows.map(r => r[column]).join(', ');
       profileString += `- ${column}: [${values}]\n`;
@@ -170,29 +197,42 @@ const generateSummaryForTable = async (
   return { ...table, summary: summary.trim() };
 };
 
-const upsertToPinecone = async enrichedTables => {
-  logger.info('Starting Pinecone upsert operation', {
+const upsertToVectorStore = async (datasource, enrichedTables) => {
+  logger.info('Starting vector store upsert operation', {
     tableCount: enrichedTables.length,
+    datasource: datasource.name,
     service: 'SCHEMA_SYNC',
   });
 
+  // Each datasource keeps its vectors in its own namespace
+  const tableIndex = vectorStore
+    .index(TABLE_INDEX_NAME)
+    .namespace(datasource.vectorNamespace);
+
   for (const table of enrichedTables) {
     const vector = await embeddings.embedQuery(table.summary);
-    await pineconeIndex.upsert([
+    await tableIndex.upsert([
       {
         id: table.name,
         values: vector,
         metadata: {
           name: table.name,
+          schemaName: table.schemaName,
+          tableName: table.tableName,
+          kind: table.kind,
+          datasource: datasource.name,
           summary: table.summary,
           schema: table.schema,
+          // Lists of strings, so they are valid Pinecone metadata
+          primaryKey: table.primaryKey,
+          relationships: table.relationships,
           tier: table.tier || 'IRON',
           domain: table.domain || 'IRON',
         },
       },
     ]);
 
-    logger.debug('Upserted table to Pinecone', {
+    logger.debug('Upserted table to vector store', {
       tableName: table.name,
       tier: table.tier || 'IRON',
       domain: table.domain || 'IRON',
@@ -200,21 +240,241 @@ const upsertToPinecone = async enrichedTables => {
     });
   }
 
-  logger.info('Pinecone upsert operation completed', {
+  logger.info('Vector store upsert operation completed', {
     tableCount: enrichedTables.length,
     service: 'SCHEMA_SYNC',
   });
 };
 
+// Metadata entries are keyed by `schema.table`, or by the bare table name
+const findTableMetadata = (tableMetadata, table) =>
+  tableMetadata[table.name] || tableMetadata[table.tableName];
+
+// Changes to any part of the table or to its entry in table-standard.json
+// give a new fingerprint
+const fingerprintTable = (table, metadata) =>
+  createHash('sha256')
+    .update(JSON.stringify({ table: table.introspected, metadata }))
+    .digest('hex');
+
+// Vectors only count as synced in the index, namespace and embedding space
+// they were written to
+const syncTarget = datasource =>
+  [
+    vectorStore.backend,
+    TABLE_INDEX_NAME,
+    datasource.vectorNamespace,
+    (process.env.EMBEDDINGS_PROVIDER || 'vertex').toLowerCase(),
+    process.env.EMBEDDINGS_MODEL || '',
+  ].join('/');
+
+/**
+ * Summarizes and upserts a single table.
+ * @returns {Promise<object>} The enriched table that was upserted.
+ */
+const syncTable = async (datasource, table, metadata) => {
+  logger.info(`Processing table: ${table.name}`, {
+    datasource: datasource.name,
+    service: 'SCHEMA_SYNC',
+  });
+
+  // Datasources without a connector are summarized from their schema alone
+  const canSample = datasource.dialect.connector === 'postgres';
+  const sampleQueries = canSample
+    ? await findSampleQueriesForTable(datasource, table)
+    : [];
+  const categoricalColumns = metadata?.categoricalColumns || [];
+  const sampleDataText = canSample
+    ? await getSampleDataForTable(datasource, table, categoricalColumns)
+    : '';
+
+  if (canSample && sampleQueries.length === 0) {
+    logger.warn(`No sample queries found for table: ${table.name}`, {
+      datasource: datasource.name,
+      service: 'SCHEMA_SYNC',
+    });
+  }
+
+  const enrichedTable = await generateSummaryForTable(
+    table,
+    sampleQueries,
+    sampleDataText,
+  );
+  const withMetadata = { ...enrichedTable, ...(metadata || {}) };
+  await upsertToVectorStore(datasource, [withMetadata]);
+  return withMetadata;
+};
+
+// `users` names the table in the default schema, like `public.users`
+const qualifyTableName = name =>
+  name.includes('.') ? name : `${DEFAULT_SCHEMA}.${name}`;
+
+/**
+ * Ids the sync owns in the table index that are not among the current
+ * tables: tables of the last sync that were dropped or are no longer
+ * allowed, and bare names (`users`) of current default-schema tables,
+ * written by versions before qualified ids. Other ids, such as seeded
+ * entries or another datasource sharing the namespace, are left alone.
+ */
+const findStaleIds = async (datasource, tableIndex, current, previous) => {
+  const dropped = Object.keys(previous.tables).filter(
+    name => !current.has(name),
+  );
+  let legacy = [];
+  try {
+    legacy = (await tableIndex.listIds()).filter(
+      id => !id.includes('.') && current.has(qualifyTableName(id)),
+    );
+  } catch (error) {
+    logger.warn('Could not list table vectors; legacy ids are kept', {
+      datasource: datasource.name,
+      error: error.message,
+      service: 'SCHEMA_SYNC',
+    });
+  }
+  return [...dropped, ...legacy];
+};
+
+/**
+ * Brings the vectors of one datasource up to date. Tables whose fingerprint
+ * matches the last sync are skipped; new and changed tables are summarized
+ * and upserted; vectors of tables that no longer exist or are no longer
+ * allowed, and legacy bare-name ids, are deleted (see findStaleIds). A
+ * table that fails is reported and retried on the next run. The state is
+ * saved after each table, so a cancelled or crashed sync does not summarize
+ * the finished tables again.
+ * @param {object} datasource - From config/datasources.js.
+ * @param {object} tableMetadata - Tier/domain metadata keyed by table name.
+ * @param {{full?: boolean, tables?: string[], signal?: AbortSignal}} [options]
+ *   `full` re-syncs every table; `tables` limits the sync to those tables and
+ *   re-syncs them; `signal` stops the sync before the next table, and the
+ *   diff of the tables done so far is returned with `cancelled: true`.
+ * @returns {Promise<{added: string[], changed: string[], resynced: string[], removed: string[], unchanged: number, failed: Array<{table: string, error: string}>, cancelled?: boolean}>}
+ */
+const syncDatasourceSchema = async (
+  datasource,
+  tableMetadata,
+  { full = false, tables, signal } = {},
+) => {
+  const introspected = await getDatabaseSchema(datasource);
+  const target = syncTarget(datasource);
+  const previous = await loadSchemaSyncState(datasource.name, target);
+  const synced = { ...previous.tables };
+  const saveState = () =>
+    saveSchemaSyncState(datasource.name, { target, tables: { ...synced } });
+  const tableIndex = vectorStore
+    .index(TABLE_INDEX_NAME)
+    .namespace(datasource.vectorNamespace);
+  const diff = {
+    added: [],
+    changed: [],
+    // Unchanged tables summarized again by a full sync
+    resynced: [],
+    removed: [],
+    unchanged: 0,
+    failed: [],
+  };
+
+  // Only the requested tables are synced, and always re-summarized
+  const requested = tables && new Set(tables.map(qualifyTableName));
+  const allTables = requested
+    ? introspected.filter(table => requested.has(table.name))
+    : introspected;
+  const forced = full || Boolean(requested);
+
+  for (const table of allTables) {
+    if (signal?.aborted) {
+      diff.cancelled = true;
+      return diff;
+    }
+    const metadata = findTableMetadata(tableMetadata, table);
+    const fingerprint = fingerprintTable(table, metadata);
+    const known = previous.tables[table.name];
+    if (!forced && known?.fingerprint === fingerprint) {
+      diff.unchanged += 1;
+      continue;
+    }
+    try {
+      await syncTable(datasource, table, metadata);
+      synced[table.name] = {
+        fingerprint,
+        syncedAt: new Date().toISOString(),
+      };
+      await saveState();
+      let change = 'added';
+      if (known) {
+        change = known.fingerprint === fingerprint ? 'resynced' : 'changed';
+      }
+      diff[change].push(table.name);
+    } catch (error) {
+      logger.error('Table schema sync failed', {
+        datasource: datasource.name,
+        table: table.name,
+        error: error.message,
+        service: 'SCHEMA_SYNC',
+      });
+      diff.failed.push({ table: table.name, error: error.message });
+    }
+  }
+
+  // A sync limited to some tables only removes those among them that are
+  // gone
+  const current = new Set(introspected.map(table => table.name));
+  const isRequestedAndGone = name => !current.has(name) && requested.has(name);
+  const dropped = requested
+    ? Object.keys(previous.tables).filter(isRequestedAndGone)
+    : await findStaleIds(datasource, tableIndex, current, previous);
+  if (dropped.length > 0) {
+    await tableIndex.deleteMany(dropped);
+    diff.removed.push(...dropped);
+  }
+  dropped.forEach(name => delete synced[name]);
+  await saveState();
+
+  // A requested table that neither exists nor was ever synced
+  requested?.forEach(name => {
+    if (!current.has(name) && !dropped.includes(name)) {
+      diff.failed.push({ table: name, error: 'Table not found' });
+    }
+  });
+  return diff;
+};
+
 // --- MAIN JOB ORCHESTRATOR ---
-export const runSchemaSync = async () => {
+/**
+ * Syncs the table vectors of every datasource and ends with a diff report
+ * of added, changed and removed tables.
+ * @param {{full?: boolean, datasource?: string, tables?: string[], signal?: AbortSignal, onReport?: Function}} [options]
+ *   `full` re-summarizes every table, e.g. after changing the summary prompt;
+ *   `datasource` and `tables` limit the sync to one datasource and to some of
+ *   its tables; `signal` cancels the sync between tables; `onReport` is
+ *   called with each datasource report as it is made.
+ * @returns {Promise<Array<object>>} One report per datasource: the diff
+ *   from `syncDatasourceSchema`, or `error` when the datasource failed. A
+ *   cancelled sync passes the partial diff of the datasource it stopped in
+ *   to `onReport` before throwing.
+ * @throws When the table metadata cannot be read or the sync is cancelled.
+ */
+export const runSchemaSync = async ({
+  full = false,
+  datasource: datasourceName,
+  tables,
+  signal,
+  onReport,
+} = {}) => {
   logger.info('Starting database schema sync job', {
+    full,
+    datasource: datasourceName ?? 'all',
+    tables,
     service: 'SCHEMA_SYNC',
   });
+  const reports = [];
+  const report = entry => {
+    reports.push(entry);
+    onReport?.(entry);
+  };
 
   try {
-    const allTables = await getDatabaseSchema();
-    const enrichedTables = [];
     logger.debug('Loading table metadata from file', {
       filePath: tableSqlJsonPath,
       service: 'SCHEMA_SYNC',
@@ -225,59 +485,71 @@ export const runSchemaSync = async () => {
 
     const fileContent = await readFile(tableStandardJsonPath, 'utf-8');
     const tableMetadata = JSON.parse(fileContent);
-    for (const table of allTables) {
-      logger.info(`Processing table: ${table.name}`, {
-        service: 'SCHEMA_SYNC',
-      });
 
-      const sampleQueries = await findSampleQueriesForTable(table.name);
-      const sampleDataText = await getSampleDataForTable(
-        table.name,
-        tableMetadata[table.name]?.categoricalColumns || [],
-      );
+    const datasources = listDatasources().filter(
+      datasource => !datasourceName || datasource.name === datasourceName,
+    );
 
-      // const sampleQueries = tableSqlData[table.name] || [];
-      if (sampleQueries.length === 0) {
-        logger.warn(`No sample queries found for table: ${table.name}`, {
+    // Datasources are synced one at a time; a failure in one does not stop
+    // the others
+    for (const datasource of datasources) {
+      signal?.throwIfAborted();
+      try {
+        const diff = await syncDatasourceSchema(datasource, tableMetadata, {
+          full,
+          tables,
+          signal,
+        });
+        const outcome = diff.cancelled ? 'cancelled' : 'completed';
+        logger.info(`Datasource schema sync ${outcome}`, {
+          datasource: datasource.name,
+          added: diff.added.length,
+          changed: diff.changed.length,
+          resynced: diff.resynced.length,
+          removed: diff.removed.length,
+          unchanged: diff.unchanged,
+          failed: diff.failed.length,
           service: 'SCHEMA_SYNC',
         });
+        // A cancelled datasource is reported with what it did so far
+        report({ datasource: datasource.name, ...diff });
+        signal?.throwIfAborted();
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        logger.error('Datasource schema sync failed', {
+          datasource: datasource.name,
+          error: error.message,
+          stack: error.stack,
+          service: 'SCHEMA_SYNC',
+        });
+        report({ datasource: datasource.name, error: error.message });
       }
-
-      const enrichedTable = await generateSummaryForTable(
-        table,
-        sampleQueries,
-        sampleDataText,
-      );
-      enrichedTables.push(enrichedTable);
     }
 
-    logger.debug('Loading table metadata from file', {
-      filePath: tableStandardJsonPath,
-      service: 'SCHEMA_SYNC',
-    });
-
-    const newEnrichedTables = enrichedTables.map(table => ({
-      ...table,
-      ...(tableMetadata[table.name] || {}),
-    }));
-
-    logger.info('Enriched schema with metadata', {
-      enrichedTableCount: newEnrichedTables.length,
-      metadataKeys: Object.keys(tableMetadata).length,
-      service: 'SCHEMA_SYNC',
-    });
-
-    await upsertToPinecone(newEnrichedTables);
-
-    logger.info('Sync job completed successfully', {
-      totalTables: newEnrichedTables.length,
+    logger.info('Sync job completed', {
       service: 'SCHEMA_SYNC',
     });
   } catch (error) {
-    logger.error('Sync job failed', {
-      error: error.message,
-      stack: error.stack,
-      service: 'SCHEMA_SYNC',
+    if (signal?.aborted) {
+      logger.info('Sync job cancelled', { service: 'SCHEMA_SYNC' });
+    } else {
+      logger.error('Sync job failed', {
+        error: error.message,
+        stack: error.stack,
+        service: 'SCHEMA_SYNC',
+      });
+    }
+    throw error;
+  } finally {
+    // Diff report: one line per datasource with the names of what changed
+    reports.forEach(report => {
+      logger.info('Schema sync diff report', {
+        ...report,
+        service: 'SCHEMA_SYNC',
+      });
     });
   }
+  return reports;
 };
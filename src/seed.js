@@ -1,10 +1,14 @@
 // src/seed.js
 import 'dotenv/config';
-import { Pinecone } from '@pinecone-database/pinecone';
-import { VertexAIEmbeddings } from '@langchain/google-vertexai';
 import { readFile } from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { DEFAULT_SCHEMA } from './config/schemaFilters.js';
+import { createEmbeddings } from './services/embeddings.js';
+import {
+  getVectorStore,
+  TABLE_INDEX_NAME,
+} from './services/vectorStore/index.js';
 
 // Resolve current file location
 const __filename = fileURLToPath(import.meta.url);
@@ -17,32 +21,37 @@ const jsonPath = path.join(__dirname, '..', 'content', 'table-metadata.json');
 const seedDatabase = async () => {
   try {
     console.log('🚀 Initializing clients...');
-    // Initialize the Pinecone client
-    const pinecone = new Pinecone();
-    const pineconeIndex = pinecone.index(process.env.PINECONE_INDEX_NAME);
+    // Pinecone, pgvector or the local store, depending on VECTOR_STORE
+    const tableIndex = getVectorStore().index(TABLE_INDEX_NAME).namespace();
 
     const fileContent = await readFile(jsonPath, 'utf-8');
     const tableMetadata = JSON.parse(fileContent);
 
-    // Initialize the Vertex AI Embeddings client
-    const embeddings = new VertexAIEmbeddings({
-      model: 'text-embedding-004',
-    });
+    // Vertex AI embeddings by default; EMBEDDINGS_PROVIDER=fake works offline
+    const embeddings = createEmbeddings();
 
     console.log('🌱 Starting to seed the database...');
     for (const table of tableMetadata) {
       console.log(`Processing table: ${table.name}...`);
+      // Qualified like the ids of the schema sync, so the sync tells its
+      // superseded bare-name vectors apart from seeded ones
+      const [schemaName, tableName] = table.name.includes('.')
+        ? table.name.split('.')
+        : [DEFAULT_SCHEMA, table.name];
+      const name = `${schemaName}.${tableName}`;
 
       // 1. Create embedding from the table summary
       const vector = await embeddings.embedQuery(table.summary);
 
-      // 2. Upsert (update or insert) the vector into Pinecone
-      await pineconeIndex.upsert([
+      // 2. Upsert (update or insert) the vector into the vector store
+      await tableIndex.upsert([
         {
-          id: table.name, // Use the table name as the unique ID
+          id: name, // Use the qualified table name as the unique ID
           values: vector,
           metadata: {
-            name: table.name,
+            name,
+            schemaName,
+            tableName,
             summary: table.summary,
             schema: table.schema,
             tier: table.tier || 'IRON',
@@ -0,0 +1,511 @@
+import 'dotenv/config';
+import { createHmac, timingSafeEqual } from 'crypto';
+import sqlParser from 'node-sql-parser';
+import logger from '../config/logger.js';
+import { JWT_POLICY_CLAIM, policyConfig } from '../config/policies.js';
+import { DEFAULT_SCHEMA, compileNamePattern } from '../config/schemaFilters.js';
+import { findApiKey, hashApiKey } from './apiKeys.js';
+import { tokenizeSql } from './querySanitizer.js';
+import { restrictTables } from './schemaIntrospection.js';
+import { parseSql, walkAst } from './sqlValidator.js';
+
+const { Parser } = sqlParser;
+const parser = new Parser();
+
+// Row filter parameters are named `:caller_<attribute>`; `:caller_id` is the
+// caller's id
+const PARAMETER_PREFIX = 'caller_';
+// Parser grammars of dialects that fold unquoted identifiers to lower case
+const FOLDING_DATABASES = new Set(['postgresql', 'trino']);
+// Clock skew tolerated when checking `exp` and `nbf`
+const JWT_LEEWAY_SECONDS = 30;
+
+export const ACCESS_CONTROL_ENABLED = policyConfig !== null;
+
+// Rejects requests without credentials even when access control is off
+const API_KEY_REQUIRED = process.env.REQUIRE_API_KEY === 'true';
+
+const accessError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Parses `tenant_id = :caller_tenant` into a WHERE expression and lists the
+// caller attributes it needs
+const compileRowFilter = (policyName, pattern, rowFilter) => {
+  const [statement] = parseSql(`SELECT * FROM policy_table WHERE ${rowFilter}`);
+  const parameters = new Set();
+  walkAst(statement.where, node => {
+    if (node.type !== 'param') {
+      return;
+    }
+    if (!node.value.startsWith(PARAMETER_PREFIX)) {
+      throw new Error(
+        `Row filter of "${pattern}" in policy "${policyName}" uses ":${node.value}"; parameters must start with ":${PARAMETER_PREFIX}"`,
+      );
+    }
+    parameters.add(node.value.slice(PARAMETER_PREFIX.length));
+  });
+  return { where: statement.where, parameters: [...parameters] };
+};
+
+/**
+ * Compiles one policy. `tables` maps table patterns (`orders`,
+ * `public.orders`, `analytics.*`) to rules; the first matching pattern
+ * applies and tables matching none are not visible. A rule may restrict
+ * `columns` and add a mandatory `rowFilter`.
+ */
+const compilePolicy = (name, entry) => {
+  const rules = Object.entries(entry.tables || {}).map(([pattern, rule]) => ({
+    pattern,
+    matches: compileNamePattern(pattern),
+    columnPatterns: rule.columns || null,
+    columns: rule.columns ? rule.columns.map(compileNamePattern) : null,
+    rowFilter: rule.rowFilter
+      ? compileRowFilter(name, pattern, rule.rowFilter)
+      : null,
+  }));
+  return {
+    name,
+    rules,
+    parameters: [
+      ...new Set(rules.flatMap(rule => rule.rowFilter?.parameters || [])),
+    ],
+  };
+};
+
+const policies = new Map(
+  Object.entries(policyConfig?.policies || {}).map(([name, entry]) => [
+    name,
+    compilePolicy(name, entry),
+  ]),
+);
+
+const findRule = (policy, schema, table) =>
+  policy.rules.find(rule => rule.matches([schema, table])) || null;
+
+const readParameter = (caller, name) =>
+  name === 'id' ? caller.id : caller.attributes?.[name];
+
+// SQL literal for a bound parameter. node-sql-parser prints string values
+// as they are, so quotes are escaped here.
+const toLiteral = value => {
+  if (Array.isArray(value)) {
+    return {
+      type: 'expr_list',
+      value: value.map(toLiteral),
+      parentheses: true,
+    };
+  }
+  if (typeof value === 'number') {
+    return { type: 'number', value };
+  }
+  if (typeof value === 'boolean') {
+    return { type: 'bool', value };
+  }
+  if (value === null) {
+    return { type: 'null', value: null };
+  }
+  return {
+    type: 'single_quote_string',
+    value: String(value).replace(/'/g, "''"),
+  };
+};
+
+// Copies the expression with every parameter replaced by the caller's value.
+// List values inside `IN (...)` are spliced into the list.
+const bindParameters = (node, caller) => {
+  if (Array.isArray(node)) {
+    return node.flatMap(child => {
+      const bound = bindParameters(child, caller);
+      return child?.type === 'param' && bound.type === 'expr_list'
+        ? bound.value
+        : [bound];
+    });
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+  if (node.type === 'param') {
+    return toLiteral(
+      readParameter(caller, node.value.slice(PARAMETER_PREFIX.length)),
+    );
+  }
+  return Object.fromEntries(
+    Object.entries(node).map(([key, child]) => [
+      key,
+      bindParameters(child, caller),
+    ]),
+  );
+};
+
+// `(SELECT * FROM "schema"."table" WHERE <filter>)`
+const buildFilteredSubquery = (schema, table, where) => {
+  const [subquery] = parseSql('SELECT * FROM policy_table');
+  subquery.from = [{ db: schema, table, as: null }];
+  subquery.where = where;
+  return { ast: subquery, parentheses: true };
+};
+
+// Names written in double quotes anywhere in the statement
+const quotedNames = sql =>
+  new Set(
+    tokenizeSql(sql)
+      .filter(token => token.type === 'quoted')
+      .map(token => token.text.slice(1, -1).replace(/""/g, '"')),
+  );
+
+/**
+ * Lowercases the unquoted table, schema, alias and CTE names of a
+ * statement, as PostgreSQL does when it reads them. The parser keeps names
+ * as written and the rewritten statement quotes every one of them, so
+ * `FROM ORDERS` would otherwise come back as `FROM "ORDERS"`, another
+ * table. The AST does not record quoting; a name that appears in double
+ * quotes anywhere in `sql` keeps its case.
+ */
+const foldIdentifiers = (ast, sql) => {
+  const quoted = quotedNames(sql);
+  const fold = (node, key) => {
+    if (typeof node[key] === 'string' && !quoted.has(node[key])) {
+      node[key] = node[key].toLowerCase();
+    }
+  };
+  walkAst(ast, node => {
+    (Array.isArray(node.with) ? node.with : []).forEach(cte => {
+      if (typeof cte.name === 'string') {
+        fold(cte, 'name');
+      } else if (cte.name) {
+        fold(cte.name, 'value');
+      }
+    });
+    // Table references, column qualifiers and table or column aliases
+    fold(node, 'as');
+    if ('db' in node || node.type === 'column_ref') {
+      fold(node, 'db');
+      fold(node, 'schema');
+      fold(node, 'table');
+    }
+  });
+};
+
+/**
+ * Wraps every table read by the statement that has a row filter in a
+ * filtered subquery under the same alias, so joins and outer queries only
+ * ever see the caller's rows.
+ * @returns {{sql: string, tables: string[]}|null} `null` when no table of the
+ *   statement is filtered.
+ */
+const rewriteWithRowFilters = (ast, policy, caller, database, sql) => {
+  if (FOLDING_DATABASES.has(database)) {
+    foldIdentifiers(ast, sql);
+  }
+  const cteNames = new Set();
+  walkAst(ast, node => {
+    (Array.isArray(node.with) ? node.with : []).forEach(cte => {
+      cteNames.add(cte.name?.value ?? cte.name);
+    });
+  });
+
+  // Collected first: the walk must not visit the subqueries it inserts
+  const targets = [];
+  walkAst(ast, node => {
+    (Array.isArray(node.from) ? node.from : []).forEach((item, index) => {
+      if (typeof item.table !== 'string' || !('db' in item)) {
+        return;
+      }
+      if (!item.db && cteNames.has(item.table)) {
+        return;
+      }
+      const schema = item.db || DEFAULT_SCHEMA;
+      const rule = findRule(policy, schema, item.table);
+      if (rule?.rowFilter) {
+        targets.push({ from: node.from, index, item, schema, rule });
+      }
+    });
+  });
+  if (targets.length === 0) {
+    return null;
+  }
+
+  targets.forEach(({ from, index, item, schema, rule }) => {
+    // Join type and condition stay on the item; only the table is replaced
+    const joinParts = Object.fromEntries(
+      Object.entries(item).filter(([key]) => !['db', 'table'].includes(key)),
+    );
+    from[index] = {
+      ...joinParts,
+      expr: buildFilteredSubquery(
+        schema,
+        item.table,
+        bindParameters(rule.rowFilter.where, caller),
+      ),
+      as: item.as || item.table,
+    };
+  });
+  return {
+    sql: parser.sqlify(ast, { database }),
+    tables: [
+      ...new Set(targets.map(({ schema, item }) => `${schema}.${item.table}`)),
+    ],
+  };
+};
+
+/**
+ * Access context of one caller, passed to the generators and the validator
+ * as `access`.
+ * @param {{id: string, policy: string, attributes?: object}} caller
+ * @returns {{callerId: string, policy: string, isTableAllowed: Function, allowedColumns: Function, columnFilter: object, applyRowFilters: Function}}
+ * @throws {Error} With `status` 403 when the policy is unknown or the caller
+ *   lacks an attribute its row filters need.
+ */
+export const createAccessContext = caller => {
+  const policy = policies.get(caller.policy);
+  if (!policy) {
+    throw accessError(
+      `Caller "${caller.id}" has unknown policy "${caller.policy}".`,
+      403,
+    );
+  }
+  const missing = policy.parameters.filter(
+    name => readParameter(caller, name) === undefined,
+  );
+  if (missing.length > 0) {
+    throw accessError(
+      `Caller "${caller.id}" is missing the attribute(s) ${missing.join(', ')} required by policy "${policy.name}".`,
+      403,
+    );
+  }
+
+  return {
+    callerId: caller.id,
+    policy: policy.name,
+    isTableAllowed: (schema, table) => findRule(policy, schema, table) !== null,
+    // Column patterns the caller may use, or `null` for every column
+    allowedColumns: (schema, table) =>
+      findRule(policy, schema, table)?.columnPatterns ?? null,
+    // Same shape as a datasource `schemaFilter`, for collectColumnViolations
+    columnFilter: {
+      label: `policy "${policy.name}"`,
+      isColumnDenied: (schema, table, column) => {
+        const columns = findRule(policy, schema, table)?.columns;
+        return Boolean(columns) && !columns.some(matches => matches([column]));
+      },
+      hasDeniedColumns: (schema, table) =>
+        Boolean(findRule(policy, schema, table)?.columns),
+      // Columns named in an allowlist exist in that table, which tells
+      // which table an unqualified column belongs to
+      claimsColumn: (schema, table, column) =>
+        Boolean(
+          findRule(policy, schema, table)?.columns?.some(matches =>
+            matches([column]),
+          ),
+        ),
+    },
+    // `sql` is the statement `ast` was parsed from
+    applyRowFilters: (ast, database, sql) => {
+      const rewritten = rewriteWithRowFilters(
+        ast,
+        policy,
+        caller,
+        database,
+        sql,
+      );
+      if (rewritten) {
+        logger.debug('Applied row filters', {
+          callerId: caller.id,
+          policy: policy.name,
+          tables: rewritten.tables,
+          service: 'ACCESS_CONTROL',
+        });
+      }
+      return rewritten?.sql ?? null;
+    },
+  };
+};
+
+/**
+ * Narrows introspected tables to the caller's policy. Without access
+ * control the tables are returned unchanged.
+ * @param {Array<object>} tables - Tables from `introspectSchema`.
+ * @param {object|null} access - From `createAccessContext`.
+ * @returns {Array<object>}
+ */
+export const restrictTablesForCaller = (tables, access) => {
+  if (!access) {
+    return tables;
+  }
+  return restrictTables(tables, {
+    isTableVisible: table => access.isTableAllowed(table.schema, table.name),
+    isColumnVisible: (table, column) =>
+      !access.columnFilter.isColumnDenied(table.schema, table.name, column),
+  });
+};
+
+/**
+ * Prompt section listing the columns the caller may use, for prompts built
+ * from stored table descriptions that cannot be narrowed column by column.
+ * @param {object|null} access - From `createAccessContext`.
+ * @param {Array<{schema: string, table: string}>} tables
+ * @returns {string} The section, or an empty string without restrictions.
+ */
+export const formatColumnRestrictions = (access, tables) => {
+  if (!access) {
+    return '';
+  }
+  const lines = tables
+    .map(({ schema, table }) => ({
+      name: `${schema}.${table}`,
+      columns: access.allowedColumns(schema, table),
+    }))
+    .filter(({ columns }) => columns !== null)
+    .map(({ name, columns }) => `- ${name}: ${columns.join(', ')}`);
+  if (lines.length === 0) {
+    return '';
+  }
+  return `===Column Restrictions
+Only these columns may be used; any other column will be rejected:
+${lines.join('\n')}`;
+};
+
+const safeEqual = (a, b) =>
+  a.length === b.length && timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Keys created with `npm run api-keys` are looked up first, then the
+// `apiKeys` of the policy config
+const findApiKeyCaller = apiKey => {
+  const hash = hashApiKey(apiKey);
+  const entry =
+    findApiKey(apiKey) ||
+    policyConfig?.apiKeys.find(candidate => safeEqual(candidate.keyHash, hash));
+  if (!entry) {
+    throw accessError('Invalid API key.', 401);
+  }
+  return {
+    id: entry.id,
+    policy: entry.policy ?? null,
+    attributes: entry.attributes || {},
+    apiKey: entry,
+  };
+};
+
+const decodeSegment = segment =>
+  JSON.parse(Buffer.from(segment, 'base64url').toString('utf-8'));
+
+/**
+ * Verifies an HS256 JWT signed with JWT_SECRET and returns its claims.
+ * `exp` and `nbf` are enforced, `iss` and `aud` when JWT_ISSUER and
+ * JWT_AUDIENCE are set.
+ */
+const verifyJwt = token => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw accessError('Bearer tokens are not accepted.', 401);
+  }
+  const invalid = accessError('Invalid bearer token.', 401);
+  const [header, payload, signature, ...rest] = token.split('.');
+  if (!signature || rest.length > 0) {
+    throw invalid;
+  }
+
+  let claims;
+  try {
+    if (decodeSegment(header).alg !== 'HS256') {
+      throw invalid;
+    }
+    const expected = createHmac('sha256', secret)
+      .update(`${header}.${payload}`)
+      .digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (
+      actual.length !== expected.length ||
+      !timingSafeEqual(actual, expected)
+    ) {
+      throw invalid;
+    }
+    claims = decodeSegment(payload);
+  } catch {
+    throw invalid;
+  }
+
+  const now = Date.now() / 1000;
+  if (claims.exp !== undefined && now > claims.exp + JWT_LEEWAY_SECONDS) {
+    throw accessError('Bearer token has expired.', 401);
+  }
+  if (claims.nbf !== undefined && now < claims.nbf - JWT_LEEWAY_SECONDS) {
+    throw invalid;
+  }
+  if (process.env.JWT_ISSUER && claims.iss !== process.env.JWT_ISSUER) {
+    throw invalid;
+  }
+  if (
+    process.env.JWT_AUDIENCE &&
+    ![claims.aud].flat().includes(process.env.JWT_AUDIENCE)
+  ) {
+    throw invalid;
+  }
+  return claims;
+};
+
+// The caller named by the request's credentials, or `null` without any
+const identifyCaller = req => {
+  const apiKey = req.get('X-API-Key');
+  const authorization = req.get('Authorization');
+  if (apiKey) {
+    return findApiKeyCaller(apiKey);
+  }
+  // Bearer tokens only identify callers for policies; without either a
+  // policy config or JWT_SECRET the header is left to whoever else reads it
+  const acceptsJwt = ACCESS_CONTROL_ENABLED || Boolean(process.env.JWT_SECRET);
+  if (acceptsJwt && authorization?.startsWith('Bearer ')) {
+    const claims = verifyJwt(authorization.slice('Bearer '.length).trim());
+    return {
+      id: claims.sub ?? 'jwt',
+      policy: claims[JWT_POLICY_CLAIM] ?? null,
+      attributes: claims,
+    };
+  }
+  return null;
+};
+
+/**
+ * Identifies the caller of a request from its `X-API-Key` header or its
+ * `Authorization: Bearer <jwt>` header and builds its access context. JWT
+ * claims become the caller's attributes, so `:caller_tenant` reads the
+ * `tenant` claim. Requests without credentials get the anonymous policy
+ * when one is configured.
+ * @param {import('express').Request} req
+ * @returns {{caller: object|null, access: object|null}} `caller.apiKey` is
+ *   set for API key callers; `access` is `null` when access control is
+ *   disabled.
+ * @throws {Error} With `status` 401 or 403.
+ */
+export const authenticateRequest = req => {
+  const caller = identifyCaller(req);
+  if (!caller) {
+    if (ACCESS_CONTROL_ENABLED && policyConfig.anonymousPolicy) {
+      return {
+        caller: null,
+        access: createAccessContext({
+          id: 'anonymous',
+          policy: policyConfig.anonymousPolicy,
+        }),
+      };
+    }
+    if (ACCESS_CONTROL_ENABLED || API_KEY_REQUIRED) {
+      throw accessError(
+        'Authentication required: send an X-API-Key header or a bearer token.',
+        401,
+      );
+    }
+    return { caller: null, access: null };
+  }
+
+  if (!ACCESS_CONTROL_ENABLED) {
+    return { caller, access: null };
+  }
+  if (!caller.policy) {
+    throw accessError(`Caller "${caller.id}" has no access policy.`, 403);
+  }
+  return { caller, access: createAccessContext(caller) };
+};
@@ -0,0 +1,124 @@
+import 'dotenv/config';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { existsSync, readFileSync, statSync } from 'fs';
+import { mkdir, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Go up two levels to the project root, then into `data/`
+const keysFile =
+  process.env.API_KEYS_FILE ||
+  path.join(__dirname, '..', '..', 'data', 'api-keys.json');
+
+const KEY_PREFIX = 'tts_';
+// Leading characters kept in clear so a key can be recognized in listings
+const VISIBLE_KEY_LENGTH = KEY_PREFIX.length + 8;
+
+/**
+ * A stored key never contains the key itself, only its hash:
+ * `{ id, name, prefix, keyHash, policy, attributes, rateLimitPerMinute,
+ *   dailyTokenBudget, createdAt, revokedAt }`.
+ * Limits left `null` use the API_KEY_* defaults.
+ */
+
+export const hashApiKey = apiKey =>
+  `sha256:${createHash('sha256').update(apiKey).digest('hex')}`;
+
+const safeEqual = (a, b) =>
+  a.length === b.length && timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Reloaded whenever the file changes, so keys created or revoked with the
+// CLI apply without a restart
+let cache = { mtimeMs: null, keys: [] };
+
+const loadKeys = () => {
+  if (!existsSync(keysFile)) {
+    return [];
+  }
+  const { mtimeMs } = statSync(keysFile);
+  if (cache.mtimeMs !== mtimeMs) {
+    cache = {
+      mtimeMs,
+      keys: JSON.parse(readFileSync(keysFile, 'utf-8')).keys || [],
+    };
+  }
+  return cache.keys;
+};
+
+// Writes to a temp file first so a crash never leaves a truncated key file
+const saveKeys = async keys => {
+  await mkdir(path.dirname(keysFile), { recursive: true });
+  await writeFile(`${keysFile}.tmp`, JSON.stringify({ keys }, null, 2));
+  await rename(`${keysFile}.tmp`, keysFile);
+};
+
+// Listings and API responses never include the hash
+const describeKey = ({ keyHash: _keyHash, ...key }) => key;
+
+/**
+ * Finds the active key matching a presented API key.
+ * @param {string} apiKey
+ * @returns {object|null} The stored key, or `null` when unknown or revoked.
+ */
+export const findApiKey = apiKey => {
+  const hash = hashApiKey(apiKey);
+  return (
+    loadKeys().find(key => !key.revokedAt && safeEqual(key.keyHash, hash)) ||
+    null
+  );
+};
+
+/**
+ * Creates a key. The key itself is returned once and cannot be recovered.
+ * @param {{name: string, policy?: string, attributes?: object, rateLimitPerMinute?: number, dailyTokenBudget?: number}} options
+ * @returns {Promise<{apiKey: string, key: object}>}
+ */
+export const createApiKey = async ({
+  name,
+  policy = null,
+  attributes = {},
+  rateLimitPerMinute = null,
+  dailyTokenBudget = null,
+}) => {
+  const apiKey = `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+  const key = {
+    id: `key_${randomBytes(6).toString('hex')}`,
+    name,
+    prefix: apiKey.slice(0, VISIBLE_KEY_LENGTH),
+    keyHash: hashApiKey(apiKey),
+    policy,
+    attributes,
+    rateLimitPerMinute,
+    dailyTokenBudget,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+  await saveKeys([...loadKeys(), key]);
+  return { apiKey, key: describeKey(key) };
+};
+
+/**
+ * Revokes a key by id. Revoked keys stay in the file for auditing.
+ * @param {string} id
+ * @returns {Promise<object|null>} The revoked key, or `null` when unknown.
+ */
+export const revokeApiKey = async id => {
+  const keys = loadKeys();
+  const key = keys.find(candidate => candidate.id === id);
+  if (!key) {
+    return null;
+  }
+  if (!key.revokedAt) {
+    const revoked = { ...key, revokedAt: new Date().toISOString() };
+    await saveKeys(
+      keys.map(candidate => (candidate === key ? revoked : candidate)),
+    );
+    return describeKey(revoked);
+  }
+  return describeKey(key);
+};
+
+export const listApiKeys = () => loadKeys().map(describeKey);
@@ -0,0 +1,53 @@
+import 'dotenv/config';
+
+const DEFAULT_MAX_TURNS = 5;
+
+const parsedMaxTurns = Number.parseInt(process.env.SESSION_MAX_TURNS, 10);
+// Only the most recent turns are sent to the model to bound prompt size
+export const MAX_HISTORY_TURNS =
+  Number.isInteger(parsedMaxTurns) && parsedMaxTurns > 0
+    ? parsedMaxTurns
+    : DEFAULT_MAX_TURNS;
+
+const describeResultShape = resultShape => {
+  if (!resultShape) {
+    return 'not executed';
+  }
+  const columns = resultShape.columns
+    .map(column => `${column.name} (${column.type})`)
+    .join(', ');
+  return `${resultShape.rowCount} row(s)${resultShape.truncated ? ' (truncated)' : ''}; columns: ${columns}`;
+};
+
+/**
+ * Renders previous turns of a session as a prompt section so the model can
+ * resolve follow-ups like "now only for last month".
+ * @param {Array<{question: string, sql: string, resultShape?: object}>} history
+ * @returns {string} The section, or an empty string when there is no history.
+ */
+export const formatConversationHistory = (history = []) => {
+  const recentTurns = history.slice(-MAX_HISTORY_TURNS);
+  if (recentTurns.length === 0) {
+    return '';
+  }
+
+  const turns = recentTurns
+    .map(
+      (turn, index) =>
+        `Q${index + 1}: ${turn.question}\nSQL: ${turn.sql}\nResult: ${describeResultShape(turn.resultShape)}`,
+    )
+    .join('\n\n');
+
+  return `CONVERSATION SO FAR (oldest first):
+${turns}
+
+The new question may be a follow-up that refers to the conversation above (e.g. "that", "now only for last month", "break it down by category"). Resolve those references and write a complete, standalone query.`;
+};
+
+// Text used to retrieve context for a follow-up: a bare "by category" is
+// meaningless without the questions that came before it
+export const buildRetrievalText = (question, history = []) =>
+  [
+    ...history.slice(-MAX_HISTORY_TURNS).map(turn => turn.question),
+    question,
+  ].join('\n');
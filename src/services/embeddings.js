@@ -0,0 +1,81 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+
+const DEFAULT_FAKE_DIMENSIONS = 256;
+
+// Similarity of two vectors in [-1, 1]; 0 when either is all zeros
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Deterministic offline embeddings: every word is hashed into one of
+ * `dimensions` buckets. Texts sharing words get similar vectors, which is
+ * enough to exercise retrieval in local runs and CI.
+ */
+const createFakeEmbeddings = (dimensions = DEFAULT_FAKE_DIMENSIONS) => {
+  const embedQuery = async text => {
+    const vector = new Array(dimensions).fill(0);
+    (String(text).toLowerCase().match(/\w+/g) || []).forEach(word => {
+      const bucket =
+        crypto.createHash('md5').update(word).digest().readUInt32BE(0) %
+        dimensions;
+      vector[bucket] += 1;
+    });
+    return vector;
+  };
+  return {
+    embedQuery,
+    embedDocuments: async texts => Promise.all(texts.map(embedQuery)),
+  };
+};
+
+const createVertexEmbeddings = async model => {
+  const { VertexAIEmbeddings } = await import('@langchain/google-vertexai');
+  return new VertexAIEmbeddings({ model });
+};
+
+/**
+ * Creates the embeddings client shared by retrieval and the sync jobs.
+ * `EMBEDDINGS_PROVIDER` is `vertex` (default, `text-embedding-004`) or `fake`.
+ * Vectors from different providers are not comparable: re-sync the vector
+ * store after switching.
+ * @returns {{embedQuery: (text: string) => Promise<number[]>, embedDocuments: (texts: string[]) => Promise<number[][]>}}
+ */
+export const createEmbeddings = () => {
+  const provider = (process.env.EMBEDDINGS_PROVIDER || 'vertex').toLowerCase();
+  if (provider === 'fake') {
+    const dimensions = Number.parseInt(
+      process.env.FAKE_EMBEDDINGS_DIMENSIONS,
+      10,
+    );
+    return createFakeEmbeddings(dimensions > 0 ? dimensions : undefined);
+  }
+  if (provider !== 'vertex') {
+    throw new Error(
+      `Unknown embeddings provider "${provider}". Expected one of: vertex, fake`,
+    );
+  }
+
+  // Loaded on first use so the SDK is not imported in offline runs
+  let clientPromise;
+  const getClient = () => {
+    clientPromise ??= createVertexEmbeddings(
+      process.env.EMBEDDINGS_MODEL || 'text-embedding-004',
+    );
+    return clientPromise;
+  };
+  return {
+    embedQuery: async text => (await getClient()).embedQuery(text),
+    // Batched by the SDK, much faster than one call per text
+    embedDocuments: async texts => (await getClient()).embedDocuments(texts),
+  };
+};
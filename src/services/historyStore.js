@@ -0,0 +1,218 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import { existsSync } from 'fs';
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createPool, envConnection } from '../config/db.js';
+import logger from '../config/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Go up two levels to the project root, then into `data/`
+const historyFile =
+  process.env.HISTORY_FILE ||
+  path.join(__dirname, '..', '..', 'data', 'query-history.jsonl');
+
+/**
+ * A history store keeps one entry per generation request. Backends provide:
+ *   record(entry) -> entry (with `id` and `createdAt` set)
+ *   get(id) -> entry | null
+ *   addFeedback(id, feedback) -> entry | null
+ * An entry is `{ id, createdAt, datasource, callerId, sessionId, route,
+ * question, context, sql, status, error, attempts, latencyMs, llmTokens,
+ * feedback }`. `status` is `valid`, `invalid` (no valid SQL after every
+ * repair attempt) or `error`; `feedback` is `null` or `{ rating,
+ * correctedSql, comment, submittedAt }`.
+ */
+
+const newEntry = entry => ({
+  ...entry,
+  id: crypto.randomUUID(),
+  createdAt: new Date().toISOString(),
+  feedback: null,
+});
+
+const CREATE_TABLE = `
+  CREATE TABLE IF NOT EXISTS query_history (
+    id UUID PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    datasource TEXT NOT NULL,
+    caller_id TEXT,
+    session_id TEXT,
+    route TEXT,
+    question TEXT NOT NULL,
+    context JSONB NOT NULL DEFAULT '{}',
+    sql TEXT,
+    status TEXT NOT NULL,
+    error TEXT,
+    attempts JSONB NOT NULL DEFAULT '[]',
+    latency_ms INTEGER,
+    llm_tokens INTEGER,
+    feedback JSONB
+  );
+  CREATE INDEX IF NOT EXISTS query_history_created_at_idx
+    ON query_history (created_at);`;
+
+const fromRow = row => ({
+  id: row.id,
+  createdAt: row.created_at.toISOString(),
+  datasource: row.datasource,
+  callerId: row.caller_id,
+  sessionId: row.session_id,
+  route: row.route,
+  question: row.question,
+  context: row.context,
+  sql: row.sql,
+  status: row.status,
+  error: row.error,
+  attempts: row.attempts,
+  latencyMs: row.latency_ms,
+  llmTokens: row.llm_tokens,
+  feedback: row.feedback,
+});
+
+/**
+ * Keeps history in the `query_history` table, created on first use.
+ * Connects with HISTORY_DATABASE_URL, or the DB_* settings when it is not
+ * set; that user needs CREATE and INSERT rights, which the read-only user
+ * that runs generated SQL usually lacks.
+ */
+export const createPostgresHistoryStore = () => {
+  const pool = createPool(
+    process.env.HISTORY_DATABASE_URL
+      ? { connectionString: process.env.HISTORY_DATABASE_URL }
+      : envConnection,
+  );
+  let ready;
+  const ensureTable = () => {
+    ready ??= pool.query(CREATE_TABLE).catch(error => {
+      // Allow the next call to try again
+      ready = undefined;
+      throw error;
+    });
+    return ready;
+  };
+
+  return {
+    record: async entry => {
+      await ensureTable();
+      const stored = newEntry(entry);
+      await pool.query(
+        `INSERT INTO query_history (id, created_at, datasource, caller_id,
+           session_id, route, question, context, sql, status, error, attempts,
+           latency_ms, llm_tokens)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [
+          stored.id,
+          stored.createdAt,
+          stored.datasource,
+          stored.callerId,
+          stored.sessionId,
+          stored.route,
+          stored.question,
+          JSON.stringify(stored.context),
+          stored.sql,
+          stored.status,
+          stored.error,
+          JSON.stringify(stored.attempts),
+          stored.latencyMs,
+          stored.llmTokens,
+        ],
+      );
+      return stored;
+    },
+    get: async id => {
+      await ensureTable();
+      const res = await pool.query(
+        'SELECT * FROM query_history WHERE id = $1',
+        [id],
+      );
+      return res.rows[0] ? fromRow(res.rows[0]) : null;
+    },
+    addFeedback: async (id, feedback) => {
+      await ensureTable();
+      const res = await pool.query(
+        'UPDATE query_history SET feedback = $2 WHERE id = $1 RETURNING *',
+        [id, JSON.stringify(feedback)],
+      );
+      return res.rows[0] ? fromRow(res.rows[0]) : null;
+    },
+  };
+};
+
+/**
+ * Appends history to a JSON Lines file (HISTORY_FILE). Feedback is appended
+ * as its own line and merged on read. Meant for laptops and CI: every read
+ * scans the whole file.
+ */
+export const createLocalHistoryStore = ({ file = historyFile } = {}) => {
+  const append = async line => {
+    await mkdir(path.dirname(file), { recursive: true });
+    await appendFile(file, `${JSON.stringify(line)}\n`);
+  };
+
+  const get = async id => {
+    if (!existsSync(file)) {
+      return null;
+    }
+    const lines = (await readFile(file, 'utf-8'))
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(line => line.id === id);
+    if (!lines.some(line => line.question !== undefined)) {
+      return null;
+    }
+    // Later lines are feedback updates for the entry
+    return lines.reduce((entry, line) => ({ ...entry, ...line }), {});
+  };
+
+  return {
+    record: async entry => {
+      const stored = newEntry(entry);
+      await append(stored);
+      return stored;
+    },
+    get,
+    addFeedback: async (id, feedback) => {
+      if (!(await get(id))) {
+        return null;
+      }
+      await append({ id, feedback });
+      return get(id);
+    },
+  };
+};
+
+const BACKENDS = {
+  postgres: createPostgresHistoryStore,
+  local: createLocalHistoryStore,
+};
+
+let activeStore;
+
+/**
+ * Returns the history store selected by HISTORY_STORE (`postgres`, the
+ * default, or `local`), or `null` when it is `none`.
+ */
+export const getHistoryStore = () => {
+  const backend = (process.env.HISTORY_STORE || 'postgres').toLowerCase();
+  if (backend === 'none') {
+    return null;
+  }
+  if (!BACKENDS[backend]) {
+    throw new Error(
+      `Unknown history store "${backend}". Expected one of: ${Object.keys(BACKENDS).join(', ')}, none`,
+    );
+  }
+  if (!activeStore) {
+    activeStore = BACKENDS[backend]();
+    logger.info('History store initialized', {
+      backend,
+      service: 'HISTORY',
+    });
+  }
+  return activeStore;
+};
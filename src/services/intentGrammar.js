@@ -0,0 +1,842 @@
+import { getDialect } from '../config/dialects.js';
+import { getGrammar, PERIOD_UNITS, TIME_UNITS } from '../config/grammars.js';
+import logger from '../config/logger.js';
+import { executeReadOnlyQuery } from './queryExecutor.js';
+
+// Type names of every supported dialect, as catalogs and schema files
+// spell them
+const NUMERIC_TYPE =
+  /^(smallint|integer|int|int[248]|int64|tinyint|mediumint|bigint|numeric|bignumeric|decimal|real|float|float[48]|float64|double precision|double|money)\b/;
+const TIME_TYPE = /^(timestamp|datetime|date)\b/;
+const TEXT_TYPE =
+  /^(character varying|character|varchar|nvarchar|char|nchar|text|tinytext|mediumtext|longtext|citext|string)\b/;
+
+// Sampled values longer than this are not matched against questions
+const MAX_VALUE_LENGTH = 64;
+
+// Keywords PostgreSQL does not accept as bare identifiers
+const RESERVED_WORDS = new Set(
+  `all analyse analyze and any array as asc asymmetric both case cast check
+  collate column constraint create current_catalog current_date current_role
+  current_time current_timestamp current_user default deferrable desc distinct
+  do else end except false fetch for foreign from grant group having in
+  initially intersect into lateral leading limit localtime localtimestamp not
+  null offset on only or order placing primary references returning select
+  session_user some symmetric table then to trailing true union unique user
+  using variadic when where window with`.split(/\s+/),
+);
+
+const quoteIdentifier = (name, quote = '"') =>
+  /^[a-z_][a-z0-9_]*$/.test(name) && !RESERVED_WORDS.has(name)
+    ? name
+    : `${quote}${name.replaceAll(quote, quote + quote)}${quote}`;
+
+const grouped = expression =>
+  expression.includes(' ') ? `(${expression})` : expression;
+
+const SQLITE_MODIFIER_UNITS = {
+  week: [7, 'day'],
+  quarter: [3, 'month'],
+};
+
+/**
+ * Date arithmetic of each dialect for `{ start, minus }` time range bounds:
+ * `now`, the `start` of the current period and `minus` a number of units.
+ * `wrap` converts the result to the type timestamp columns compare with.
+ */
+const DATE_SQL = {
+  postgresql: {
+    now: 'NOW()',
+    start: unit =>
+      unit === 'day' ? 'CURRENT_DATE' : `date_trunc('${unit}', CURRENT_DATE)`,
+    minus: (expression, count, unit) =>
+      unit === 'quarter'
+        ? `${expression} - INTERVAL '${count * 3} months'`
+        : `${expression} - INTERVAL '${count} ${unit}s'`,
+  },
+  trino: {
+    now: 'current_timestamp',
+    start: unit =>
+      unit === 'day' ? 'current_date' : `date_trunc('${unit}', current_date)`,
+    minus: (expression, count, unit) =>
+      `date_add('${unit}', -${count}, ${expression})`,
+  },
+  mysql: {
+    now: 'NOW()',
+    start: unit =>
+      ({
+        day: 'CURDATE()',
+        week: 'CURDATE() - INTERVAL WEEKDAY(CURDATE()) DAY',
+        month: 'CURDATE() - INTERVAL (DAYOFMONTH(CURDATE()) - 1) DAY',
+        quarter:
+          'MAKEDATE(YEAR(CURDATE()), 1) + INTERVAL (QUARTER(CURDATE()) - 1) QUARTER',
+        year: 'MAKEDATE(YEAR(CURDATE()), 1)',
+      })[unit],
+    minus: (expression, count, unit) =>
+      `${grouped(expression)} - INTERVAL ${count} ${unit.toUpperCase()}`,
+  },
+  sqlite: {
+    now: "datetime('now')",
+    start: unit =>
+      ({
+        day: "date('now')",
+        week: "date('now', 'weekday 0', '-6 days')",
+        month: "date('now', 'start of month')",
+        quarter:
+          "date('now', 'start of month', '-' || ((strftime('%m', 'now') - 1) % 3) || ' months')",
+        year: "date('now', 'start of year')",
+      })[unit],
+    minus: (expression, count, unit) => {
+      const [factor, modifierUnit] = SQLITE_MODIFIER_UNITS[unit] ?? [1, unit];
+      return `datetime(${expression}, '-${count * factor} ${modifierUnit}s')`;
+    },
+  },
+  bigquery: {
+    now: 'CURRENT_DATETIME()',
+    start: unit =>
+      `DATETIME_TRUNC(CURRENT_DATETIME(), ${unit === 'week' ? 'ISOWEEK' : unit.toUpperCase()})`,
+    minus: (expression, count, unit) =>
+      unit === 'quarter'
+        ? `DATETIME_SUB(${expression}, INTERVAL ${count * 3} MONTH)`
+        : `DATETIME_SUB(${expression}, INTERVAL ${count} ${unit.toUpperCase()})`,
+    wrap: expression => `TIMESTAMP(${expression})`,
+  },
+};
+
+// PostgreSQL sorts NULLs first in descending order; the other dialects
+// already put them last
+const NULLS_LAST_DIALECTS = new Set(['postgresql']);
+
+const quoteLiteral = value => `'${String(value).replace(/'/g, "''")}'`;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Spellings of a table, column or value name a question may use: with
+ * spaces for underscores, in singular and plural.
+ */
+const wordForms = name => {
+  const base = String(name).toLowerCase().replace(/_/g, ' ').trim();
+  const forms = new Set([base]);
+  if (base.endsWith('ies')) {
+    forms.add(`${base.slice(0, -3)}y`);
+  } else if (/(ss|sh|ch|x)es$/.test(base)) {
+    forms.add(base.slice(0, -2));
+  } else if (base.endsWith('s') && !base.endsWith('ss')) {
+    forms.add(base.slice(0, -1));
+  } else if (/[^aeiou]y$/.test(base)) {
+    forms.add(`${base.slice(0, -1)}ies`);
+  } else if (/(s|sh|ch|x)$/.test(base)) {
+    forms.add(`${base}es`);
+  } else {
+    forms.add(`${base}s`);
+  }
+  return [...forms];
+};
+
+const synonymsOf = synonyms => (synonyms || []).map(s => s.toLowerCase());
+
+// Words of the grammar's vocabulary that stand for a name, e.g. "customers"
+// for a `users` table
+const aliasesOf = (name, grammar) => {
+  const forms = wordForms(name);
+  return Object.entries(grammar.vocabulary ?? {})
+    .filter(([, names]) => names.some(n => forms.includes(n)))
+    .flatMap(([word]) => wordForms(word));
+};
+
+/**
+ * Earliest occurrence of any term as a whole word or phrase, preferring the
+ * longest term at the same position.
+ * @returns {{index: number, length: number}|null}
+ */
+const findTerm = (text, terms, isFree = () => true) => {
+  let best = null;
+  for (const term of terms) {
+    const pattern = new RegExp(
+      `(?<![a-z0-9])${escapeRegExp(term)}(?![a-z0-9])`,
+      'g',
+    );
+    for (const match of text.matchAll(pattern)) {
+      const found = { index: match.index, length: term.length };
+      if (!isFree(found)) {
+        continue;
+      }
+      if (
+        !best ||
+        found.index < best.index ||
+        (found.index === best.index && found.length > best.length)
+      ) {
+        best = found;
+      }
+      break;
+    }
+  }
+  return best;
+};
+
+// Spans of the question already explained by an entity or a value
+const createClaims = () => {
+  const spans = [];
+  return {
+    claim: ({ index, length }) => spans.push([index, index + length]),
+    isFree: ({ index, length }) =>
+      spans.every(([start, end]) => index + length <= start || index >= end),
+  };
+};
+
+const normalizeQuestion = (question, grammar) =>
+  Object.entries(grammar.numberWords).reduce(
+    (text, [word, number]) =>
+      text.replace(new RegExp(`\\b${escapeRegExp(word)}\\b`, 'g'), number),
+    question.toLowerCase().replace(/\s+/g, ' ').trim(),
+  );
+
+/**
+ * Describes a table for matching: its names, its columns and the roles the
+ * grammar gives them. Roles missing from the grammar are derived from the
+ * column types, and names from the grammar's vocabulary, so tables without
+ * an entry still work.
+ */
+const buildEntity = (table, grammar) => {
+  const config =
+    grammar.entities?.[table.qualifiedName] ??
+    grammar.entities?.[table.name] ??
+    {};
+  const keyColumns = new Set([
+    ...table.primaryKey,
+    ...table.foreignKeys.flatMap(foreignKey => foreignKey.columns),
+  ]);
+  const uniqueColumns = new Set(
+    table.uniqueConstraints
+      .filter(columns => columns.length === 1)
+      .map(([column]) => column),
+  );
+  const columns = table.columns.map(column => ({
+    name: column.name,
+    terms: [
+      ...wordForms(column.name),
+      ...synonymsOf(config.columns?.[column.name]),
+      ...aliasesOf(column.name, grammar),
+    ],
+    numeric: NUMERIC_TYPE.test(column.type),
+    time: TIME_TYPE.test(column.type),
+    text: TEXT_TYPE.test(column.type) || Boolean(column.enumValues),
+    enumValues: column.enumValues,
+    key: keyColumns.has(column.name) || /(^|_)id$/.test(column.name),
+    unique: uniqueColumns.has(column.name),
+  }));
+  const byName = name => columns.find(column => column.name === name);
+  const firstOf = predicate => columns.find(predicate)?.name ?? null;
+  // Columns named by the grammar may be hidden from the caller
+  const configured = name => (byName(name) ? name : undefined);
+
+  return {
+    table,
+    config,
+    terms: [...wordForms(table.name), ...synonymsOf(config.synonyms)],
+    // Only used when no table is named by its own terms
+    aliases: aliasesOf(table.name, grammar),
+    columns,
+    column: byName,
+    label:
+      configured(config.label) ??
+      firstOf(column => ['name', 'title', 'label'].includes(column.name)) ??
+      firstOf(column => column.text && !column.key) ??
+      table.primaryKey[0] ??
+      null,
+    measure:
+      configured(config.measure) ??
+      firstOf(column => column.numeric && !column.key),
+    timeColumn: configured(config.timeColumn) ?? firstOf(column => column.time),
+  };
+};
+
+// datasource/table/column -> { values: Promise<string[]>, expiresAt }
+const sampledValues = new Map();
+
+/**
+ * Distinct values of a text column, or none when it has more than
+ * `maxDistinct` of them (names, emails and other free text).
+ */
+const sampleColumnValues = (datasource, table, column, sampling) => {
+  const key = JSON.stringify([datasource.name, table.qualifiedName, column]);
+  const cached = sampledValues.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.values;
+  }
+  const sql = `SELECT DISTINCT ${quoteIdentifier(column)} AS value FROM ${quoteIdentifier(table.schema)}.${quoteIdentifier(table.name)} WHERE ${quoteIdentifier(column)} IS NOT NULL`;
+  const values = executeReadOnlyQuery(sql, {
+    datasource,
+    maxRows: sampling.maxDistinct + 1,
+  }).then(({ rows, truncated }) =>
+    truncated ? [] : rows.map(row => String(row.value)),
+  );
+  sampledValues.set(key, { values, expiresAt: Date.now() + sampling.ttlMs });
+  // A failed sample is not remembered
+  values.catch(() => {
+    if (sampledValues.get(key)?.values === values) {
+      sampledValues.delete(key);
+    }
+  });
+  return values;
+};
+
+/**
+ * Values a question may filter a column by, each with the words that name
+ * it: enum labels, values listed in the grammar and sampled values.
+ */
+const collectColumnValues = async (datasource, entity, grammar) => {
+  const { maxDistinct } = grammar.sampling;
+  const canSample =
+    maxDistinct > 0 && datasource.dialect.connector === 'postgres';
+  const collected = [];
+  for (const column of entity.columns.filter(c => c.text && !c.key)) {
+    const configured = entity.config.values?.[column.name] ?? {};
+    let values = column.enumValues ?? [];
+    if (!column.enumValues && !column.unique && canSample) {
+      try {
+        values = await sampleColumnValues(
+          datasource,
+          entity.table,
+          column.name,
+          grammar.sampling,
+        );
+      } catch (error) {
+        logger.warn('Could not sample column values', {
+          table: entity.table.qualifiedName,
+          column: column.name,
+          error: error.message,
+          service: 'INTENT_GRAMMAR',
+        });
+      }
+    }
+    new Set([...Object.keys(configured), ...values]).forEach(value => {
+      if (value.length < 2 || value.length > MAX_VALUE_LENGTH) {
+        return;
+      }
+      collected.push({
+        column: column.name,
+        value,
+        terms: [...wordForms(value), ...synonymsOf(configured[value])],
+      });
+    });
+  }
+  return collected;
+};
+
+const firstMatch = (patterns, text) => {
+  for (const pattern of patterns) {
+    const match = pattern.exec(text);
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+};
+
+// Placeholders like {count} are filled from the pattern's named groups,
+// which may only capture words and numbers
+const fillPlaceholders = (template, groups = {}) =>
+  template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = groups[name];
+    return value !== undefined && /^[\w ]+$/.test(value) ? value : placeholder;
+  });
+
+/**
+ * Renders a time range bound: raw SQL from the grammar, or `{ start, minus }`
+ * in the dialect's date arithmetic, e.g. `{ minus: "30 day" }` is 30 days
+ * before now and `{ start: "month" }` the first day of the month.
+ */
+const renderBound = (bound, groups, dialect) => {
+  if (typeof bound === 'string') {
+    return fillPlaceholders(bound, groups);
+  }
+  const sql = DATE_SQL[dialect.id] ?? DATE_SQL.postgresql;
+  // Units may be captured in the plural ("last 2 weeks")
+  const unitOf = text => text.replace(/s$/, '');
+  const start = bound.start && unitOf(fillPlaceholders(bound.start, groups));
+  let expression = sql.now;
+  if (start) {
+    if (!PERIOD_UNITS.has(start)) {
+      throw new Error(`Unknown period "${start}" in a time range`);
+    }
+    expression = sql.start(start);
+  }
+  if (bound.minus) {
+    const [count, unit] = fillPlaceholders(bound.minus, groups).split(' ');
+    if (!/^\d+$/.test(count) || !TIME_UNITS.has(unitOf(unit))) {
+      throw new Error(`Invalid time range "${bound.minus}"`);
+    }
+    expression = sql.minus(expression, Number(count), unitOf(unit));
+  }
+  return sql.wrap ? sql.wrap(expression) : expression;
+};
+
+// Table the main entity references through a foreign key, e.g. the user of
+// an order, so "orders per user" groups by the user's label
+const findRelatedEntity = (main, entities, term) => {
+  for (const foreignKey of main.table.foreignKeys) {
+    const related = entities.find(
+      entity =>
+        entity.table.schema === foreignKey.references.schema &&
+        entity.table.name === foreignKey.references.table,
+    );
+    if (related?.label && related.terms.includes(term)) {
+      return { entity: related, foreignKey };
+    }
+  }
+  return null;
+};
+
+const resolveGroup = (main, entities, match) => {
+  const words = match.groups?.term?.trim().split(' ') ?? [];
+  // "for each user who ..." tries "user who", then "user"
+  const candidates = [words.join(' '), words[0]].filter(Boolean);
+  for (const term of candidates) {
+    // "by price" ranks rather than groups
+    const column = main.columns.find(c => !c.numeric && c.terms.includes(term));
+    if (column) {
+      return { column: column.name };
+    }
+    const related = findRelatedEntity(main, entities, term);
+    if (related) {
+      return related;
+    }
+  }
+  return null;
+};
+
+// "top 3" takes the number from the question; a single aggregate row
+// needs no limit
+const resultLimit = (intent, requested, aggregate, grammar) => {
+  if (intent.order) {
+    return Number.isInteger(requested)
+      ? requested
+      : (intent.limit ?? grammar.limit);
+  }
+  return aggregate ? null : grammar.limit;
+};
+
+const entityMentions = (text, entities, termsOf) =>
+  entities
+    .map(entity => ({ entity, found: findTerm(text, termsOf(entity)) }))
+    .filter(({ found }) => found)
+    .sort(
+      (a, b) =>
+        a.found.index - b.found.index || b.found.length - a.found.length,
+    );
+
+const columnAndValueTerms = ({ config, columns, column: byName }) => [
+  ...columns.filter(column => !column.key).flatMap(column => column.terms),
+  ...Object.entries(config.values ?? {})
+    .filter(([column]) => byName(column))
+    .flatMap(([, values]) =>
+      Object.entries(values).flatMap(([value, synonyms]) => [
+        ...wordForms(value),
+        ...synonymsOf(synonyms),
+      ]),
+    ),
+];
+
+/**
+ * The main table is the first one the question names, except that a sum or
+ * an average skips tables without a number to aggregate ("total amount of
+ * each user's orders"). Names from the vocabulary count only when no table
+ * is named by its own. A question naming no table falls back to the first
+ * column, or a value listed in the grammar; that mention stays unclaimed so
+ * it still selects the column or value.
+ *
+ * Failing that, a sum or average needs a table with a measure and a time
+ * range one with a time column; of those, tables referencing others (facts,
+ * such as orders) are preferred.
+ */
+const findMainEntity = (text, entities, intent, hasTimeRange) => {
+  const needsMeasure =
+    Boolean(intent.aggregate) && intent.aggregate !== 'COUNT';
+  for (const termsOf of [entity => entity.terms, entity => entity.aliases]) {
+    const named = entityMentions(text, entities, termsOf);
+    const measurable =
+      needsMeasure && named.find(({ entity }) => entity.measure);
+    if (measurable) {
+      return measurable;
+    }
+    if (named.length > 0) {
+      return named[0];
+    }
+  }
+  const [bySynonym] = entityMentions(text, entities, columnAndValueTerms);
+  if (bySynonym) {
+    return { entity: bySynonym.entity, found: null };
+  }
+  if (!needsMeasure && !hasTimeRange) {
+    return null;
+  }
+  const [fallback] = entities
+    .filter(
+      entity =>
+        (!needsMeasure || entity.measure) &&
+        (!hasTimeRange || entity.timeColumn),
+    )
+    .sort((a, b) => b.table.foreignKeys.length - a.table.foreignKeys.length);
+  return fallback && { entity: fallback, found: null };
+};
+
+/**
+ * Reads a question with a datasource's intent grammar: which table it is
+ * about, what it asks for (list, count, aggregate, top N), how to filter
+ * and group, and over which time range.
+ * @param {string} question
+ * @param {{datasource: object, tables: Array<object>, grammar: object}} context
+ * @returns {Promise<object>} The interpretation `buildSql` turns into SQL.
+ * @throws {Error} When the question neither names a table nor asks for a
+ *   total or a time range some table can answer.
+ */
+export const interpretQuestion = async (
+  question,
+  { datasource, tables, grammar },
+) => {
+  const text = normalizeQuestion(question, grammar);
+  const entities = tables.map(table => buildEntity(table, grammar));
+  const claims = createClaims();
+
+  const intentMatch = grammar.intents
+    .map(intent => ({ intent, match: firstMatch(intent.patterns, text) }))
+    .find(({ match }) => match);
+  const intent = intentMatch?.intent ?? { name: 'list' };
+  const limitGroup = Number.parseInt(intentMatch?.match.groups?.limit, 10);
+  const [range, rangeMatch] = grammar.timeRanges
+    .map(r => [r, firstMatch(r.patterns, text)])
+    .find(([, m]) => m) ?? [null, null];
+
+  const { entity: main, found: mention } =
+    findMainEntity(text, entities, intent, Boolean(range)) ?? {};
+  if (!main) {
+    throw new Error(
+      `I couldn't understand your question. Available tables: ${tables.map(t => t.qualifiedName).join(', ')}. ` +
+        'Mention one of them, or add its synonyms to the datasource grammar.',
+    );
+  }
+  if (mention) {
+    claims.claim(mention);
+  }
+
+  // Values: "active users", "completed orders"
+  const filters = new Map();
+  const values = await collectColumnValues(datasource, main, grammar);
+  values
+    .map(value => ({
+      ...value,
+      found: findTerm(text, value.terms, claims.isFree),
+    }))
+    .filter(({ found }) => found)
+    .sort((a, b) => b.found.length - a.found.length)
+    .forEach(({ column, value, found }) => {
+      if (claims.isFree(found)) {
+        claims.claim(found);
+        filters.set(column, [...(filters.get(column) ?? []), value]);
+      }
+    });
+
+  // Mentioned columns, in question order
+  const mentions = main.columns
+    .map(column => ({
+      column,
+      found: findTerm(text, column.terms, claims.isFree),
+    }))
+    .filter(({ found }) => found)
+    .sort((a, b) => a.found.index - b.found.index);
+  const consumed = new Set();
+
+  // Comparisons apply to the numeric column mentioned right before or in
+  // them. A number in the question defaults to the measure; a comparison
+  // with a fixed value, like "in stock", needs its column named.
+  const comparisons = [];
+  grammar.comparisons.forEach(({ patterns, operator, value: fixed }) => {
+    const match = firstMatch(patterns, text);
+    if (!match) {
+      return;
+    }
+    const value = fixed ?? Number(match.groups?.value);
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    const mentioned = mentions
+      .filter(
+        m => m.column.numeric && m.found.index < match.index + match[0].length,
+      )
+      .at(-1)?.column.name;
+    const column = mentioned ?? (fixed === null ? main.measure : null);
+    if (column) {
+      consumed.add(column);
+      comparisons.push({ column, operator, value });
+    }
+  });
+
+  let timeRange = null;
+  if (main.timeColumn && range) {
+    const { groups } = rangeMatch;
+    timeRange = {
+      column: main.timeColumn,
+      from: renderBound(range.from, groups, datasource.dialect),
+      to: range.to && renderBound(range.to, groups, datasource.dialect),
+    };
+  }
+
+  let group = null;
+  const groupMatch = firstMatch(grammar.groupBy, text);
+  if (groupMatch) {
+    group = resolveGroup(main, entities, groupMatch);
+  }
+  if (!group && intent.order) {
+    // "top 3 categories", "top 3 product categories": the subject is a
+    // column, so its values are ranked rather than the rows
+    const [first] = mentions;
+    const subject = first?.column;
+    if (
+      subject?.text &&
+      !subject.key &&
+      !subject.unique &&
+      subject.name !== main.label &&
+      (!mention || first.found.index === mention.index + mention.length + 1)
+    ) {
+      group = { column: subject.name };
+    }
+  }
+  if (group?.column) {
+    consumed.add(group.column);
+  }
+
+  const numericMention = mentions.find(m => m.column.numeric)?.column.name;
+  let aggregate = null;
+  if (intent.aggregate === 'COUNT') {
+    const distinctColumn = firstMatch(grammar.distinct, text)
+      ? mentions.find(m => !consumed.has(m.column.name))?.column.name
+      : undefined;
+    aggregate = { fn: 'COUNT', column: distinctColumn ?? null };
+  } else if (intent.aggregate) {
+    const column = numericMention ?? main.measure;
+    if (!column) {
+      throw new Error(
+        `No numeric column to ${intent.name} in ${main.table.qualifiedName}.`,
+      );
+    }
+    aggregate = { fn: intent.aggregate, column };
+  } else if (intent.order && group) {
+    // "top 3 categories": rank groups by the measure, or by their size
+    const column = numericMention ?? main.measure;
+    aggregate = column ? { fn: 'SUM', column } : { fn: 'COUNT', column: null };
+  }
+  if (aggregate?.column) {
+    consumed.add(aggregate.column);
+  }
+
+  let order = null;
+  if (intent.order) {
+    const column = aggregate ? null : (numericMention ?? main.measure);
+    if (aggregate || column) {
+      order = { column, direction: intent.order };
+    }
+  } else if (!aggregate) {
+    const sort = grammar.sorts.find(s => firstMatch(s.patterns, text));
+    const column = sort?.by === 'time' ? main.timeColumn : sort?.by;
+    if (column && main.column(column)) {
+      order = { column, direction: sort.direction };
+    }
+  }
+
+  let selected = [
+    ...new Set(
+      mentions.map(m => m.column.name).filter(column => !consumed.has(column)),
+    ),
+  ];
+  if (intent.order && order?.column) {
+    // A ranking shows what is ranked next to the number it is ranked by
+    selected = [
+      ...new Set([main.label, ...selected, order.column].filter(Boolean)),
+    ];
+  } else if (
+    order?.column &&
+    !selected.includes(order.column) &&
+    selected.length
+  ) {
+    selected.push(order.column);
+  }
+
+  return {
+    intent: intent.name,
+    dialect: datasource.dialect.id,
+    entity: main,
+    columns: selected,
+    filters: [...filters].map(([column, columnValues]) => ({
+      column,
+      values: columnValues,
+    })),
+    comparisons,
+    timeRange,
+    group,
+    aggregate,
+    order,
+    limit: resultLimit(intent, limitGroup, aggregate, grammar),
+  };
+};
+
+const aggregateAlias = ({ fn, column }, quote) => {
+  if (!column) {
+    return 'total';
+  }
+  const prefix = {
+    COUNT: 'distinct',
+    SUM: 'total',
+    AVG: 'average',
+    MIN: 'min',
+    MAX: 'max',
+  }[fn];
+  // total_amount stays total_amount rather than total_total_amount
+  return quote(
+    column.startsWith(`${prefix}_`) ? column : `${prefix}_${column}`,
+  );
+};
+
+/**
+ * Renders an interpretation as SQL of its datasource's dialect.
+ * @param {object} interpretation - From `interpretQuestion`.
+ * @returns {string}
+ */
+export const buildSql = ({
+  dialect = 'postgresql',
+  entity,
+  columns,
+  filters,
+  comparisons,
+  timeRange,
+  group,
+  aggregate,
+  order,
+  limit,
+}) => {
+  const { table } = entity;
+  const { identifierQuote } = getDialect(dialect);
+  const quote = name => quoteIdentifier(name, identifierQuote);
+  const related = group?.entity ?? null;
+  const mainAlias = quote(table.name);
+  const relatedAlias =
+    related &&
+    quote(
+      related.table.name === table.name
+        ? `${related.table.name}_2`
+        : related.table.name,
+    );
+  // Columns are qualified once a second table is joined
+  const ref = column =>
+    related ? `${mainAlias}.${quote(column)}` : quote(column);
+  const relatedRef = column => `${relatedAlias}.${quote(column)}`;
+
+  let from = `${quote(table.schema)}.${quote(table.name)}`;
+  if (related) {
+    const on = group.foreignKey.columns
+      .map(
+        (column, index) =>
+          `${relatedRef(group.foreignKey.references.columns[index])} = ${ref(column)}`,
+      )
+      .join(' AND ');
+    from += ` AS ${mainAlias} JOIN ${quote(related.table.schema)}.${quote(related.table.name)} AS ${relatedAlias} ON ${on}`;
+  }
+
+  const conditions = [
+    ...filters.map(({ column, values }) =>
+      values.length === 1
+        ? `${ref(column)} = ${quoteLiteral(values[0])}`
+        : `${ref(column)} IN (${values.map(quoteLiteral).join(', ')})`,
+    ),
+    ...comparisons.map(
+      ({ column, operator, value }) => `${ref(column)} ${operator} ${value}`,
+    ),
+  ];
+  if (timeRange) {
+    conditions.push(`${ref(timeRange.column)} >= ${timeRange.from}`);
+    if (timeRange.to) {
+      conditions.push(`${ref(timeRange.column)} < ${timeRange.to}`);
+    }
+  }
+
+  let aggregateExpression = null;
+  if (aggregate) {
+    const argument = aggregate.column
+      ? `${aggregate.fn === 'COUNT' ? 'DISTINCT ' : ''}${ref(aggregate.column)}`
+      : '*';
+    aggregateExpression = `${aggregate.fn}(${argument}) AS ${aggregateAlias(aggregate, quote)}`;
+  }
+
+  let select;
+  let groupBy = [];
+  if (group) {
+    const labels = related ? [relatedRef(related.label)] : [ref(group.column)];
+    groupBy = labels;
+    if (related) {
+      // The related table's key keeps rows with the same label apart
+      groupBy = [
+        ...related.table.primaryKey
+          .filter(column => column !== related.label)
+          .map(relatedRef),
+        ...labels,
+      ];
+    }
+    select = [...labels, aggregateExpression ?? 'COUNT(*) AS total'];
+  } else if (aggregate) {
+    select = [aggregateExpression];
+  } else {
+    select = columns.length ? columns.map(ref) : ['*'];
+  }
+
+  const clauses = [`SELECT ${select.join(', ')}`, `FROM ${from}`];
+  if (conditions.length) {
+    clauses.push(`WHERE ${conditions.join(' AND ')}`);
+  }
+  if (groupBy.length) {
+    clauses.push(`GROUP BY ${groupBy.join(', ')}`);
+    const direction = order?.direction ?? 'DESC';
+    clauses.push(
+      `ORDER BY ${aggregate ? aggregateAlias(aggregate, quote) : 'total'} ${direction}`,
+    );
+  } else if (order?.column) {
+    const nulls =
+      order.direction === 'DESC' && NULLS_LAST_DIALECTS.has(dialect)
+        ? ' NULLS LAST'
+        : '';
+    clauses.push(`ORDER BY ${ref(order.column)} ${order.direction}${nulls}`);
+  }
+  if (limit && (!aggregate || group)) {
+    clauses.push(`LIMIT ${limit}`);
+  }
+  return clauses.join(' ');
+};
+
+/**
+ * Generates SQL for a question from the datasource's intent grammar (see
+ * config/grammars.js), without an LLM.
+ * @param {string} question
+ * @param {{datasource: object, tables: Array<object>}} context - `tables`
+ *   are the introspected tables the caller may see.
+ * @returns {Promise<{sql: string, interpretation: object}>}
+ */
+export const generateFromGrammar = async (question, { datasource, tables }) => {
+  const grammar = getGrammar(datasource);
+  const interpretation = await interpretQuestion(question, {
+    datasource,
+    tables,
+    grammar,
+  });
+  const sql = buildSql(interpretation);
+  const { entity, ...rest } = interpretation;
+  logger.debug('Interpreted question with intent grammar', {
+    table: entity.table.qualifiedName,
+    ...rest,
+    group: rest.group && {
+      column: rest.group.column,
+      table: rest.group.entity?.table.qualifiedName,
+    },
+    service: 'INTENT_GRAMMAR',
+  });
+  return { sql, interpretation };
+};
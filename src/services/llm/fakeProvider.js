@@ -0,0 +1,73 @@
+import { readFileSync } from 'fs';
+
+export const DEFAULT_MODEL = 'fake';
+
+// Only the latest prompts are kept, so long-running servers using the fake
+// provider do not grow without bound
+const MAX_RECORDED_CALLS = 100;
+
+// The latest provider of each client scope, see getFakeProvider
+const providersByScope = new Map();
+
+const loadFixtures = () => {
+  if (!process.env.FAKE_LLM_FIXTURES) {
+    return [];
+  }
+  return JSON.parse(readFileSync(process.env.FAKE_LLM_FIXTURES, 'utf-8'));
+};
+
+/**
+ * Deterministic offline adapter for tests and local runs.
+ * Each fixture is `{ match, response }`; the first fixture whose `match`
+ * (a case-insensitive regular expression) matches the prompt wins.
+ * The latest prompts are recorded in `calls` so tests can assert on them;
+ * `resetCalls` clears them between tests.
+ * @param {{scope?: string, responses?: Array<{match: string, response: string}>, defaultResponse?: string, maxCalls?: number}} options
+ */
+export const createProvider = ({
+  scope,
+  responses = loadFixtures(),
+  defaultResponse = process.env.FAKE_LLM_DEFAULT_RESPONSE || 'SELECT 1',
+  maxCalls = MAX_RECORDED_CALLS,
+} = {}) => {
+  const fixtures = responses.map(({ match, response }) => ({
+    pattern: new RegExp(match, 'i'),
+    response,
+  }));
+  const calls = [];
+
+  const generate = async prompt => {
+    calls.push(prompt);
+    if (calls.length > maxCalls) {
+      calls.splice(0, calls.length - maxCalls);
+    }
+    const fixture = fixtures.find(({ pattern }) => pattern.test(prompt));
+    return fixture ? fixture.response : defaultResponse;
+  };
+
+  const provider = {
+    calls,
+    resetCalls: () => {
+      calls.length = 0;
+    },
+    generate,
+    // Emits the response word by word to exercise streaming consumers
+    stream: async (prompt, { onToken }) => {
+      const text = await generate(prompt);
+      text.split(/(?<=\s)/).forEach(token => onToken(token));
+      return text;
+    },
+  };
+  if (scope) {
+    providersByScope.set(scope, provider);
+  }
+  return provider;
+};
+
+/**
+ * The fake provider behind the LLM client of a scope (e.g. `SQL_AI`), so
+ * tests can assert on the prompts a generator sent. Created on the client's
+ * first call; undefined before it or when the scope uses another provider.
+ * @param {string} scope
+ */
+export const getFakeProvider = scope => providersByScope.get(scope);
@@ -0,0 +1,34 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export const DEFAULT_MODEL = 'gemini-2.5-flash-lite';
+
+/**
+ * Google Gemini adapter using the @google/generative-ai SDK.
+ * @param {{model: string, temperature?: number}} options
+ */
+export const createProvider = ({ model, temperature }) => {
+  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  const generativeModel = genAI.getGenerativeModel({
+    model,
+    generationConfig: temperature === undefined ? undefined : { temperature },
+  });
+
+  return {
+    generate: async (prompt, { signal } = {}) => {
+      const result = await generativeModel.generateContent(prompt, { signal });
+      return result.response.text();
+    },
+    stream: async (prompt, { signal, onToken }) => {
+      const result = await generativeModel.generateContentStream(prompt, {
+        signal,
+      });
+      let text = '';
+      for await (const chunk of result.stream) {
+        const token = chunk.text();
+        text += token;
+        onToken(token);
+      }
+      return text;
+    },
+  };
+};
@@ -0,0 +1,201 @@
+import 'dotenv/config';
+import logger from '../../config/logger.js';
+
+// Adapters are loaded on first use so unused SDKs are never imported
+const PROVIDERS = {
+  gemini: () => import('./geminiProvider.js'),
+  vertex: () => import('./vertexProvider.js'),
+  openai: () => import('./openaiProvider.js'),
+  fake: () => import('./fakeProvider.js'),
+};
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+const BASE_BACKOFF_MS = 500;
+
+const parseNonNegativeInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const sleep = ms =>
+  new Promise(resolve => {
+    setTimeout(resolve, ms);
+  });
+
+// Exponential backoff with full jitter: 0..base*2^attempt
+const backoffDelay = attempt =>
+  Math.floor(Math.random() * BASE_BACKOFF_MS * 2 ** attempt);
+
+// A timeout of 0 disables the limit
+const withTimeout = async (operation, timeoutMs) => {
+  const controller = new AbortController();
+  if (!timeoutMs) {
+    return operation(controller.signal);
+  }
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const error = new Error(`LLM call timed out after ${timeoutMs}ms`);
+      error.retryable = true;
+      reject(error);
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([operation(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Resolves the provider settings for a scope. Environment variables win over
+ * the caller's defaults: `<SCOPE>_LLM_PROVIDER` > `LLM_PROVIDER` > default.
+ */
+const resolveConfig = (scope, defaults) => {
+  const env = name => process.env[`${scope}_${name}`] || process.env[name];
+
+  const provider = (env('LLM_PROVIDER') || defaults.provider).toLowerCase();
+  if (!PROVIDERS[provider]) {
+    throw new Error(
+      `Unknown LLM provider "${provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`,
+    );
+  }
+
+  return {
+    scope,
+    provider,
+    // The caller's default model only makes sense for the caller's provider
+    model:
+      env('LLM_MODEL') ||
+      (provider === defaults.provider ? defaults.model : undefined),
+    temperature: defaults.temperature,
+    timeoutMs: parseNonNegativeInt(
+      env('LLM_TIMEOUT_MS'),
+      defaults.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+    ),
+    maxRetries: parseNonNegativeInt(
+      env('LLM_MAX_RETRIES'),
+      defaults.maxRetries ?? DEFAULT_MAX_RETRIES,
+    ),
+  };
+};
+
+// Rough token count: about four characters per token for English and SQL.
+// Adapters do not report usage, so token budgets are based on this.
+export const estimateTokens = text => Math.ceil(text.length / 4);
+
+/**
+ * Sums the usage reported through `invoke`'s `onUsage` over several calls,
+ * e.g. every attempt of a repair loop.
+ * @returns {{onUsage: (usage: object) => void, totals: {promptTokens: number, completionTokens: number, totalTokens: number, calls: number}}}
+ */
+export const createUsageTracker = () => {
+  const totals = {
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    calls: 0,
+  };
+  return {
+    totals,
+    onUsage: ({ promptTokens, completionTokens }) => {
+      totals.promptTokens += promptTokens;
+      totals.completionTokens += completionTokens;
+      totals.totalTokens += promptTokens + completionTokens;
+      totals.calls += 1;
+    },
+  };
+};
+
+// Streams through the adapter when it supports it. Adapters without `stream`
+// report their whole response as a single token.
+const generateText = async (adapter, prompt, { signal, onToken }) => {
+  if (!onToken) {
+    return adapter.generate(prompt, { signal });
+  }
+  if (adapter.stream) {
+    return adapter.stream(prompt, { signal, onToken });
+  }
+  const text = await adapter.generate(prompt, { signal });
+  onToken(text);
+  return text;
+};
+
+/**
+ * Creates an LLM client for one part of the application.
+ * @param {{scope: string, provider: string, model?: string, temperature?: number, timeoutMs?: number, maxRetries?: number}} options
+ *   `scope` prefixes the env overrides (e.g. `SQL_AI` reads `SQL_AI_LLM_MODEL`);
+ *   the remaining fields are defaults used when no env override is set.
+ * @returns {{provider: string, model: string, invoke: (prompt: string, options?: {onToken?: (text: string) => void, onUsage?: (usage: {promptTokens: number, completionTokens: number}) => void}) => Promise<string>}}
+ *   `invoke` resolves to the full response; `onToken` additionally receives
+ *   the response text as it is generated. A retried call streams again from
+ *   the start. `onUsage` receives the estimated token usage of the
+ *   successful call.
+ */
+export const createLlmClient = ({ scope, ...defaults }) => {
+  const config = resolveConfig(scope, defaults);
+  let adapterPromise;
+
+  const getAdapter = () => {
+    adapterPromise ??= PROVIDERS[config.provider]().then(module => {
+      config.model ??= module.DEFAULT_MODEL;
+      return module.createProvider(config);
+    });
+    return adapterPromise;
+  };
+
+  const invoke = async (prompt, { onToken, onUsage } = {}) => {
+    const adapter = await getAdapter();
+
+    for (let attempt = 0; ; attempt++) {
+      const startTime = Date.now();
+      try {
+        const text = await withTimeout(
+          signal => generateText(adapter, prompt, { signal, onToken }),
+          config.timeoutMs,
+        );
+        logger.debug('LLM call completed', {
+          scope,
+          provider: config.provider,
+          model: config.model,
+          attempt: attempt + 1,
+          duration: `${Date.now() - startTime}ms`,
+          service: 'LLM',
+        });
+        onUsage?.({
+          promptTokens: estimateTokens(prompt),
+          completionTokens: estimateTokens(text),
+        });
+        return text;
+      } catch (error) {
+        const canRetry =
+          error.retryable !== false && attempt < config.maxRetries;
+        logger.warn('LLM call failed', {
+          scope,
+          provider: config.provider,
+          model: config.model,
+          attempt: attempt + 1,
+          willRetry: canRetry,
+          error: error.message,
+          service: 'LLM',
+        });
+        if (!canRetry) {
+          throw error;
+        }
+        await sleep(backoffDelay(attempt));
+      }
+    }
+  };
+
+  return {
+    get provider() {
+      return config.provider;
+    },
+    get model() {
+      return config.model;
+    },
+    invoke,
+  };
+};
@@ -0,0 +1,80 @@
+export const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Adapter for any OpenAI-compatible chat completions HTTP API
+ * (OpenAI, Azure OpenAI proxies, vLLM, Ollama, LiteLLM, ...).
+ * @param {{model: string, temperature?: number}} options
+ */
+export const createProvider = ({ model, temperature }) => {
+  const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(
+    /\/+$/,
+    '',
+  );
+
+  const requestCompletion = async (prompt, { signal, stream = false }) => {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.OPENAI_API_KEY && {
+          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+        }),
+      },
+      body: JSON.stringify({
+        model,
+        temperature,
+        stream,
+        messages: [{ role: 'user', content: prompt }],
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      const error = new Error(
+        `OpenAI-compatible API returned ${response.status}: ${body.substring(0, 200)}`,
+      );
+      // Client errors other than rate limiting will not succeed on retry
+      error.retryable = response.status === 429 || response.status >= 500;
+      throw error;
+    }
+    return response;
+  };
+
+  return {
+    generate: async (prompt, { signal } = {}) => {
+      const response = await requestCompletion(prompt, { signal });
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content ?? '';
+    },
+    // Reads the `data: {...}` lines of the server-sent event stream
+    stream: async (prompt, { signal, onToken }) => {
+      const response = await requestCompletion(prompt, {
+        signal,
+        stream: true,
+      });
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let text = '';
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !data || data === '[DONE]') {
+            continue;
+          }
+          const token = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (token) {
+            text += token;
+            onToken(token);
+          }
+        }
+      }
+      return text;
+    },
+  };
+};
@@ -0,0 +1,23 @@
+import { VertexAI } from '@langchain/google-vertexai';
+
+export const DEFAULT_MODEL = 'claude-sonnet-4@20250514';
+
+/**
+ * Google Vertex AI adapter using LangChain's VertexAI wrapper.
+ * @param {{model: string, temperature?: number}} options
+ */
+export const createProvider = ({ model, temperature }) => {
+  const llm = new VertexAI({ model, temperature });
+
+  return {
+    generate: async (prompt, { signal } = {}) => llm.invoke(prompt, { signal }),
+    stream: async (prompt, { signal, onToken }) => {
+      let text = '';
+      for await (const token of await llm.stream(prompt, { signal })) {
+        text += token;
+        onToken(token);
+      }
+      return text;
+    },
+  };
+};
@@ -0,0 +1,333 @@
+import 'dotenv/config';
+import logger from '../config/logger.js';
+import { cosineSimilarity, createEmbeddings } from './embeddings.js';
+import { createUsageTracker } from './llm/index.js';
+import { getSchemaVersion } from './schemaIntrospection.js';
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_SIMILARITY_THRESHOLD = 0.95;
+const DEFAULT_EMBED_TIMEOUT_MS = 2000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const parseThreshold = value => {
+  const parsed = Number.parseFloat(value);
+  return parsed >= 0 && parsed <= 1 ? parsed : DEFAULT_SIMILARITY_THRESHOLD;
+};
+
+export const QUERY_CACHE_ENABLED = process.env.QUERY_CACHE_ENABLED !== 'false';
+export const QUERY_CACHE_TTL_MS = parsePositiveInt(
+  process.env.QUERY_CACHE_TTL_MS,
+  DEFAULT_TTL_MS,
+);
+export const QUERY_CACHE_MAX_ENTRIES = parsePositiveInt(
+  process.env.QUERY_CACHE_MAX_ENTRIES,
+  DEFAULT_MAX_ENTRIES,
+);
+// Minimum cosine similarity for the second level; 0 turns it off
+export const QUERY_CACHE_SIMILARITY_THRESHOLD = parseThreshold(
+  process.env.QUERY_CACHE_SIMILARITY_THRESHOLD,
+);
+// A lookup waits this long for the question's embedding, then misses
+export const QUERY_CACHE_EMBED_TIMEOUT_MS = parsePositiveInt(
+  process.env.QUERY_CACHE_EMBED_TIMEOUT_MS,
+  DEFAULT_EMBED_TIMEOUT_MS,
+);
+
+/**
+ * Question text as the first level compares it: case, runs of whitespace
+ * and trailing punctuation do not matter.
+ * @param {string} question
+ * @returns {string}
+ */
+export const normalizeQuestion = question =>
+  question
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[\s?.!]+$/, '')
+    .trim();
+
+/**
+ * In-process cache of generated SQL with two levels: exact normalized
+ * question text, then embedding similarity. An entry only matches lookups
+ * for the same datasource, caller scope, strategy chain and schema version,
+ * so a schema
+ * change makes every older entry unreachable. The least recently used
+ * entries are evicted beyond `maxEntries`. A lookup only embeds the question
+ * when an entry of its context could match it, and waits at most
+ * `embedTimeoutMs`; entries stored without an embedding are embedded in the
+ * background.
+ *   lookup(question, context) -> { hit: {entry, level, similarity} | null, embedding }
+ *   store(question, context, generation) -> void
+ *   purge({datasource}) -> number of entries removed
+ *   stats() -> { entries, exactHits, semanticHits, misses }
+ * `context` is `{ datasource, scope, strategies, schemaVersion }`; `store` also takes
+ * the `embedding` returned by `lookup`.
+ * @param {{ttlMs?: number, maxEntries?: number, similarityThreshold?: number, embedTimeoutMs?: number, embeddings?: object}} [options]
+ */
+export const createMemoryQueryCache = ({
+  ttlMs = QUERY_CACHE_TTL_MS,
+  maxEntries = QUERY_CACHE_MAX_ENTRIES,
+  similarityThreshold = QUERY_CACHE_SIMILARITY_THRESHOLD,
+  embedTimeoutMs = QUERY_CACHE_EMBED_TIMEOUT_MS,
+  embeddings = createEmbeddings(),
+} = {}) => {
+  // Map order is use order: the first entry is the least recently used
+  const entries = new Map();
+  const counters = { exactHits: 0, semanticHits: 0, misses: 0 };
+
+  const entryKey = (
+    { datasource, scope, strategies, schemaVersion },
+    normalized,
+  ) =>
+    JSON.stringify([datasource, scope, strategies, schemaVersion, normalized]);
+
+  const isExpired = entry => entry.expiresAt <= Date.now();
+
+  const sweep = () => {
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) {
+        entries.delete(key);
+      }
+    }
+  };
+  // Don't keep the process alive just to expire entries
+  setInterval(sweep, Math.min(ttlMs, SWEEP_INTERVAL_MS)).unref();
+
+  const touch = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+  };
+
+  const embed = async question => {
+    if (similarityThreshold <= 0) {
+      return null;
+    }
+    let timer;
+    try {
+      return await Promise.race([
+        embeddings.embedQuery(question),
+        new Promise((_resolve, reject) => {
+          timer = setTimeout(() => {
+            reject(new Error(`Timed out after ${embedTimeoutMs}ms`));
+          }, embedTimeoutMs);
+        }),
+      ]);
+    } catch (error) {
+      // The exact level still works without an embedding
+      logger.warn('Failed to embed question for the query cache', {
+        error: error.message,
+        service: 'QUERY_CACHE',
+      });
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  // Live entries of the lookup's context that the second level can compare
+  const isCandidate = (entry, context) =>
+    Boolean(entry.embedding) &&
+    !isExpired(entry) &&
+    entry.datasource === context.datasource &&
+    entry.scope === context.scope &&
+    entry.strategies === context.strategies &&
+    entry.schemaVersion === context.schemaVersion;
+
+  const hasCandidates = context => {
+    for (const entry of entries.values()) {
+      if (isCandidate(entry, context)) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const findSimilar = (context, embedding) => {
+    let best = null;
+    for (const [key, entry] of entries) {
+      if (!isCandidate(entry, context)) {
+        continue;
+      }
+      const similarity = cosineSimilarity(embedding, entry.embedding);
+      if (
+        similarity >= similarityThreshold &&
+        similarity > (best?.similarity ?? -1)
+      ) {
+        best = { key, entry, similarity };
+      }
+    }
+    return best;
+  };
+
+  return {
+    lookup: async (question, context) => {
+      const key = entryKey(context, normalizeQuestion(question));
+      const exact = entries.get(key);
+      if (exact && !isExpired(exact)) {
+        touch(key, exact);
+        counters.exactHits += 1;
+        return {
+          hit: { entry: exact, level: 'exact', similarity: 1 },
+          embedding: exact.embedding,
+        };
+      }
+
+      // An empty cache, or one without entries for this context, cannot
+      // match, so the question is not embedded
+      const embedding = hasCandidates(context) ? await embed(question) : null;
+      const similar = embedding && findSimilar(context, embedding);
+      if (similar) {
+        touch(similar.key, similar.entry);
+        counters.semanticHits += 1;
+        return {
+          hit: {
+            entry: similar.entry,
+            level: 'semantic',
+            similarity: Number(similar.similarity.toFixed(4)),
+          },
+          embedding,
+        };
+      }
+      counters.misses += 1;
+      return { hit: null, embedding };
+    },
+    store: async (question, { embedding = null, ...context }, generation) => {
+      const key = entryKey(context, normalizeQuestion(question));
+      const now = Date.now();
+      const entry = {
+        ...context,
+        question,
+        embedding,
+        generation,
+        cachedAt: new Date(now).toISOString(),
+        expiresAt: now + ttlMs,
+      };
+      touch(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      // Off the request path: later lookups compare against it once ready
+      if (!embedding) {
+        embed(question).then(computed => {
+          entry.embedding = computed;
+        });
+      }
+    },
+    purge: async ({ datasource } = {}) => {
+      let purged = 0;
+      for (const [key, entry] of entries) {
+        if (datasource === undefined || entry.datasource === datasource) {
+          entries.delete(key);
+          purged += 1;
+        }
+      }
+      return purged;
+    },
+    stats: async () => ({ entries: entries.size, ...counters }),
+  };
+};
+
+let activeCache;
+
+/**
+ * Returns the query cache, or `null` when QUERY_CACHE_ENABLED is `false`.
+ */
+export const getQueryCache = () => {
+  if (!QUERY_CACHE_ENABLED) {
+    return null;
+  }
+  activeCache ??= createMemoryQueryCache();
+  return activeCache;
+};
+
+// Row filters bind caller attributes into the SQL, so callers under a
+// policy never share entries
+const callerScope = access =>
+  access ? `${access.policy}/${access.callerId}` : null;
+
+/**
+ * Returns cached SQL for the question when the cache holds it, and runs
+ * `generate` and caches its result otherwise. Questions with session history
+ * bypass the cache, since a follow-up means something else in another
+ * conversation. The result carries `cache`: `{hit: false}`, or
+ * `{hit: true, level, similarity, question, cachedAt}` with the question
+ * the SQL was generated for. Cache hits use no LLM tokens.
+ * @param {string} question
+ * @param {{datasource: object, access?: object|null, strategies?: string[], history?: Array<object>, explain?: boolean, service?: string}} options
+ * @param {() => Promise<object>} generate - Runs the generator.
+ * @returns {Promise<object>} The generation.
+ */
+export const withQueryCache = async (
+  question,
+  {
+    datasource,
+    access = null,
+    strategies = [],
+    history = [],
+    explain = false,
+    service,
+  },
+  generate,
+) => {
+  const cache = getQueryCache();
+  if (!cache) {
+    return generate();
+  }
+  if (history.length > 0) {
+    return { ...(await generate()), cache: { hit: false } };
+  }
+
+  let schemaVersion;
+  try {
+    schemaVersion = await getSchemaVersion(datasource);
+  } catch (error) {
+    // The generator reports the real problem, e.g. an unreachable database
+    logger.warn('Skipping query cache: schema version unavailable', {
+      datasource: datasource.name,
+      error: error.message,
+      service,
+    });
+    return { ...(await generate()), cache: { hit: false } };
+  }
+
+  const context = {
+    datasource: datasource.name,
+    scope: callerScope(access),
+    strategies: strategies.join(','),
+    schemaVersion,
+  };
+  const { hit, embedding } = await cache.lookup(question, context);
+  // Entries cached without an explanation cannot answer explain=true
+  const { explanation, ...cached } = hit?.entry.generation ?? {};
+  if (hit && (!explain || explanation !== undefined)) {
+    logger.info('Query cache hit', {
+      datasource: datasource.name,
+      level: hit.level,
+      similarity: hit.similarity,
+      schemaVersion,
+      service,
+    });
+    return {
+      ...cached,
+      ...(explain && { explanation }),
+      usage: createUsageTracker().totals,
+      cache: {
+        hit: true,
+        level: hit.level,
+        similarity: hit.similarity,
+        question: hit.entry.question,
+        cachedAt: hit.entry.cachedAt,
+      },
+    };
+  }
+
+  const generation = await generate();
+  await cache.store(question, { ...context, embedding }, generation);
+  return { ...generation, cache: { hit: false } };
+};
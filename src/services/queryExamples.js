@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+import { createEmbeddings } from './embeddings.js';
+import { getVectorStore, QUERY_INDEX_NAME } from './vectorStore/index.js';
+
+const embeddings = createEmbeddings();
+
+/**
+ * Adds a question and the SQL that answers it to the datasource's query
+ * index, where `retrieveContext` finds it as an example for similar
+ * questions. The question takes the place of the LLM summary that the query
+ * log sync stores, and the id is derived from the SQL the same way, so a
+ * query already synced from the logs is replaced rather than duplicated.
+ * @param {object} datasource - From config/datasources.js.
+ * @param {{question: string, sql: string, source: string, historyId?: string}} example
+ * @returns {Promise<string>} The id of the example.
+ */
+export const addQueryExample = async (
+  datasource,
+  { question, sql, source, historyId },
+) => {
+  const id = crypto.createHash('md5').update(sql).digest('hex');
+  const vector = await embeddings.embedQuery(question);
+  await getVectorStore()
+    .index(QUERY_INDEX_NAME)
+    .namespace(datasource.vectorNamespace)
+    .upsert([
+      {
+        id,
+        values: vector,
+        metadata: {
+          summary: question,
+          query: sql,
+          datasource: datasource.name,
+          source,
+          ...(historyId && { historyId }),
+        },
+      },
+    ]);
+  return id;
+};
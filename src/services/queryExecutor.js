@@ -0,0 +1,150 @@
+import 'dotenv/config';
+import pg from 'pg';
+import { getDatasource } from '../config/datasources.js';
+import logger from '../config/logger.js';
+
+const DEFAULT_MAX_ROWS = 1000;
+const DEFAULT_STATEMENT_TIMEOUT_MS = 15000;
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Server-side limits. Clients may ask for fewer rows, never for more.
+export const MAX_ROWS = parsePositiveInt(
+  process.env.QUERY_MAX_ROWS,
+  DEFAULT_MAX_ROWS,
+);
+export const STATEMENT_TIMEOUT_MS = parsePositiveInt(
+  process.env.QUERY_STATEMENT_TIMEOUT_MS,
+  DEFAULT_STATEMENT_TIMEOUT_MS,
+);
+
+// Reverse lookup of Postgres type OIDs to readable names (e.g. 23 -> int4)
+const typeNamesByOid = Object.entries(pg.types.builtins).reduce(
+  (acc, [name, oid]) => {
+    acc[oid] = name.toLowerCase();
+    return acc;
+  },
+  {},
+);
+
+const { INT8, NUMERIC } = pg.types.builtins;
+
+/**
+ * pg returns int8 and numeric values as strings to avoid precision loss.
+ * Convert them to numbers whenever that can be done without losing digits.
+ */
+const toTypedValue = (value, dataTypeID) => {
+  if (value === null || typeof value !== 'string') {
+    return value;
+  }
+  if (dataTypeID === INT8) {
+    const asNumber = Number(value);
+    return Number.isSafeInteger(asNumber) ? asNumber : value;
+  }
+  if (dataTypeID === NUMERIC) {
+    const significantDigits = value.replace(/[^0-9]/g, '').replace(/^0+/, '');
+    const asNumber = Number(value);
+    return Number.isFinite(asNumber) && significantDigits.length <= 15
+      ? asNumber
+      : value;
+  }
+  return value;
+};
+
+/**
+ * Result column names, made unique so rows keyed by name keep every column:
+ * `SELECT u.id, o.id` gives `id` and `id_2`.
+ */
+const uniqueColumnNames = fields => {
+  const used = new Set();
+  return fields.map(({ name }) => {
+    let unique = name;
+    for (let suffix = 2; used.has(unique); suffix += 1) {
+      unique = `${name}_${suffix}`;
+    }
+    used.add(unique);
+    return unique;
+  });
+};
+
+const stripTrailingSemicolons = sqlQuery => sqlQuery.trim().replace(/;+$/, '');
+
+/**
+ * Runs a SELECT statement in a read-only transaction with a statement timeout
+ * and a row cap. The transaction is always rolled back. Columns sharing a
+ * name get a numeric suffix (`id`, `id_2`), so no value is lost.
+ * @param {string} sqlQuery - The SQL to execute.
+ * @param {{datasource?: object, maxRows?: number}} [options] - `datasource`
+ *   comes from config/datasources.js and defaults to the default datasource.
+ * @returns {Promise<{columns: Array<{name: string, type: string}>, rows: Array<object>, rowCount: number, truncated: boolean, executionTimeMs: number}>}
+ */
+export const executeReadOnlyQuery = async (
+  sqlQuery,
+  { datasource = getDatasource(), maxRows } = {},
+) => {
+  const rowCap = Math.min(parsePositiveInt(maxRows, MAX_ROWS), MAX_ROWS);
+  // Fetch one extra row so we can tell the client the result was truncated
+  const cappedSql = `SELECT * FROM (${stripTrailingSemicolons(sqlQuery)}) AS capped_result LIMIT ${rowCap + 1}`;
+
+  logger.debug('Executing read-only query', {
+    datasource: datasource.name,
+    rowCap,
+    statementTimeoutMs: STATEMENT_TIMEOUT_MS,
+    service: 'QUERY_EXECUTOR',
+  });
+
+  const client = await datasource.pool.connect();
+  const startTime = Date.now();
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(`SET LOCAL statement_timeout = ${STATEMENT_TIMEOUT_MS}`);
+    // Rows as arrays: objects keyed by name would drop duplicate columns
+    const result = await client.query({ text: cappedSql, rowMode: 'array' });
+    const executionTimeMs = Date.now() - startTime;
+
+    const names = uniqueColumnNames(result.fields);
+    const columns = result.fields.map((field, index) => ({
+      name: names[index],
+      type: typeNamesByOid[field.dataTypeID] || `oid:${field.dataTypeID}`,
+    }));
+    const truncated = result.rows.length > rowCap;
+    const rows = result.rows.slice(0, rowCap).map(row =>
+      result.fields.reduce((acc, field, index) => {
+        acc[names[index]] = toTypedValue(row[index], field.dataTypeID);
+        return acc;
+      }, {}),
+    );
+
+    logger.info('Read-only query executed', {
+      rowCount: rows.length,
+      truncated,
+      executionTimeMs,
+      service: 'QUERY_EXECUTOR',
+    });
+
+    return {
+      columns,
+      rows,
+      rowCount: rows.length,
+      truncated,
+      executionTimeMs,
+    };
+  } catch (error) {
+    logger.error('Read-only query execution failed', {
+      error: error.message,
+      code: error.code,
+      sqlQuery: `${sqlQuery.substring(0, 100)}...`,
+      service: 'QUERY_EXECUTOR',
+    });
+    throw error;
+  } finally {
+    await client.query('ROLLBACK').catch(() => {});
+    client.release();
+  }
+};
+
+// Postgres SQLSTATE raised when statement_timeout cancels a query
+export const isStatementTimeout = error => error?.code === '57014';
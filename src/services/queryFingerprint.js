@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import { tokenizeSql } from './querySanitizer.js';
+
+/**
+ * Reduces a query to its shape, so queries that only differ in literals,
+ * aliases, IN-list lengths, spacing, keyword case or redundant quoting get
+ * the same fingerprint:
+ *
+ *   SELECT o.id FROM orders o WHERE o.status IN ('a', 'b') LIMIT 5
+ *   select x.id from "orders" as x where x.status in ('c') limit 10
+ *
+ * both become `select t1.id from orders t1 where t1.status in (?) limit ?`.
+ */
+
+// Placeholders written by sanitizeQuery, e.g. `:string`
+const PLACEHOLDER_TYPES = new Set([
+  'string',
+  'number',
+  'date',
+  'time',
+  'timestamp',
+  'interval',
+]);
+
+// Clauses that end a table reference, so the word after a table name is
+// only an alias when it is not one of these
+const KEYWORDS = new Set([
+  'as',
+  'on',
+  'using',
+  'where',
+  'group',
+  'order',
+  'having',
+  'limit',
+  'offset',
+  'fetch',
+  'for',
+  'window',
+  'union',
+  'intersect',
+  'except',
+  'join',
+  'inner',
+  'left',
+  'right',
+  'full',
+  'outer',
+  'cross',
+  'natural',
+  'lateral',
+  'returning',
+  'set',
+  'values',
+  'tablesample',
+]);
+
+// Keywords that start a clause; `from` and `join` start table references
+const CLAUSES = new Set([
+  'select',
+  'from',
+  'join',
+  'where',
+  'group',
+  'order',
+  'having',
+  'limit',
+  'offset',
+  'on',
+  'using',
+  'union',
+  'intersect',
+  'except',
+  'window',
+  'returning',
+]);
+
+const SIMPLE_IDENTIFIER = /^[a-z_][a-z0-9_$]*$/;
+
+// One word per significant token: literals and parameters become `?`,
+// unquoted names fold to lower case and needlessly quoted names lose their
+// quotes
+const toWords = sql => {
+  const tokens = tokenizeSql(sql).filter(
+    token => token.type !== 'space' && token.type !== 'comment',
+  );
+  const words = [];
+  tokens.forEach((token, index) => {
+    if (['string', 'number', 'parameter'].includes(token.type)) {
+      words.push('?');
+    } else if (token.type === 'quoted') {
+      const name = token.text.slice(1, -1).replace(/""/g, '"');
+      words.push(SIMPLE_IDENTIFIER.test(name) ? name : token.text);
+    } else if (token.type === 'identifier') {
+      const placeholder =
+        tokens[index - 1]?.text === ':' &&
+        tokens[index - 2]?.text !== ':' &&
+        PLACEHOLDER_TYPES.has(token.text.toLowerCase());
+      if (placeholder) {
+        words[words.length - 1] = '?';
+      } else {
+        words.push(token.text.toLowerCase());
+      }
+    } else {
+      words.push(token.text);
+    }
+  });
+  return words;
+};
+
+const isName = word =>
+  word !== '?' &&
+  (/^[a-z_\u0080-\uffff]/.test(word) || word.startsWith('"')) &&
+  !KEYWORDS.has(word);
+
+/**
+ * Finds alias definitions: table aliases after a table reference in FROM or
+ * JOIN (`orders o`, `orders AS o`, `(SELECT ...) AS sub`) and column aliases
+ * after AS in a SELECT list.
+ * @returns {{tables: string[], columns: string[]}} Alias names in order.
+ */
+const findAliases = words => {
+  const tables = [];
+  const columns = [];
+  // Clause keyword at each parenthesis depth
+  const clauses = [null];
+
+  words.forEach((word, index) => {
+    const depth = clauses.length - 1;
+    if (word === '(') {
+      clauses.push(null);
+      return;
+    }
+    if (word === ')') {
+      clauses.pop();
+    } else if (CLAUSES.has(word)) {
+      clauses[depth] = word === 'join' ? 'from' : word;
+      return;
+    }
+    const clause = clauses[clauses.length - 1];
+
+    if (word === 'as' && isName(words[index + 1] ?? '')) {
+      if (clause === 'select') {
+        columns.push(words[index + 1]);
+      } else if (clause === 'from') {
+        tables.push(words[index + 1]);
+      }
+      return;
+    }
+    // `orders o`: a name right after the end of a table reference
+    const endsTableReference =
+      clause === 'from' &&
+      (isName(word) || word === ')') &&
+      words[index + 1] !== '.' &&
+      words[index + 1] !== '(' &&
+      words[index - 1] !== 'as';
+    const next = words[index + 1] ?? '';
+    if (endsTableReference && isName(next) && words[index + 2] !== '.') {
+      tables.push(next);
+    }
+  });
+  return { tables, columns };
+};
+
+/**
+ * Returns the shape of a query as text.
+ * @param {string} sql - A raw or sanitized query.
+ * @returns {string}
+ */
+export const normalizeQueryShape = sql => {
+  const words = toWords(sql);
+  const { tables, columns } = findAliases(words);
+  // Table aliases win when a name is used as both
+  const renamed = new Map();
+  tables.forEach(alias => {
+    if (!renamed.has(alias)) {
+      renamed.set(alias, `t${renamed.size + 1}`);
+    }
+  });
+  let columnCount = 0;
+  columns.forEach(alias => {
+    if (!renamed.has(alias)) {
+      columnCount += 1;
+      renamed.set(alias, `c${columnCount}`);
+    }
+  });
+
+  return (
+    words
+      // AS is optional before aliases; dropping it everywhere keeps
+      // `orders AS o` and `orders o` alike
+      .filter(word => word !== 'as')
+      .map((word, index, kept) =>
+        kept[index - 1] !== '.' && renamed.has(word) ? renamed.get(word) : word,
+      )
+      .join(' ')
+      .replace(/ ?\. ?/g, '.')
+      // IN lists and VALUES rows of any length
+      .replace(/\( \?(?: , \?)* \)/g, '(?)')
+      .replace(/\(\?\)(?: , \(\?\))+/g, '(?)')
+  );
+};
+
+/**
+ * Fingerprints a query by its shape (see normalizeQueryShape).
+ * @param {string} sql
+ * @returns {string} A hex digest.
+ */
+export const fingerprintQuery = sql =>
+  crypto.createHash('md5').update(normalizeQueryShape(sql)).digest('hex');
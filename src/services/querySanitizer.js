@@ -0,0 +1,286 @@
+import { DEFAULT_SCHEMA, compileNamePattern } from '../config/schemaFilters.js';
+
+/**
+ * Removes data from logged SQL before it reaches an LLM prompt or vector
+ * metadata. Queries are split into tokens, so literals are found wherever
+ * they appear: IN lists, LIKE patterns, BETWEEN bounds, VALUES rows,
+ * function arguments and every comparison. Each literal becomes a typed
+ * placeholder such as `:string` or `:date`; the query keeps its shape.
+ */
+
+// Typed literals such as DATE '2024-01-01'; the keyword and the string
+// become a single placeholder
+const TYPED_LITERALS = {
+  DATE: 'date',
+  TIME: 'time',
+  TIMETZ: 'time',
+  TIMESTAMP: 'timestamp',
+  TIMESTAMPTZ: 'timestamp',
+  INTERVAL: 'interval',
+};
+
+// Row counts, not data
+const KEPT_NUMBER_AFTER = new Set(['LIMIT', 'OFFSET']);
+
+// Prefixes of special string constants: E'...' (escapes), N'...'
+// (national), B'...' and X'...' (bit strings)
+const STRING_PREFIXES = new Set(['E', 'N', 'B', 'X']);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/;
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+const IDENTIFIER_START = /[A-Za-z_\u0080-\uffff]/;
+const IDENTIFIER_PART = /[\w$\u0080-\uffff]/;
+// Decimal, hexadecimal (0x1F), octal (0o17) and binary (0b101) literals,
+// with optional `_` separators between digits (1_000)
+const NUMBER =
+  /^(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?)/;
+const DOLLAR_TAG = /^\$(?:[A-Za-z_][\w]*)?\$/;
+
+// End of a quoted token starting at `start`; a doubled quote is an escaped
+// quote, and with `backslashes` so is `\'`
+const quotedEnd = (sql, start, quote, backslashes = false) => {
+  let index = start + 1;
+  while (index < sql.length) {
+    if (backslashes && sql[index] === '\\') {
+      index += 2;
+    } else if (sql[index] === quote && sql[index + 1] === quote) {
+      index += 2;
+    } else if (sql[index] === quote) {
+      return index + 1;
+    } else {
+      index += 1;
+    }
+  }
+  // Unterminated: the rest of the query is part of the token
+  return sql.length;
+};
+
+const readToken = (sql, start) => {
+  const char = sql[start];
+  const rest = sql.slice(start);
+
+  if (/\s/.test(char)) {
+    const [space] = rest.match(/^\s+/);
+    return { type: 'space', end: start + space.length };
+  }
+  if (rest.startsWith('--')) {
+    const newline = sql.indexOf('\n', start);
+    return { type: 'comment', end: newline === -1 ? sql.length : newline };
+  }
+  if (rest.startsWith('/*')) {
+    const close = sql.indexOf('*/', start + 2);
+    return { type: 'comment', end: close === -1 ? sql.length : close + 2 };
+  }
+  if (char === "'") {
+    return { type: 'string', end: quotedEnd(sql, start, "'") };
+  }
+  if (STRING_PREFIXES.has(char.toUpperCase()) && sql[start + 1] === "'") {
+    const backslashes = char.toUpperCase() === 'E';
+    return {
+      type: 'string',
+      end: quotedEnd(sql, start + 1, "'", backslashes),
+    };
+  }
+  if (char === '"') {
+    return { type: 'quoted', end: quotedEnd(sql, start, '"') };
+  }
+  if (char === '$') {
+    const parameter = rest.match(/^\$\d+/);
+    if (parameter) {
+      return { type: 'parameter', end: start + parameter[0].length };
+    }
+    const tag = rest.match(DOLLAR_TAG);
+    if (tag) {
+      const close = sql.indexOf(tag[0], start + tag[0].length);
+      return {
+        type: 'string',
+        end: close === -1 ? sql.length : close + tag[0].length,
+      };
+    }
+  }
+  // A number running into letters (100and, 0x1G) ends where they start,
+  // as in PostgreSQL; the letters are read as the next token
+  const number = rest.match(NUMBER);
+  if (number) {
+    return { type: 'number', end: start + number[0].length };
+  }
+  if (IDENTIFIER_START.test(char)) {
+    let end = start + 1;
+    while (end < sql.length && IDENTIFIER_PART.test(sql[end])) {
+      end += 1;
+    }
+    return { type: 'identifier', end };
+  }
+  return { type: 'operator', end: start + 1 };
+};
+
+/**
+ * Splits SQL into tokens: `space`, `comment`, `string`, `number`,
+ * `identifier`, `quoted` (identifier), `parameter` ($1) and `operator`.
+ * Joining the `text` of every token gives back the input.
+ * @param {string} sql
+ * @returns {Array<{type: string, text: string}>}
+ */
+export const tokenizeSql = sql => {
+  const tokens = [];
+  let index = 0;
+  while (index < sql.length) {
+    const { type, end } = readToken(sql, index);
+    tokens.push({ type, text: sql.slice(index, end) });
+    index = end;
+  }
+  return tokens;
+};
+
+const stringType = text => {
+  const value = text.slice(text.indexOf("'") + 1, -1);
+  if (DATE_PATTERN.test(value)) {
+    return 'date';
+  }
+  if (TIMESTAMP_PATTERN.test(value)) {
+    return 'timestamp';
+  }
+  if (TIME_PATTERN.test(value)) {
+    return 'time';
+  }
+  return 'string';
+};
+
+const isSignificant = token =>
+  token.type !== 'space' && token.type !== 'comment';
+
+// Identifier names as PostgreSQL resolves them: unquoted names fold to
+// lower case
+const identifierName = token =>
+  token.type === 'quoted'
+    ? token.text.slice(1, -1).replace(/""/g, '"')
+    : token.text.toLowerCase();
+
+/**
+ * Lists the dotted names in a query, e.g. `["u", "email"]` for `u.email`.
+ */
+const referencedNames = tokens => {
+  const significant = tokens.filter(isSignificant);
+  const names = [];
+  let current = null;
+  significant.forEach((token, index) => {
+    if (token.type === 'identifier' || token.type === 'quoted') {
+      const previous = significant[index - 1];
+      if (current && previous?.text === '.') {
+        current.push(identifierName(token));
+      } else {
+        current = [identifierName(token)];
+        names.push(current);
+      }
+    } else if (token.text !== '.') {
+      current = null;
+    }
+  });
+  return names;
+};
+
+/**
+ * Compiles redaction patterns: `column`, `table.column` or
+ * `schema.table.column`, with `*` globs.
+ * @param {string[]} patterns
+ */
+export const compileRedactions = patterns =>
+  patterns.map(pattern => {
+    const segments = pattern.split('.');
+    const table = segments.slice(0, -1).join('.');
+    return {
+      pattern,
+      matchesColumn: compileNamePattern(segments[segments.length - 1]),
+      matchesTable: table ? compileNamePattern(table) : null,
+    };
+  });
+
+// Aliases are not resolved, so `users.email` matches a query that reads
+// `email` through any alias and mentions `users` anywhere. Matching errs on
+// the side of redacting.
+const matchRedactions = (tokens, redactions) => {
+  const names = referencedNames(tokens);
+  // `orders`, `public.orders`, and the table part of `orders.id`;
+  // unqualified tables are in the default schema
+  const tables = names
+    .flatMap(name => [name, name.slice(0, -1)])
+    .filter(name => name.length === 1 || name.length === 2)
+    .map(name => (name.length === 1 ? [DEFAULT_SCHEMA, ...name] : name));
+
+  return redactions
+    .filter(
+      ({ matchesColumn, matchesTable }) =>
+        names.some(name => matchesColumn(name.slice(-1))) &&
+        (!matchesTable || tables.some(matchesTable)),
+    )
+    .map(({ pattern }) => pattern);
+};
+
+/**
+ * Replaces every literal of a query with a typed placeholder, and drops
+ * comments, which can hold data as well. Numbers after LIMIT and OFFSET
+ * are kept. Parameters already normalized by pg_stat_statements ($1) stay.
+ * @param {string} sql
+ * @param {{redactions?: Array<object>}} [options] - From compileRedactions;
+ *   the patterns that match are reported in `redactedColumns`.
+ * @returns {{sql: string, placeholders: Object<string, number>, redactedColumns: string[]}}
+ *   `placeholders` counts the replaced literals by type, and comments.
+ */
+export const sanitizeQuery = (sql, { redactions = [] } = {}) => {
+  const tokens = tokenizeSql(sql);
+  const placeholders = {};
+  const count = type => {
+    placeholders[type] = (placeholders[type] ?? 0) + 1;
+  };
+  let previous = null;
+
+  const output = tokens.map((token, index) => {
+    if (token.type === 'comment') {
+      count('comment');
+      return ' ';
+    }
+    if (token.type === 'space') {
+      return token.text;
+    }
+    let { text } = token;
+    if (token.type === 'string') {
+      const typed =
+        previous?.token.type === 'identifier' &&
+        TYPED_LITERALS[previous.token.text.toUpperCase()];
+      const type = typed || stringType(token.text);
+      if (typed) {
+        // Drop the keyword and the space after it
+        for (let skipped = previous.index; skipped < index; skipped += 1) {
+          tokens[skipped].replaced = '';
+        }
+      }
+      count(type);
+      text = `:${type}`;
+    } else if (token.type === 'number') {
+      const kept =
+        previous?.token.type === 'identifier' &&
+        KEPT_NUMBER_AFTER.has(previous.token.text.toUpperCase());
+      if (!kept) {
+        count('number');
+        text = ':number';
+      }
+    }
+    // Keeps a placeholder apart from a name right after it (100and)
+    if (text !== token.text && tokens[index + 1]?.type === 'identifier') {
+      text += ' ';
+    }
+    previous = { token, index };
+    return text;
+  });
+
+  return {
+    sql: output
+      .map((text, index) => tokens[index].replaced ?? text)
+      .join('')
+      .trim(),
+    placeholders,
+    redactedColumns: matchRedactions(tokens, redactions),
+  };
+};
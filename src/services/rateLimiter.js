@@ -0,0 +1,172 @@
+import 'dotenv/config';
+import { existsSync, readFileSync } from 'fs';
+import { mkdir, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../config/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Go up two levels to the project root, then into `data/`
+const usageFile =
+  process.env.API_KEY_USAGE_FILE ||
+  path.join(__dirname, '..', '..', 'data', 'api-key-usage.json');
+
+const DEFAULT_REQUESTS_PER_MINUTE = 60;
+const DEFAULT_DAILY_TOKEN_BUDGET = 200000;
+const WINDOW_MS = 60 * 1000;
+
+// 0 turns a limit off
+const parseLimit = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Defaults for keys without their own limits
+export const REQUESTS_PER_MINUTE = parseLimit(
+  process.env.API_KEY_RATE_LIMIT_PER_MINUTE,
+  DEFAULT_REQUESTS_PER_MINUTE,
+);
+export const DAILY_TOKEN_BUDGET = parseLimit(
+  process.env.API_KEY_DAILY_TOKEN_BUDGET,
+  DEFAULT_DAILY_TOKEN_BUDGET,
+);
+
+const limitsFor = apiKey => ({
+  requestsPerMinute: apiKey.rateLimitPerMinute ?? REQUESTS_PER_MINUTE,
+  dailyTokenBudget: apiKey.dailyTokenBudget ?? DAILY_TOKEN_BUDGET,
+});
+
+// Budgets reset at midnight UTC
+const currentDay = () => new Date().toISOString().slice(0, 10);
+
+const secondsUntilTomorrow = () => {
+  const tomorrow = new Date();
+  tomorrow.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((tomorrow.getTime() - Date.now()) / 1000);
+};
+
+// keyId -> { windowStart, count }. Kept in memory: a restart or a second
+// instance starts with a fresh window.
+const windows = new Map();
+
+// keyId -> { day, tokens }. Persisted, so a restart does not refill budgets.
+const dailyUsage = new Map(
+  existsSync(usageFile)
+    ? Object.entries(JSON.parse(readFileSync(usageFile, 'utf-8')))
+    : [],
+);
+
+// Writes are chained so two requests finishing together cannot interleave
+let pendingWrite = Promise.resolve();
+const persistUsage = () => {
+  const snapshot = JSON.stringify(Object.fromEntries(dailyUsage), null, 2);
+  pendingWrite = pendingWrite
+    .then(async () => {
+      await mkdir(path.dirname(usageFile), { recursive: true });
+      await writeFile(`${usageFile}.tmp`, snapshot);
+      await rename(`${usageFile}.tmp`, usageFile);
+    })
+    .catch(error => {
+      logger.error('Failed to persist API key usage', {
+        error: error.message,
+        usageFile,
+        service: 'RATE_LIMIT',
+      });
+    });
+  return pendingWrite;
+};
+
+const tokensUsedToday = keyId => {
+  const usage = dailyUsage.get(keyId);
+  return usage?.day === currentDay() ? usage.tokens : 0;
+};
+
+/**
+ * Usage headers for the key's daily token budget; empty when the key has no
+ * budget.
+ * @param {object} apiKey - A stored key, or an `apiKeys` entry of the policy config.
+ * @returns {object}
+ */
+export const tokenBudgetHeaders = apiKey => {
+  const { dailyTokenBudget } = limitsFor(apiKey);
+  if (dailyTokenBudget === 0) {
+    return {};
+  }
+  const used = tokensUsedToday(apiKey.id);
+  return {
+    'X-Token-Budget-Limit': String(dailyTokenBudget),
+    'X-Token-Budget-Used': String(used),
+    'X-Token-Budget-Remaining': String(Math.max(dailyTokenBudget - used, 0)),
+    'X-Token-Budget-Reset': String(secondsUntilTomorrow()),
+  };
+};
+
+/**
+ * Counts one request against the key's per-minute window and checks that its
+ * daily token budget is not used up. Rejected requests still count.
+ * @param {object} apiKey - A stored key, or an `apiKeys` entry of the policy config.
+ * @returns {{allowed: boolean, headers: object, retryAfterSeconds?: number, message?: string}}
+ */
+export const consumeRequest = apiKey => {
+  const { requestsPerMinute, dailyTokenBudget } = limitsFor(apiKey);
+  const headers = tokenBudgetHeaders(apiKey);
+
+  if (requestsPerMinute > 0) {
+    const now = Date.now();
+    let window = windows.get(apiKey.id);
+    if (!window || now - window.windowStart >= WINDOW_MS) {
+      window = { windowStart: now, count: 0 };
+      windows.set(apiKey.id, window);
+    }
+    window.count += 1;
+    const resetSeconds = Math.ceil(
+      (window.windowStart + WINDOW_MS - now) / 1000,
+    );
+    Object.assign(headers, {
+      'X-RateLimit-Limit': String(requestsPerMinute),
+      'X-RateLimit-Remaining': String(
+        Math.max(requestsPerMinute - window.count, 0),
+      ),
+      'X-RateLimit-Reset': String(resetSeconds),
+    });
+    if (window.count > requestsPerMinute) {
+      return {
+        allowed: false,
+        headers,
+        retryAfterSeconds: resetSeconds,
+        message: `Rate limit of ${requestsPerMinute} requests per minute exceeded.`,
+      };
+    }
+  }
+
+  if (dailyTokenBudget > 0 && tokensUsedToday(apiKey.id) >= dailyTokenBudget) {
+    return {
+      allowed: false,
+      headers,
+      retryAfterSeconds: secondsUntilTomorrow(),
+      message: `Daily budget of ${dailyTokenBudget} LLM tokens used up.`,
+    };
+  }
+
+  return { allowed: true, headers };
+};
+
+/**
+ * Charges LLM tokens to the key's budget for today. A request that started
+ * under budget always completes, so usage may end slightly over it.
+ * @param {object} apiKey - A stored key, or an `apiKeys` entry of the policy config.
+ * @param {number} tokens
+ * @returns {Promise<object>} The updated budget headers.
+ */
+export const recordTokenUsage = async (apiKey, tokens) => {
+  if (tokens > 0) {
+    dailyUsage.set(apiKey.id, {
+      day: currentDay(),
+      tokens: tokensUsedToday(apiKey.id) + tokens,
+    });
+    await persistUsage();
+  }
+  return tokenBudgetHeaders(apiKey);
+};
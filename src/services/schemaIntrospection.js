@@ -0,0 +1,400 @@
+import 'dotenv/config';
+import { createHash } from 'crypto';
+import { isColumnAllowed, isTableAllowed } from '../config/datasources.js';
+import logger from '../config/logger.js';
+import { readSchemaFile } from '../config/schemaFiles.js';
+
+const DEFAULT_SCHEMA_VERSION_TTL_MS = 60 * 1000;
+
+const parsedVersionTtl = Number.parseInt(process.env.SCHEMA_VERSION_TTL_MS, 10);
+// How long a schema fingerprint is trusted before the catalog is read again
+export const SCHEMA_VERSION_TTL_MS =
+  Number.isInteger(parsedVersionTtl) && parsedVersionTtl >= 0
+    ? parsedVersionTtl
+    : DEFAULT_SCHEMA_VERSION_TTL_MS;
+
+// Every user schema; the datasource's include/exclude patterns pick from these
+const SCHEMAS_QUERY = `
+  SELECT nspname AS schema_name
+  FROM pg_namespace
+  WHERE nspname NOT IN ('pg_catalog', 'information_schema')
+    AND nspname NOT LIKE 'pg\\_toast%'
+    AND nspname NOT LIKE 'pg\\_temp\\_%'
+  ORDER BY nspname;`;
+
+const RELATION_KINDS = {
+  r: 'table',
+  p: 'table',
+  v: 'view',
+  m: 'materialized view',
+};
+
+// Columns of tables, views and materialized views with their comments and,
+// for enum types, the allowed labels
+const COLUMNS_QUERY = `
+  SELECT
+    n.nspname AS table_schema,
+    c.relname AS table_name,
+    c.relkind AS relation_kind,
+    obj_description(c.oid, 'pg_class') AS table_comment,
+    a.attname AS column_name,
+    format_type(a.atttypid, a.atttypmod) AS data_type,
+    NOT a.attnotnull AS is_nullable,
+    col_description(c.oid, a.attnum) AS column_comment,
+    CASE WHEN t.typtype = 'e' THEN ARRAY(
+      SELECT e.enumlabel::text
+      FROM pg_enum e
+      WHERE e.enumtypid = t.oid
+      ORDER BY e.enumsortorder
+    ) END AS enum_values
+  FROM pg_class c
+  JOIN pg_namespace n ON n.oid = c.relnamespace
+  JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+  JOIN pg_type t ON t.oid = a.atttypid
+  WHERE n.nspname = ANY($1)
+    AND c.relkind IN ('r', 'p', 'v', 'm')
+  ORDER BY n.nspname, c.relname, a.attnum;`;
+
+// Primary key, foreign key and unique constraints with ordered column lists
+const CONSTRAINTS_QUERY = `
+  SELECT
+    con.contype AS constraint_type,
+    nsp.nspname AS table_schema,
+    rel.relname AS table_name,
+    ARRAY(
+      SELECT att.attname::text
+      FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+      JOIN pg_attribute att ON att.attrelid = con.conrelid AND att.attnum = k.attnum
+      ORDER BY k.ord
+    ) AS columns,
+    frel.relname AS foreign_table,
+    fnsp.nspname AS foreign_schema,
+    ARRAY(
+      SELECT att.attname::text
+      FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, ord)
+      JOIN pg_attribute att ON att.attrelid = con.confrelid AND att.attnum = k.attnum
+      ORDER BY k.ord
+    ) AS foreign_columns
+  FROM pg_constraint con
+  JOIN pg_class rel ON rel.oid = con.conrelid
+  JOIN pg_namespace nsp ON nsp.oid = rel.relnamespace
+  LEFT JOIN pg_class frel ON frel.oid = con.confrelid
+  LEFT JOIN pg_namespace fnsp ON fnsp.oid = frel.relnamespace
+  WHERE nsp.nspname = ANY($1)
+    AND con.contype IN ('p', 'f', 'u')
+  ORDER BY nsp.nspname, rel.relname, con.conname;`;
+
+// Secondary indexes, including those on materialized views. Indexes backing a
+// primary key or unique constraint are already covered by the constraints,
+// and expression columns are skipped.
+const INDEXES_QUERY = `
+  SELECT
+    n.nspname AS table_schema,
+    t.relname AS table_name,
+    i.relname AS index_name,
+    ix.indisunique AS is_unique,
+    ARRAY(
+      SELECT a.attname::text
+      FROM unnest(ix.indkey::int2[]) WITH ORDINALITY AS k(attnum, ord)
+      JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum
+      ORDER BY k.ord
+    ) AS columns
+  FROM pg_index ix
+  JOIN pg_class t ON t.oid = ix.indrelid
+  JOIN pg_class i ON i.oid = ix.indexrelid
+  JOIN pg_namespace n ON n.oid = t.relnamespace
+  WHERE n.nspname = ANY($1)
+    AND NOT EXISTS (
+      SELECT 1 FROM pg_constraint con WHERE con.conindid = ix.indexrelid
+    )
+  ORDER BY n.nspname, t.relname, i.relname;`;
+
+const qualify = (schema, table) => `${schema}.${table}`;
+
+// Tables of the schemas the datasource includes, read from the catalog
+const readCatalog = async datasource => {
+  const client = await datasource.pool.connect();
+  try {
+    const schemasResult = await client.query(SCHEMAS_QUERY);
+    const schemas = schemasResult.rows
+      .map(row => row.schema_name)
+      .filter(schema => datasource.schemaFilter.includesSchema(schema));
+    const columnsResult = await client.query(COLUMNS_QUERY, [schemas]);
+    const constraintsResult = await client.query(CONSTRAINTS_QUERY, [schemas]);
+    const indexesResult = await client.query(INDEXES_QUERY, [schemas]);
+
+    const tables = new Map();
+    columnsResult.rows.forEach(row => {
+      const key = qualify(row.table_schema, row.table_name);
+      if (!tables.has(key)) {
+        tables.set(key, {
+          name: row.table_name,
+          schema: row.table_schema,
+          qualifiedName: key,
+          kind: RELATION_KINDS[row.relation_kind],
+          comment: row.table_comment,
+          columns: [],
+          primaryKey: [],
+          foreignKeys: [],
+          uniqueConstraints: [],
+          indexes: [],
+        });
+      }
+      tables.get(key).columns.push({
+        name: row.column_name,
+        type: row.data_type,
+        nullable: row.is_nullable,
+        comment: row.column_comment,
+        enumValues: row.enum_values,
+      });
+    });
+
+    constraintsResult.rows.forEach(row => {
+      const table = tables.get(qualify(row.table_schema, row.table_name));
+      if (!table) {
+        return;
+      }
+      if (row.constraint_type === 'p') {
+        table.primaryKey = row.columns;
+      } else if (row.constraint_type === 'u') {
+        table.uniqueConstraints.push(row.columns);
+      } else {
+        table.foreignKeys.push({
+          columns: row.columns,
+          references: {
+            schema: row.foreign_schema,
+            table: row.foreign_table,
+            columns: row.foreign_columns,
+          },
+        });
+      }
+    });
+
+    indexesResult.rows.forEach(row => {
+      tables.get(qualify(row.table_schema, row.table_name))?.indexes.push({
+        name: row.index_name,
+        columns: row.columns,
+        unique: row.is_unique,
+      });
+    });
+
+    return [...tables.values()];
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reads the tables, views and materialized views of every schema the
+ * datasource includes, with everything the model needs to join them
+ * correctly: primary keys, foreign keys, unique constraints, indexes,
+ * comments and enum values. Datasources with a `schemaFile` are read from
+ * that file instead of the catalog. Tables outside the allowlist or on the
+ * denylist, and foreign keys pointing at them, are left out. Denied columns
+ * are dropped together with any key or index that mentions them.
+ * @param {object} datasource - From config/datasources.js.
+ * @returns {Promise<Array<{name: string, schema: string, qualifiedName: string, kind: string, comment: string|null, columns: Array<{name: string, type: string, nullable: boolean, comment: string|null, enumValues: string[]|null}>, primaryKey: string[], foreignKeys: Array<{columns: string[], references: {schema: string, table: string, columns: string[]}}>, uniqueConstraints: string[][], indexes: Array<{name: string, columns: string[], unique: boolean}>}>>}
+ */
+export const introspectSchema = async datasource => {
+  const tables = datasource.schemaFile
+    ? readSchemaFile(datasource.schemaFile)
+    : await readCatalog(datasource);
+
+  const allowedTables = restrictTables(tables, {
+    isTableVisible: table =>
+      isTableAllowed(datasource, table.name, table.schema),
+    isColumnVisible: (table, column) =>
+      isColumnAllowed(datasource, table.name, column, table.schema),
+  });
+  logger.debug('Introspected database schema', {
+    datasource: datasource.name,
+    source: datasource.schemaFile ?? 'catalog',
+    schemas: [...new Set(allowedTables.map(table => table.schema))],
+    tableCount: allowedTables.length,
+    viewCount: allowedTables.filter(table => table.kind !== 'table').length,
+    foreignKeyCount: allowedTables.reduce(
+      (count, table) => count + table.foreignKeys.length,
+      0,
+    ),
+    service: 'SCHEMA_INTROSPECTION',
+  });
+  return allowedTables;
+};
+
+// datasource name -> { version: Promise<string>, expiresAt }
+const schemaVersions = new Map();
+
+/**
+ * Short fingerprint of everything `introspectSchema` returns for the
+ * datasource: any table, column, key, index or comment change gives a new
+ * version. Reused for SCHEMA_VERSION_TTL_MS, so a change is noticed at most
+ * that long after it happened.
+ * @param {object} datasource - From config/datasources.js.
+ * @returns {Promise<string>}
+ */
+export const getSchemaVersion = async datasource => {
+  const cached = schemaVersions.get(datasource.name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.version;
+  }
+  const version = introspectSchema(datasource).then(tables =>
+    createHash('sha256')
+      .update(JSON.stringify(tables))
+      .digest('hex')
+      .slice(0, 16),
+  );
+  schemaVersions.set(datasource.name, {
+    version,
+    expiresAt: Date.now() + SCHEMA_VERSION_TTL_MS,
+  });
+  // A failed read is not remembered
+  version.catch(() => {
+    if (schemaVersions.get(datasource.name)?.version === version) {
+      schemaVersions.delete(datasource.name);
+    }
+  });
+  return version;
+};
+
+/**
+ * Narrows introspected tables to what a reader may see. Keys, indexes and
+ * foreign keys that mention a hidden column or point at a hidden table are
+ * dropped too, since they would reveal that the column exists.
+ * @param {Array<object>} tables - Tables from `introspectSchema`.
+ * @param {{isTableVisible?: (table: object) => boolean, isColumnVisible?: (table: object, column: string) => boolean}} predicates
+ * @returns {Array<object>} Restricted copies of the visible tables.
+ */
+export const restrictTables = (
+  tables,
+  { isTableVisible = () => true, isColumnVisible = () => true },
+) => {
+  const visible = new Map(
+    tables.filter(isTableVisible).map(table => [table.qualifiedName, table]),
+  );
+  const allVisible = (table, columns) =>
+    columns.every(column => isColumnVisible(table, column));
+
+  return [...visible.values()].map(table => ({
+    ...table,
+    columns: table.columns.filter(column =>
+      isColumnVisible(table, column.name),
+    ),
+    primaryKey: allVisible(table, table.primaryKey) ? table.primaryKey : [],
+    foreignKeys: table.foreignKeys.filter(({ columns, references }) => {
+      const target = visible.get(qualify(references.schema, references.table));
+      return (
+        target !== undefined &&
+        allVisible(table, columns) &&
+        allVisible(target, references.columns)
+      );
+    }),
+    uniqueConstraints: table.uniqueConstraints.filter(columns =>
+      allVisible(table, columns),
+    ),
+    indexes: table.indexes.filter(index => allVisible(table, index.columns)),
+  }));
+};
+
+// `public.orders(user_id) -> public.users(id)`
+export const formatForeignKey = (table, foreignKey) =>
+  `${table.qualifiedName}(${foreignKey.columns.join(', ')}) -> ${qualify(foreignKey.references.schema, foreignKey.references.table)}(${foreignKey.references.columns.join(', ')})`;
+
+const formatColumn = (table, column) => {
+  const notes = [column.type];
+  if (table.primaryKey.includes(column.name)) {
+    notes.push('PK');
+  }
+  table.foreignKeys
+    .filter(foreignKey => foreignKey.columns.includes(column.name))
+    .forEach(foreignKey => {
+      const target =
+        foreignKey.references.columns[foreignKey.columns.indexOf(column.name)];
+      notes.push(
+        `FK -> ${qualify(foreignKey.references.schema, foreignKey.references.table)}.${target}`,
+      );
+    });
+  if (column.nullable) {
+    notes.push('nullable');
+  }
+  if (column.enumValues) {
+    notes.push(`one of: ${column.enumValues.map(v => `'${v}'`).join(', ')}`);
+  }
+  if (column.comment) {
+    notes.push(`"${column.comment}"`);
+  }
+  return `${column.name} (${notes.join(', ')})`;
+};
+
+// `Table: analytics.orders`, `View: marts.daily_revenue`, ...
+const formatTableHeader = table => {
+  const label = table.kind === 'table' ? 'Table' : 'View';
+  const kind = table.kind === 'materialized view' ? ' (materialized)' : '';
+  const comment = table.comment ? ` -- ${table.comment}` : '';
+  return `${label}: ${table.qualifiedName}${kind}${comment}`;
+};
+
+/**
+ * Describes one table or view for a prompt or an embedding: the fully
+ * qualified name, columns with keys, enum values and comments, then unique
+ * constraints and indexes.
+ * @param {object} table - A table from `introspectSchema`.
+ * @returns {string}
+ */
+export const formatTableSchema = table => {
+  const lines = [
+    formatTableHeader(table),
+    `Columns: ${table.columns.map(column => formatColumn(table, column)).join(', ')}`,
+  ];
+  if (table.uniqueConstraints.length > 0) {
+    lines.push(
+      `Unique: ${table.uniqueConstraints.map(columns => `(${columns.join(', ')})`).join(', ')}`,
+    );
+  }
+  if (table.indexes.length > 0) {
+    lines.push(
+      `Indexes: ${table.indexes.map(index => `${index.name} (${index.columns.join(', ')})`).join(', ')}`,
+    );
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Renders foreign keys as an edge list the model can follow to pick join
+ * keys. Only edges between the given tables are shown.
+ * @param {string[]} relationships - Edges from `formatForeignKey`.
+ * @param {string[]} tableNames - Qualified names of the tables in the prompt.
+ * @returns {string} The section, or an empty string when there are no edges.
+ */
+export const formatRelationshipGraph = (relationships, tableNames) => {
+  const names = new Set(tableNames);
+  const edges = relationships.filter(edge => {
+    const [, from, to] = edge.match(/^(\S+)\(.*\) -> (\S+)\(/) || [];
+    return names.has(from) && names.has(to);
+  });
+  if (edges.length === 0) {
+    return '';
+  }
+  return `RELATIONSHIPS (foreign keys; join on these columns):
+${edges.map(edge => `- ${edge}`).join('\n')}`;
+};
+
+/**
+ * Full prompt section for the given tables: every table description
+ * followed by the relationship graph between them.
+ * @param {Array<object>} tables - Tables from `introspectSchema`.
+ * @returns {string}
+ */
+export const formatSchemaForPrompt = tables => {
+  const relationships = tables.flatMap(table =>
+    table.foreignKeys.map(foreignKey => formatForeignKey(table, foreignKey)),
+  );
+  return [
+    tables.map(formatTableSchema).join('\n\n'),
+    formatRelationshipGraph(
+      relationships,
+      tables.map(table => table.qualifiedName),
+    ),
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+};
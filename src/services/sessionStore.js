@@ -0,0 +1,86 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const parsedTtl = Number.parseInt(process.env.SESSION_TTL_MS, 10);
+export const SESSION_TTL_MS =
+  Number.isInteger(parsedTtl) && parsedTtl > 0 ? parsedTtl : DEFAULT_TTL_MS;
+
+/**
+ * A session store keeps conversation sessions keyed by id. Any object with
+ * these async methods can be plugged in with `setSessionStore`:
+ *   create() -> session
+ *   get(id) -> session | null (expired sessions are never returned)
+ *   save(session) -> session (refreshes the TTL)
+ *   delete(id) -> void
+ * A session is `{ id, createdAt, updatedAt, expiresAt, turns: [] }`.
+ */
+
+/**
+ * In-process store. Sessions are lost on restart and not shared between
+ * replicas, which is fine for a single instance.
+ * @param {{ttlMs?: number}} [options]
+ */
+export const createMemorySessionStore = ({ ttlMs = SESSION_TTL_MS } = {}) => {
+  const sessions = new Map();
+
+  const isExpired = session => Date.parse(session.expiresAt) <= Date.now();
+
+  const sweep = () => {
+    for (const [id, session] of sessions) {
+      if (isExpired(session)) {
+        sessions.delete(id);
+      }
+    }
+  };
+  // Don't keep the process alive just to expire sessions
+  setInterval(sweep, Math.min(ttlMs, SWEEP_INTERVAL_MS)).unref();
+
+  const touch = session => {
+    const now = new Date();
+    session.updatedAt = now.toISOString();
+    session.expiresAt = new Date(now.getTime() + ttlMs).toISOString();
+    return session;
+  };
+
+  return {
+    create: async () => {
+      const now = new Date().toISOString();
+      const session = touch({
+        id: crypto.randomUUID(),
+        createdAt: now,
+        turns: [],
+      });
+      sessions.set(session.id, session);
+      return session;
+    },
+    get: async id => {
+      const session = sessions.get(id);
+      if (!session || isExpired(session)) {
+        sessions.delete(id);
+        return null;
+      }
+      return session;
+    },
+    save: async session => {
+      sessions.set(session.id, touch(session));
+      return session;
+    },
+    delete: async id => {
+      sessions.delete(id);
+    },
+  };
+};
+
+let sessionStore = createMemorySessionStore();
+
+export const getSessionStore = () => sessionStore;
+
+// Replaces the default in-memory store, e.g. with a Redis-backed one
+export const setSessionStore = store => {
+  logger.info('Session store replaced', { service: 'SESSIONS' });
+  sessionStore = store;
+};
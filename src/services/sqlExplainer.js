@@ -0,0 +1,299 @@
+import sqlParser from 'node-sql-parser';
+import { DEFAULT_DIALECT } from '../config/dialects.js';
+import logger from '../config/logger.js';
+import { DEFAULT_SCHEMA } from '../config/schemaFilters.js';
+import {
+  extractTableReferences,
+  getFunctionName,
+  parseSql,
+  walkAst,
+} from './sqlValidator.js';
+
+const { Parser } = sqlParser;
+const parser = new Parser();
+
+const TEXT_MATCH_OPERATORS = new Set(['ILIKE', 'NOT ILIKE']);
+const CURRENT_TIME_FUNCTIONS = new Set([
+  'now',
+  'current_date',
+  'current_timestamp',
+  'current_time',
+  'localtimestamp',
+  'getdate',
+  'sysdate',
+]);
+
+// Removes quotes around plain identifiers outside of string literals so
+// `"o"."status"` reads as `o.status`
+const unquoteIdentifiers = sql =>
+  sql
+    .split(/('(?:[^']|'')*')/)
+    .map((part, index) =>
+      index % 2 === 1
+        ? part
+        : part.replace(/["`]([A-Za-z_][A-Za-z0-9_]*)["`]/g, '$1'),
+    )
+    .join('');
+
+const toSql = (expr, database) =>
+  unquoteIdentifiers(parser.exprToSQL(expr, { database }));
+
+// Splits `a AND b AND c` into its conditions; OR groups stay together
+const splitConjunction = expr => {
+  if (!expr) {
+    return [];
+  }
+  if (expr.type === 'binary_expr' && expr.operator === 'AND') {
+    return [...splitConjunction(expr.left), ...splitConjunction(expr.right)];
+  }
+  return [expr];
+};
+
+// Derived tables have no name; they are labelled with their alias
+const fromItemName = item =>
+  item.table || `${item.as || 'subquery'} (subquery)`;
+
+const readLimit = limit => {
+  const values = limit?.value || [];
+  if (values.length === 0) {
+    return null;
+  }
+  // MySQL `LIMIT offset, count` puts the row count second
+  const count = limit.seperator === ',' ? values[1] : values[0];
+  return count?.value ?? null;
+};
+
+const collectAssumptions = (statement, { joins, filters, limit, render }) => {
+  const assumptions = [];
+  let matchesText = false;
+  let usesCurrentTime = false;
+
+  walkAst(statement.where, node => {
+    if (
+      node.type === 'binary_expr' &&
+      TEXT_MATCH_OPERATORS.has(node.operator)
+    ) {
+      matchesText = true;
+    }
+    if (
+      node.type === 'function' &&
+      CURRENT_TIME_FUNCTIONS.has(getFunctionName(node))
+    ) {
+      usesCurrentTime = true;
+    }
+  });
+
+  joins.forEach(join => {
+    if (join.type === 'INNER JOIN' || join.type === 'JOIN') {
+      assumptions.push(
+        `Rows without a matching ${join.table} row are excluded (inner join).`,
+      );
+    } else if (join.type.startsWith('LEFT')) {
+      assumptions.push(
+        `Rows without a matching ${join.table} row are kept with empty ${join.table} columns (left join).`,
+      );
+    }
+  });
+  splitConjunction(statement.where).forEach(condition => {
+    if (
+      condition.type === 'binary_expr' &&
+      condition.operator === '=' &&
+      condition.right?.type === 'single_quote_string'
+    ) {
+      assumptions.push(
+        `${render(condition.left)} is stored exactly as '${condition.right.value}'.`,
+      );
+    }
+  });
+  if (matchesText) {
+    assumptions.push('Text matching ignores case.');
+  }
+  if (usesCurrentTime) {
+    assumptions.push(
+      'Relative dates are computed from the current database time and time zone.',
+    );
+  }
+  if (statement.distinct?.type === 'DISTINCT') {
+    assumptions.push('Duplicate rows are removed.');
+  }
+  if (limit !== null) {
+    assumptions.push(
+      statement.orderby
+        ? `Only the first ${limit} rows in the sort order are returned.`
+        : `Only ${limit} rows are returned, in no particular order.`,
+    );
+  }
+  if (filters.length === 0) {
+    assumptions.push('No filter is applied: every row is considered.');
+  }
+  return assumptions;
+};
+
+const buildSummary = ({
+  columns,
+  tables,
+  filters,
+  groupBy,
+  orderBy,
+  limit,
+}) => {
+  const parts = [
+    `Returns ${columns.join(', ')} from ${tables.map(table => table.name).join(', ')}`,
+  ];
+  if (filters.length > 0) {
+    parts.push(`filtered by ${filters.length} condition(s)`);
+  }
+  if (groupBy.length > 0) {
+    parts.push(`grouped by ${groupBy.join(', ')}`);
+  }
+  if (orderBy.length > 0) {
+    parts.push(
+      `sorted by ${orderBy
+        .map(({ expression, direction }) => `${expression} ${direction}`)
+        .join(', ')}`,
+    );
+  }
+  if (limit !== null) {
+    parts.push(`limited to ${limit} rows`);
+  }
+  return `${parts.join('; ')}.`;
+};
+
+/**
+ * Explains a validated SELECT in terms a business user can check: which
+ * tables are read and why, how they are joined, the filters, aggregations
+ * and the assumptions baked into the query. The explanation is derived from
+ * the parsed SQL, so it always matches what will run.
+ * @param {string} sqlQuery - SQL that passed validation.
+ * @param {{dialect?: object, tables?: Array<{name: string, summary?: string}>}} [options] -
+ *   `tables` is the context given to the model; table summaries are used as
+ *   the reason a table was picked.
+ * @returns {{summary: string, tables: Array<object>, joins: Array<object>, filters: string[], aggregations: Array<object>, groupBy: string[], having: string[], orderBy: Array<object>, limit: number|null, setOperations: string[], assumptions: string[]}}
+ */
+export const explainSql = (
+  sqlQuery,
+  { dialect = DEFAULT_DIALECT, tables: contextTables = [] } = {},
+) => {
+  const database = dialect.parserDatabase;
+  const [statement] = parseSql(sqlQuery, { dialect: database });
+  const render = expr => toSql(expr, database);
+  // Context tables are keyed by their fully qualified name
+  const summaries = new Map(
+    contextTables.map(table => [
+      table.qualifiedName ?? table.name,
+      table.summary,
+    ]),
+  );
+
+  const fromItems = statement.from || [];
+  const joins = fromItems
+    .filter(item => item.join)
+    .map(item => ({
+      type: item.join,
+      table: fromItemName(item),
+      condition: item.on ? render(item.on) : null,
+    }));
+
+  const directTables = fromItems.map(item => fromItemName(item));
+  const tables = extractTableReferences(statement).map(({ schema, table }) => {
+    const join = joins.find(candidate => candidate.table === table);
+    let usage = 'Read in a subquery or CTE';
+    if (join) {
+      usage = `${join.type}${join.condition ? ` on ${join.condition}` : ''}`;
+    } else if (directTables.includes(table)) {
+      usage = 'Main table the rows come from';
+    }
+    const summary = summaries.get(`${schema ?? DEFAULT_SCHEMA}.${table}`);
+    return {
+      name: table,
+      schema,
+      usage,
+      ...(summary && { reason: summary }),
+    };
+  });
+
+  const aggregations = [];
+  (statement.columns || []).forEach(column => {
+    walkAst(column.expr, node => {
+      if (node.type === 'aggr_func') {
+        aggregations.push({
+          function: node.name.toUpperCase(),
+          expression: render(node),
+          alias: node === column.expr ? column.as || null : null,
+        });
+      }
+    });
+  });
+
+  const columns = (statement.columns || []).map(
+    column => column.as || render(column.expr),
+  );
+  const filters = splitConjunction(statement.where).map(render);
+  const groupBy = (statement.groupby?.columns || []).map(render);
+  const having = splitConjunction(statement.having).map(render);
+  const orderBy = (statement.orderby || []).map(item => ({
+    expression: render(item.expr),
+    direction: item.type || 'ASC',
+  }));
+  const limit = readLimit(statement.limit);
+
+  const setOperations = [];
+  for (let next = statement; next._next; next = next._next) {
+    setOperations.push(next.set_op.toUpperCase());
+  }
+
+  const assumptions = collectAssumptions(statement, {
+    joins,
+    filters,
+    limit,
+    render,
+  });
+  if (setOperations.length > 0) {
+    assumptions.push(
+      `Results of ${setOperations.length + 1} queries are combined with ${[...new Set(setOperations)].join(', ')}; only the first query is described above.`,
+    );
+  }
+
+  return {
+    summary: buildSummary({
+      columns,
+      tables: directTables.map(name => ({ name })),
+      filters,
+      groupBy,
+      orderBy,
+      limit,
+    }),
+    tables,
+    joins,
+    filters,
+    aggregations,
+    groupBy,
+    having,
+    orderBy,
+    limit,
+    setOperations,
+    assumptions,
+  };
+};
+
+/**
+ * `explainSql` for the generators: an explanation is a nice-to-have, so a
+ * failure is logged and reported as `null` instead of failing the request.
+ * @param {string} sqlQuery
+ * @param {{dialect?: object, tables?: Array<object>, service?: string}} [options]
+ * @returns {object|null}
+ */
+export const explainGeneratedSql = (
+  sqlQuery,
+  { service = 'SQL_EXPLAINER', ...options } = {},
+) => {
+  try {
+    return explainSql(sqlQuery, options);
+  } catch (error) {
+    logger.warn('Could not explain generated SQL', {
+      error: error.message,
+      service,
+    });
+    return null;
+  }
+};
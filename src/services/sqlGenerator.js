@@ -1,90 +1,160 @@
 import 'dotenv/config';
-import { Pinecone } from '@pinecone-database/pinecone';
-import { VertexAI, VertexAIEmbeddings } from '@langchain/google-vertexai';
-import dbPool from '../config/db.js';
 import logger from '../config/logger.js';
+import { getDatasource, isTableAllowed } from '../config/datasources.js';
+import { validateGeneratedSql } from './sqlValidator.js';
+import { explainGeneratedSql } from './sqlExplainer.js';
+import { DEFAULT_DIALECT, formatDialectRules } from '../config/dialects.js';
+import { createLlmClient, createUsageTracker } from './llm/index.js';
+import { generateWithRepair } from './sqlRepair.js';
+import {
+  formatForeignKey,
+  formatRelationshipGraph,
+  formatTableSchema,
+  introspectSchema,
+} from './schemaIntrospection.js';
+import { createEmbeddings } from './embeddings.js';
+import {
+  formatColumnRestrictions,
+  restrictTablesForCaller,
+} from './accessControl.js';
+import { DEFAULT_SCHEMA } from '../config/schemaFilters.js';
+import {
+  getVectorStore,
+  QUERY_INDEX_NAME,
+  TABLE_INDEX_NAME,
+} from './vectorStore/index.js';
+import {
+  buildRetrievalText,
+  formatConversationHistory,
+} from './conversationContext.js';
 
 // --- INITIALIZE CLIENTS ---
-const pinecone = new Pinecone();
+// Pinecone by default; VECTOR_STORE selects pgvector or the local store
+const vectorStore = getVectorStore();
 
-const embeddings = new VertexAIEmbeddings({
-  model: 'text-embedding-004',
-});
+const embeddings = createEmbeddings();
 
-const llm = new VertexAI({
+const llm = createLlmClient({
+  scope: 'SQL_RAG',
+  provider: 'vertex',
   model: 'claude-sonnet-4@20250514', // A powerful and fast model for generation
   temperature: 0, // We want deterministic, factual SQL, so we set temperature to 0
 });
 
-const validateSqlSyntax = async sqlQuery => {
-  logger.debug('Starting SQL syntax validation', {
-    queryLength: sqlQuery.length,
-    service: 'SQL_GENERATOR',
-  });
+// How much how often a logged query runs counts when ranking examples
+// against how similar it is to the question; 0 ranks by similarity alone
+const parseWeight = value => {
+  const parsed = Number.parseFloat(value);
+  return parsed >= 0 ? parsed : 0.1;
+};
+const QUERY_FREQUENCY_WEIGHT = parseWeight(process.env.QUERY_FREQUENCY_WEIGHT);
+
+const EXAMPLE_QUERY_COUNT = 3;
+
+/**
+ * Orders example queries by similarity plus a frequency bonus of up to
+ * QUERY_FREQUENCY_WEIGHT, on a log scale relative to the most frequent
+ * match. Examples without a `frequency`, such as feedback examples and
+ * vectors synced before clustering, get the full bonus.
+ */
+const rankExampleQueries = matches => {
+  const maxFrequency = Math.max(
+    1,
+    ...matches.map(match => match.metadata.frequency ?? 0),
+  );
+  const rank = match => {
+    const frequency = match.metadata.frequency ?? maxFrequency;
+    const bonus = Math.log10(1 + frequency) / Math.log10(1 + maxFrequency);
+    return (match.score ?? 0) + QUERY_FREQUENCY_WEIGHT * bonus;
+  };
+  return matches
+    .map(match => ({ match, rank: rank(match) }))
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, EXAMPLE_QUERY_COUNT)
+    .map(({ match }) => match);
+};
 
-  const normalizedSql = sqlQuery.toLowerCase();
-  const forbiddenKeywords = [
-    'insert',
-    'update',
-    'delete',
-    'drop',
-    'create',
-    'alter',
-    'truncate',
-    'grant',
-    'revoke',
-  ];
-
-  const foundForbiddenKeyword = forbiddenKeywords.find(keyword =>
-    normalizedSql.includes(` ${keyword} `),
+// Tables synced before schema-qualified names only carry a bare `name`
+const tableReference = table => ({
+  schema: table.schemaName ?? DEFAULT_SCHEMA,
+  table: table.tableName ?? table.name,
+});
+
+// Lower-cased words of a text, to spot column names in a stored summary
+const wordsOf = text =>
+  new Set(
+    String(text ?? '')
+      .toLowerCase()
+      .split(/[^\w$]+/),
   );
 
-  if (foundForbiddenKeyword) {
-    logger.warn('SQL validation failed - forbidden keyword detected', {
-      forbiddenKeyword: foundForbiddenKeyword,
-      service: 'SQL_GENERATOR',
-    });
-    return {
-      isValid: false,
-      error: 'Query contains a forbidden write-operation keyword.',
-    };
-  }
+/**
+ * Stored table descriptions were written from every column the datasource
+ * allows. For a policy-restricted caller, the schema, keys and
+ * relationships of each retrieved table are rebuilt from the introspected
+ * schema narrowed to the caller's policy, and a summary that names a column
+ * the policy hides is dropped. Tables the schema no longer has are dropped.
+ */
+const restrictRetrievedTables = async (tables, datasource, access) => {
+  const introspected = await introspectSchema(datasource);
+  const visible = new Map(
+    restrictTablesForCaller(introspected, access).map(table => [
+      table.qualifiedName,
+      table,
+    ]),
+  );
+  const allColumns = new Map(
+    introspected.map(table => [table.qualifiedName, table.columns]),
+  );
 
-  const client = await dbPool.connect();
-  try {
-    logger.debug('Executing EXPLAIN query for validation', {
-      service: 'SQL_GENERATOR',
-    });
-    await client.query(`EXPLAIN ${sqlQuery}`);
-    logger.info('SQL validation passed', {
-      service: 'SQL_GENERATOR',
-    });
-    return { isValid: true };
-  } catch (error) {
-    logger.error('SQL validation failed', {
-      error: error.message,
-      sqlQuery: `${sqlQuery.substring(0, 100)}...`,
-      service: 'SQL_GENERATOR',
-    });
-    return { isValid: false, error: error.message };
-  } finally {
-    client.release();
-  }
+  return tables.flatMap(metadata => {
+    const { schema, table } = tableReference(metadata);
+    const restricted = visible.get(`${schema}.${table}`);
+    if (!restricted) {
+      return [];
+    }
+    const shown = new Set(restricted.columns.map(column => column.name));
+    const words = wordsOf(metadata.summary);
+    const namesHiddenColumn = allColumns
+      .get(restricted.qualifiedName)
+      .some(
+        column =>
+          !shown.has(column.name) && words.has(column.name.toLowerCase()),
+      );
+    const { summary, ...rest } = metadata;
+    return [
+      {
+        ...rest,
+        ...(!namesHiddenColumn && { summary }),
+        schema: formatTableSchema(restricted),
+        primaryKey: restricted.primaryKey,
+        relationships: restricted.foreignKeys.map(foreignKey =>
+          formatForeignKey(restricted, foreignKey),
+        ),
+      },
+    ];
+  });
 };
 
-const retrieveContext = async question => {
+const retrieveContext = async (question, datasource, access) => {
   logger.debug('Starting context retrieval process', {
     question: question.substring(0, 100) + (question.length > 100 ? '...' : ''),
+    datasource: datasource.name,
     service: 'SQL_GENERATOR',
   });
 
   logger.debug('Generating question embedding', { service: 'SQL_GENERATOR' });
   const questionEmbedding = await embeddings.embedQuery(question);
 
-  const tableIndex = pinecone.index(process.env.PINECONE_INDEX_NAME);
-  const queryIndex = pinecone.index(process.env.PINECONE_QUERY_INDEX_NAME);
+  // Each datasource keeps its vectors in its own namespace
+  const tableIndex = vectorStore
+    .index(TABLE_INDEX_NAME)
+    .namespace(datasource.vectorNamespace);
+  const queryIndex = vectorStore
+    .index(QUERY_INDEX_NAME)
+    .namespace(datasource.vectorNamespace);
 
-  logger.debug('Querying Pinecone indexes for relevant context', {
+  logger.debug('Querying vector indexes for relevant context', {
     service: 'SQL_GENERATOR',
   });
   const [tableResults, queryResults] = await Promise.all([
@@ -93,19 +163,31 @@ const retrieveContext = async question => {
       vector: questionEmbedding,
       includeMetadata: true,
     }),
+    // More candidates than needed, so frequency can reorder them
     queryIndex.query({
-      topK: 3,
+      topK: QUERY_FREQUENCY_WEIGHT > 0 ? 10 : EXAMPLE_QUERY_COUNT,
       vector: questionEmbedding,
       includeMetadata: true,
     }),
   ]);
 
-  const relevantTables = tableResults.matches.map(match => match.metadata);
-  const relevantExampleQueries = queryResults.matches.map(
+  const allowedTables = tableResults.matches
+    .map(match => match.metadata)
+    .filter(metadata => {
+      const { schema, table } = tableReference(metadata);
+      return (
+        isTableAllowed(datasource, table, schema) &&
+        (!access || access.isTableAllowed(schema, table))
+      );
+    });
+  const relevantTables = access
+    ? await restrictRetrievedTables(allowedTables, datasource, access)
+    : allowedTables;
+  const relevantExampleQueries = rankExampleQueries(queryResults.matches).map(
     match => match.metadata,
   );
 
-  logger.info('Retrieved context from Pinecone', {
+  logger.info('Retrieved context from vector store', {
     tableCount: relevantTables.length,
     exampleQueryCount: relevantExampleQueries.length,
     tableNames: relevantTables.map(t => t.name),
@@ -114,10 +196,20 @@ const retrieveContext = async question => {
   return { relevantTables, relevantExampleQueries };
 };
 
+// Foreign keys synced into the table metadata, limited to the retrieved tables
+const formatTableRelationships = tables =>
+  formatRelationshipGraph(
+    tables.flatMap(table => table.relationships || []),
+    tables.map(table => table.name),
+  );
+
 export const buildCombinedPrompt = (
   question,
   relevantTables,
   relevantExampleQueries,
+  history = [],
+  dialect = DEFAULT_DIALECT,
+  access = null,
 ) => `
     You are an expert SQL writer. Your task is to write a single, correct SQL query to answer the user's question by analyzing the provided context.
     First, select the most appropriate table(s) from the 'Table Schemas' list. Then, generate the query.
@@ -129,33 +221,44 @@ export const buildCombinedPrompt = (
     ===Rules for SQL Generation
     1. Your response must start with <@query@> or <@explanation@>.
     2. Respond only with a valid SQL query inside the <@query@> section.
-    3. CRITICAL RULE: Wrap all table and column names in double quotes (").
+    3. CRITICAL RULE: Wrap all table and column names in ${dialect.identifierQuote}.
     4. If the context is insufficient, explain what is missing in the <@explanation@> section.
+    5. Join tables on the foreign keys listed under RELATIONSHIPS instead of guessing join keys.
+    6. Reference every table by its fully qualified schema.table name from 'Table Schemas', quoting schema and table separately.
 
     ===SQL Dialect
-    PrestoSQL
+    ${dialect.label}
+    ${formatDialectRules(dialect)}
 
     ===Table Schemas
     ${JSON.stringify(relevantTables, null, 2)}
 
+    ${formatTableRelationships(relevantTables)}
+
+    ${formatColumnRestrictions(access, relevantTables.map(tableReference))}
+
     ===Example Queries (for inspiration)
     ${JSON.stringify(relevantExampleQueries, null, 2)}
 
+    ${formatConversationHistory(history)}
+
     ===Question
     ${question}
   `;
 
-const parseAndValidateResponse = async response => {
-  logger.debug('Starting response parsing and validation', {
+/**
+ * Extracts the SQL from the <@query@> section of the LLM response.
+ * An <@explanation@> answer means the context was insufficient; retrying
+ * will not help, so that error is marked as not repairable.
+ */
+const parseResponse = response => {
+  logger.debug('Starting response parsing', {
     responseLength: response.length,
     service: 'SQL_GENERATOR',
   });
 
-  let sqlQuery = response;
-  while (sqlQuery.includes('<@query@>')) {
-    sqlQuery = sqlQuery.replace(/<@query@>/g, '').replace(/<\/@query@>/g, '');
-  }
-  sqlQuery = response.match(/<@query@>([\s\S]*?)<\/@query@>/) ? sqlQuery : '';
+  const queryMatch = response.match(/<@query@>([\s\S]*?)<\/@query@>/);
+  const sqlQuery = queryMatch ? queryMatch[1].trim() : '';
 
   if (!sqlQuery) {
     logger.warn('No SQL query found in LLM response', {
@@ -170,48 +273,76 @@ const parseAndValidateResponse = async response => {
           (explanation.length > 200 ? '...' : ''),
         service: 'SQL_GENERATOR',
       });
-      throw new Error(`LLM explanation: ${explanation}`);
+      const error = new Error(`LLM explanation: ${explanation}`);
+      error.repairable = false;
+      throw error;
     }
     logger.error('Invalid response format from LLM', {
       service: 'SQL_GENERATOR',
     });
-    throw new Error('Invalid response format from LLM or empty query.');
+    throw new Error(
+      'Invalid response format from LLM or empty query. Wrap the SQL in <@query@></@query@>.',
+    );
   }
 
   logger.debug('Extracted SQL query from LLM response', {
     queryLength: sqlQuery.length,
     service: 'SQL_GENERATOR',
   });
-
-  const validationResult = await validateSqlSyntax(sqlQuery);
-  if (!validationResult.isValid) {
-    logger.error('Generated SQL failed validation', {
-      error: validationResult.error,
-      service: 'SQL_GENERATOR',
-    });
-    throw new Error(`Generated SQL is invalid: ${validationResult.error}`);
-  }
-
-  logger.info('SQL parsing and validation completed successfully', {
-    finalQueryLength: sqlQuery.length,
-    service: 'SQL_GENERATOR',
-  });
   return sqlQuery;
 };
 
 // --- MAIN ORCHESTRATOR FUNCTION ---
 
-export const generateSqlFromQuestion = async question => {
+/**
+ * Generates SQL for a question using context retrieved from the vector store.
+ * @param {string} question - The natural language question.
+ * @param {{history?: Array<object>, datasource?: object, access?: object|null, onEvent?: (event: object) => void, explain?: boolean}} [options] -
+ *   `history` holds previous session turns used to resolve follow-up
+ *   questions; `onEvent` receives progress events (`context`, `attempt`,
+ *   `token`, `validation`) for streaming; `explain` adds an `explanation`
+ *   of the SQL (see sqlExplainer.js); `datasource` comes from
+ *   config/datasources.js and decides the connection, dialect, vector
+ *   namespace and visible tables; `access` (see accessControl.js) limits
+ *   the context to the caller's policy and adds its row filters.
+ * @returns {Promise<{sql: string, attempts: Array<object>, dialect: string, datasource: string, usage: object, explanation?: object|null}>}
+ *   The validated SQL, the history of every generation attempt, the dialect,
+ *   the datasource name and the estimated LLM token usage (also attached
+ *   to a thrown error as `usage`).
+ */
+export const generateSqlFromQuestion = async (
+  question,
+  {
+    history = [],
+    datasource = getDatasource(),
+    access = null,
+    onEvent,
+    explain = false,
+  } = {},
+) => {
+  const { dialect } = datasource;
   const startTime = Date.now();
+  const usage = createUsageTracker();
   logger.info('Starting SQL generation process', {
     questionLength: question.length,
     question: question.substring(0, 100) + (question.length > 100 ? '...' : ''),
+    historyTurns: history.length,
+    datasource: datasource.name,
+    dialect: dialect.id,
     service: 'SQL_GENERATOR',
   });
 
   try {
-    const { relevantTables, relevantExampleQueries } =
-      await retrieveContext(question);
+    const { relevantTables, relevantExampleQueries } = await retrieveContext(
+      buildRetrievalText(question, history),
+      datasource,
+      access,
+    );
+    onEvent?.({
+      type: 'context',
+      tables: relevantTables.map(t => t.name),
+      exampleQueryCount: relevantExampleQueries.length,
+    });
 
     logger.debug('Building combined prompt for LLM', {
       tableCount: relevantTables.length,
@@ -223,6 +354,9 @@ export const generateSqlFromQuestion = async question => {
       question,
       relevantTables,
       relevantExampleQueries,
+      history,
+      dialect,
+      access,
     );
 
     logger.debug('Invoking LLM for SQL generation', {
@@ -230,27 +364,57 @@ export const generateSqlFromQuestion = async question => {
       service: 'SQL_GENERATOR',
     });
 
-    const finalResponse = await llm.invoke(combinedPrompt);
-
-    logger.debug('Received response from LLM', {
-      responseLength: finalResponse.length,
+    // Generate and validate, feeding EXPLAIN errors back to the model
+    const { sql: sqlQuery, attempts } = await generateWithRepair({
+      prompt: combinedPrompt,
+      complete: (nextPrompt, attempt) =>
+        llm.invoke(nextPrompt, {
+          onUsage: usage.onUsage,
+          ...(onEvent && {
+            onToken: text => onEvent({ type: 'token', attempt, text }),
+          }),
+        }),
+      extractSql: parseResponse,
+      validate: sql =>
+        validateGeneratedSql(sql, {
+          datasource,
+          access,
+          service: 'SQL_GENERATOR',
+        }),
       service: 'SQL_GENERATOR',
+      onEvent,
     });
 
-    const sqlQuery = await parseAndValidateResponse(finalResponse);
-
     const duration = Date.now() - startTime;
     logger.info('SQL generation completed successfully', {
       duration: `${duration}ms`,
+      attempts: attempts.length,
+      llmTokens: usage.totals.totalTokens,
       finalQueryLength: sqlQuery.length,
       service: 'SQL_GENERATOR',
     });
 
-    return sqlQuery;
+    return {
+      sql: sqlQuery,
+      attempts,
+      dialect: dialect.id,
+      datasource: datasource.name,
+      usage: usage.totals,
+      ...(explain && {
+        explanation: explainGeneratedSql(sqlQuery, {
+          dialect,
+          tables: relevantTables,
+          service: 'SQL_GENERATOR',
+        }),
+      }),
+    };
   } catch (error) {
+    // Tokens spent on failed attempts still count against the caller
+    error.usage = usage.totals;
     const duration = Date.now() - startTime;
     logger.error('SQL generation failed', {
       error: error.message,
+      attempts: error.attempts?.length,
       duration: `${duration}ms`,
       stack: error.stack,
       service: 'SQL_GENERATOR',
@@ -1,138 +1,56 @@
 import 'dotenv/config';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import dbPool from '../config/db.js';
+import { getDatasource } from '../config/datasources.js';
 import logger from '../config/logger.js';
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-const getTableSchema = async () => {
-  const client = await dbPool.connect();
-  try {
-    const res = await client.query(
-      `SELECT
-        t.table_name,
-        c.column_name,
-        c.data_type,
-        c.is_nullable
-      FROM information_schema.tables t
-      JOIN information_schema.columns c
-        ON t.table_name = c.table_name
-        AND t.table_schema = c.table_schema
-      WHERE t.table_schema = 'public'
-        AND t.table_type = 'BASE TABLE'
-      ORDER BY t.table_name, c.ordinal_position;`,
-    );
-
-    const tables = {};
-    res.rows.forEach(({ table_name, column_name, data_type, is_nullable }) => {
-      if (!tables[table_name]) {
-        tables[table_name] = {
-          name: table_name,
-          columns: [],
-        };
-      }
-      tables[table_name].columns.push({
-        name: column_name,
-        type: data_type,
-        nullable: is_nullable === 'YES',
-      });
-    });
-
-    return Object.values(tables);
-  } finally {
-    client.release();
-  }
-};
-
-const validateSqlSyntax = async sqlQuery => {
-  logger.debug('Starting SQL syntax validation', {
-    queryLength: sqlQuery.length,
-    service: 'SQL_GENERATOR_AI',
-  });
-
-  const normalizedSql = sqlQuery.toLowerCase();
-  const forbiddenKeywords = [
-    'insert',
-    'update',
-    'delete',
-    'drop',
-    'create',
-    'alter',
-    'truncate',
-    'grant',
-    'revoke',
-  ];
-
-  const foundForbiddenKeyword = forbiddenKeywords.find(
-    keyword =>
-      normalizedSql.includes(` ${keyword} `) ||
-      normalizedSql.startsWith(`${keyword} `),
-  );
-
-  if (foundForbiddenKeyword) {
-    logger.warn('SQL validation failed - forbidden keyword detected', {
-      forbiddenKeyword: foundForbiddenKeyword,
-      service: 'SQL_GENERATOR_AI',
-    });
-    return {
-      isValid: false,
-      error: 'Query contains a forbidden write-operation keyword.',
-    };
-  }
-
-  const client = await dbPool.connect();
-  try {
-    logger.debug('Executing EXPLAIN query for validation', {
-      service: 'SQL_GENERATOR_AI',
-    });
-    await client.query(`EXPLAIN ${sqlQuery}`);
-    logger.info('SQL validation passed', {
-      service: 'SQL_GENERATOR_AI',
-    });
-    return { isValid: true };
-  } catch (error) {
-    logger.error('SQL validation failed', {
-      error: error.message,
-      sqlQuery: `${sqlQuery.substring(0, 100)}...`,
-      service: 'SQL_GENERATOR_AI',
-    });
-    return { isValid: false, error: error.message };
-  } finally {
-    client.release();
-  }
-};
-
-const buildPrompt = (question, tables) => {
-  const schemaDescription = tables
-    .map(table => {
-      const columns = table.columns
-        .map(
-          col => `${col.name} (${col.type}${col.nullable ? ', nullable' : ''})`,
-        )
-        .join(', ');
-      return `Table: ${table.name}\nColumns: ${columns}`;
-    })
-    .join('\n\n');
-
-  return `You are a PostgreSQL expert. Generate a SQL query to answer the user's question.
+import { validateGeneratedSql } from './sqlValidator.js';
+import { explainGeneratedSql } from './sqlExplainer.js';
+import {
+  formatSchemaForPrompt,
+  introspectSchema,
+} from './schemaIntrospection.js';
+import { DEFAULT_DIALECT, formatDialectRules } from '../config/dialects.js';
+import { createLlmClient, createUsageTracker } from './llm/index.js';
+import { generateWithRepair } from './sqlRepair.js';
+import {
+  buildRetrievalText,
+  formatConversationHistory,
+} from './conversationContext.js';
+import { selectTables } from './tableSelector.js';
+import { restrictTablesForCaller } from './accessControl.js';
+
+// Gemini by default; override with SQL_AI_LLM_PROVIDER / SQL_AI_LLM_MODEL
+const llm = createLlmClient({
+  scope: 'SQL_AI',
+  provider: 'gemini',
+  model: 'gemini-2.5-flash-lite',
+  temperature: 0,
+});
+
+const buildPrompt = (
+  question,
+  tables,
+  history = [],
+  dialect = DEFAULT_DIALECT,
+) => `You are a ${dialect.label} expert. Generate a SQL query to answer the user's question.
 
 DATABASE SCHEMA:
-${schemaDescription}
+${formatSchemaForPrompt(tables)}
 
 RULES:
 1. Return ONLY the SQL query, no explanations or markdown
-2. Use PostgreSQL syntax
-3. Only use SELECT statements (no INSERT, UPDATE, DELETE, DROP, etc.)
-4. Add LIMIT 100 to prevent returning too many rows
-5. Use proper JOINs when needed
-6. The query must be valid and executable
+2. Only use SELECT statements (no INSERT, UPDATE, DELETE, DROP, etc.)
+3. Add LIMIT 100 to prevent returning too many rows
+4. Use proper JOINs when needed, joining on the foreign keys listed under RELATIONSHIPS
+5. The query must be valid and executable
+6. Quote table and column names with ${dialect.identifierQuote} when they are reserved words, mixed case or contain special characters
+7. Always reference tables and views by their fully qualified schema.table name exactly as listed in DATABASE SCHEMA
+${formatDialectRules(dialect, 8)}
+
+${formatConversationHistory(history)}
 
 USER QUESTION:
 ${question}
 
 SQL QUERY:`;
-};
 
 const cleanSqlResponse = response => {
   // Remove markdown code blocks if present
@@ -162,60 +80,131 @@ const cleanSqlResponse = response => {
   return sqlLines.join('\n').trim();
 };
 
-export const generateSqlFromQuestion = async question => {
+/**
+ * Generates SQL for a question from the database schema, pruned to the
+ * most relevant tables when it exceeds the schema token budget.
+ * @param {string} question - The natural language question.
+ * @param {{history?: Array<object>, datasource?: object, access?: object|null, onEvent?: (event: object) => void, explain?: boolean}} [options] -
+ *   `history` holds previous session turns used to resolve follow-up
+ *   questions; `onEvent` receives progress events (`context`, `attempt`,
+ *   `token`, `validation`) for streaming; `explain` adds an `explanation`
+ *   of the SQL (see sqlExplainer.js); `datasource` comes from
+ *   config/datasources.js and decides the connection, dialect and visible
+ *   tables; `access` (see accessControl.js) narrows the schema to the
+ *   caller's policy and adds its row filters to the SQL.
+ * @returns {Promise<{sql: string, attempts: Array<object>, dialect: string, datasource: string, tableSelection: object, usage: object, explanation?: object|null}>}
+ *   The validated SQL, the history of every generation attempt, the dialect,
+ *   the datasource name, which tables were sent to the model and the
+ *   estimated LLM token usage (also attached to a thrown error as `usage`).
+ */
+export const generateSqlFromQuestion = async (
+  question,
+  {
+    history = [],
+    datasource = getDatasource(),
+    access = null,
+    onEvent,
+    explain = false,
+  } = {},
+) => {
+  const { dialect } = datasource;
   const startTime = Date.now();
+  const usage = createUsageTracker();
   logger.info('Starting AI-powered SQL generation', {
     questionLength: question.length,
     question: question.substring(0, 100) + (question.length > 100 ? '...' : ''),
+    historyTurns: history.length,
+    datasource: datasource.name,
+    dialect: dialect.id,
     service: 'SQL_GENERATOR_AI',
   });
 
   try {
-    // Get table schema
-    const tables = await getTableSchema();
+    // Get table schema, limited to what the caller may see
+    const allTables = restrictTablesForCaller(
+      await introspectSchema(datasource),
+      access,
+    );
     logger.debug('Retrieved table schema', {
-      tableCount: tables.length,
-      tables: tables.map(t => t.name),
+      tableCount: allTables.length,
+      tables: allTables.map(t => t.qualifiedName),
       service: 'SQL_GENERATOR_AI',
     });
 
-    // Build prompt for Gemini
-    const prompt = buildPrompt(question, tables);
-
-    logger.debug('Calling Gemini AI', {
-      model: 'gemini-2.5-flash',
-      service: 'SQL_GENERATOR_AI',
+    // Keep only the tables relevant to the question when the schema is too
+    // large for the prompt
+    const { tables, selection } = await selectTables(
+      buildRetrievalText(question, history),
+      allTables,
+      { service: 'SQL_GENERATOR_AI' },
+    );
+    onEvent?.({
+      type: 'context',
+      tables: tables.map(t => t.qualifiedName),
+      droppedTableCount: selection.dropped.length,
     });
 
-    // Call Gemini AI
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash-lite' });
-    const result = await model.generateContent(prompt);
-    const { response } = result;
-    const sqlQuery = cleanSqlResponse(response.text());
+    // Build prompt for the LLM
+    const prompt = buildPrompt(question, tables, history, dialect);
 
-    logger.debug('Received response from Gemini', {
-      responseLength: sqlQuery.length,
+    logger.debug('Calling LLM', {
+      provider: llm.provider,
+      model: llm.model,
       service: 'SQL_GENERATOR_AI',
     });
 
-    // Validate the generated SQL
-    const validationResult = await validateSqlSyntax(sqlQuery);
-    if (!validationResult.isValid) {
-      throw new Error(`Generated SQL is invalid: ${validationResult.error}`);
-    }
+    // Generate and validate, feeding EXPLAIN errors back to the model
+    const { sql: sqlQuery, attempts } = await generateWithRepair({
+      prompt,
+      complete: (nextPrompt, attempt) =>
+        llm.invoke(nextPrompt, {
+          onUsage: usage.onUsage,
+          ...(onEvent && {
+            onToken: text => onEvent({ type: 'token', attempt, text }),
+          }),
+        }),
+      extractSql: cleanSqlResponse,
+      validate: sql =>
+        validateGeneratedSql(sql, {
+          datasource,
+          access,
+          service: 'SQL_GENERATOR_AI',
+        }),
+      service: 'SQL_GENERATOR_AI',
+      onEvent,
+    });
 
     const duration = Date.now() - startTime;
     logger.info('AI SQL generation completed successfully', {
       duration: `${duration}ms`,
+      attempts: attempts.length,
+      llmTokens: usage.totals.totalTokens,
       finalQueryLength: sqlQuery.length,
       service: 'SQL_GENERATOR_AI',
     });
 
-    return sqlQuery;
+    return {
+      sql: sqlQuery,
+      attempts,
+      dialect: dialect.id,
+      datasource: datasource.name,
+      usage: usage.totals,
+      tableSelection: selection,
+      ...(explain && {
+        explanation: explainGeneratedSql(sqlQuery, {
+          dialect,
+          tables,
+          service: 'SQL_GENERATOR_AI',
+        }),
+      }),
+    };
   } catch (error) {
+    // Tokens spent on failed attempts still count against the caller
+    error.usage = usage.totals;
     const duration = Date.now() - startTime;
     logger.error('AI SQL generation failed', {
       error: error.message,
+      attempts: error.attempts?.length,
       duration: `${duration}ms`,
       service: 'SQL_GENERATOR_AI',
     });
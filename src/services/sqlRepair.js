@@ -0,0 +1,135 @@
+import 'dotenv/config';
+import logger from '../config/logger.js';
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+const parsedMaxAttempts = Number.parseInt(
+  process.env.SQL_REPAIR_MAX_ATTEMPTS,
+  10,
+);
+// Total number of generations per question, including the first one
+export const MAX_REPAIR_ATTEMPTS =
+  Number.isInteger(parsedMaxAttempts) && parsedMaxAttempts > 0
+    ? parsedMaxAttempts
+    : DEFAULT_MAX_ATTEMPTS;
+
+/**
+ * Appends every failed attempt and its error to the original prompt so the
+ * model can correct itself (e.g. a wrong column name reported by EXPLAIN).
+ * @param {string} prompt - The original generation prompt.
+ * @param {Array<{sql: string|null, error: string}>} failedAttempts
+ * @returns {string}
+ */
+export const buildRepairPrompt = (prompt, failedAttempts) => {
+  const failures = failedAttempts
+    .map(
+      ({ attempt, sql, error }) =>
+        `Attempt ${attempt}:\n${sql || '(no SQL could be extracted)'}\nError: ${error}`,
+    )
+    .join('\n\n');
+
+  return `${prompt}
+
+PREVIOUS ATTEMPTS FAILED:
+${failures}
+
+Fix the query so that it is valid for the provided schema. Do not repeat a failed query.
+Respond in the same format as before.`;
+};
+
+/**
+ * Runs generate -> extract -> validate, feeding failures back to the model
+ * until the SQL validates or the attempt budget is used up.
+ * @param {object} options
+ * @param {string} options.prompt - The initial prompt.
+ * @param {(prompt: string, attempt: number) => Promise<string>} options.complete - Calls the LLM.
+ * @param {(response: string) => string} options.extractSql - Pulls SQL out of the
+ *   response. Errors with `repairable === false` stop the loop immediately.
+ * @param {(sql: string) => Promise<{isValid: boolean, error?: string, reasons?: Array, sql?: string}>} options.validate -
+ *   A valid result may carry the `sql` to return in place of the generated
+ *   query (e.g. with row filters applied).
+ * @param {number} [options.maxAttempts]
+ * @param {string} [options.service] - Logger service tag of the caller.
+ * @param {(event: object) => void} [options.onEvent] - Receives an `attempt`
+ *   event before each generation and a `validation` event with the attempt
+ *   record after it.
+ * @returns {Promise<{sql: string, attempts: Array<object>}>}
+ * @throws {Error} With an `attempts` property holding the full history.
+ */
+export const generateWithRepair = async ({
+  prompt,
+  complete,
+  extractSql,
+  validate,
+  maxAttempts = MAX_REPAIR_ATTEMPTS,
+  service = 'SQL_REPAIR',
+  onEvent = () => {},
+}) => {
+  const attempts = [];
+  let currentPrompt = prompt;
+
+  const recordAttempt = record => {
+    attempts.push(record);
+    onEvent({ type: 'validation', ...record });
+  };
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const startTime = Date.now();
+    onEvent({ type: 'attempt', attempt });
+    const response = await complete(currentPrompt, attempt);
+
+    let sql = null;
+    let validation;
+    try {
+      sql = extractSql(response);
+      validation = await validate(sql);
+    } catch (error) {
+      if (error.repairable === false) {
+        recordAttempt({
+          attempt,
+          sql,
+          isValid: false,
+          error: error.message,
+          durationMs: Date.now() - startTime,
+        });
+        error.attempts = attempts;
+        throw error;
+      }
+      validation = { isValid: false, error: error.message };
+    }
+
+    recordAttempt({
+      attempt,
+      sql,
+      isValid: validation.isValid,
+      ...(validation.error && { error: validation.error }),
+      ...(validation.reasons && { reasons: validation.reasons }),
+      durationMs: Date.now() - startTime,
+    });
+
+    if (validation.isValid) {
+      if (attempt > 1) {
+        logger.info('SQL repaired after failed attempts', {
+          attempts: attempt,
+          service,
+        });
+      }
+      return { sql: validation.sql ?? sql, attempts };
+    }
+
+    logger.warn('Generated SQL failed validation', {
+      attempt,
+      maxAttempts,
+      error: validation.error,
+      service,
+    });
+    currentPrompt = buildRepairPrompt(prompt, attempts);
+  }
+
+  const lastError = attempts[attempts.length - 1].error;
+  const error = new Error(
+    `Generated SQL is invalid after ${attempts.length} attempt(s): ${lastError}`,
+  );
+  error.attempts = attempts;
+  throw error;
+};
@@ -0,0 +1,125 @@
+import 'dotenv/config';
+import logger from '../config/logger.js';
+import { createUsageTracker } from './llm/index.js';
+
+/**
+ * Every generator module exports `generateSqlFromQuestion(question, options)`
+ * with the same options and result shape. Modules are loaded on first use so
+ * the clients of unused strategies are never created.
+ */
+const STRATEGIES = {
+  // Tables and example queries retrieved from the vector store
+  rag: () => import('./sqlGenerator.js'),
+  // The introspected schema, pruned to the token budget
+  'full-schema': () => import('./sqlGeneratorAI.js'),
+  // Keyword rules, no LLM
+  'rule-based': () => import('./sqlGeneratorSimple.js'),
+};
+
+export const STRATEGY_NAMES = Object.keys(STRATEGIES);
+
+const strategyError = message => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Reads a strategy chain from a comma-separated string or an array of
+ * names. Later strategies are fallbacks for earlier ones.
+ * @param {string|string[]} value
+ * @returns {string[]}
+ * @throws {Error} With `status` 400 for an empty chain or an unknown name.
+ */
+export const parseStrategyChain = value => {
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+  if (names.length === 0) {
+    throw strategyError('At least one strategy is required.');
+  }
+  const unknown = names.find(name => !STRATEGIES[name]);
+  if (unknown) {
+    throw strategyError(
+      `Unknown strategy "${unknown}". Expected one of: ${STRATEGY_NAMES.join(', ')}`,
+    );
+  }
+  return [...new Set(names)];
+};
+
+// Chain used when a request does not pick one, e.g. `rag,full-schema,rule-based`
+export const DEFAULT_STRATEGIES = parseStrategyChain(
+  process.env.SQL_STRATEGY || 'full-schema',
+);
+
+const addUsage = (totals, usage) => {
+  if (usage) {
+    totals.promptTokens += usage.promptTokens;
+    totals.completionTokens += usage.completionTokens;
+    totals.totalTokens += usage.totalTokens;
+    totals.calls += usage.calls;
+  }
+};
+
+/**
+ * Generates SQL with the first strategy of the chain, falling back to the
+ * next one when a strategy throws, including when it could not produce
+ * valid SQL within its repair attempts. Token usage is summed over every
+ * strategy that ran.
+ * @param {string} question - The natural language question.
+ * @param {{strategies?: string[], onEvent?: (event: object) => void, usage?: object}} [options] -
+ *   `strategies` is the chain (see `parseStrategyChain`); every other option
+ *   is passed to the generators. `onEvent` also receives a `strategy` event
+ *   before each strategy starts. `usage` is the `totals` of a caller's
+ *   `createUsageTracker`, so the caller sees the tokens of every strategy
+ *   that ran even when something after the generation fails.
+ * @returns {Promise<object>} The generator's result with the `strategy` that
+ *   produced it and the `fallbacks` that failed before it, each
+ *   `{strategy, error, attempts}`.
+ * @throws {Error} The last strategy's error, with `strategy`, `fallbacks`
+ *   (every failed strategy) and the summed `usage`.
+ */
+export const generateWithStrategies = async (
+  question,
+  {
+    strategies = DEFAULT_STRATEGIES,
+    onEvent,
+    usage = createUsageTracker().totals,
+    ...options
+  } = {},
+) => {
+  const fallbacks = [];
+
+  for (const [index, strategy] of strategies.entries()) {
+    const { generateSqlFromQuestion } = await STRATEGIES[strategy]();
+    onEvent?.({ type: 'strategy', strategy, position: index + 1 });
+    try {
+      const generation = await generateSqlFromQuestion(question, {
+        ...options,
+        onEvent,
+      });
+      addUsage(usage, generation.usage);
+      return { ...generation, strategy, fallbacks, usage };
+    } catch (error) {
+      addUsage(usage, error.usage);
+      fallbacks.push({
+        strategy,
+        error: error.message,
+        attempts: error.attempts?.length ?? 0,
+      });
+      const next = strategies[index + 1];
+      if (!next) {
+        error.strategy = strategy;
+        error.fallbacks = fallbacks;
+        error.usage = usage;
+        throw error;
+      }
+      logger.warn('SQL strategy failed, falling back', {
+        strategy,
+        next,
+        error: error.message,
+        service: 'SQL_STRATEGY',
+      });
+    }
+  }
+};
@@ -0,0 +1,507 @@
+import 'dotenv/config';
+import sqlParser from 'node-sql-parser';
+import logger from '../config/logger.js';
+import { getDatasource, isTableAllowed } from '../config/datasources.js';
+import { DEFAULT_SCHEMA } from '../config/schemaFilters.js';
+
+const { Parser } = sqlParser;
+const parser = new Parser();
+
+// Statement types that modify data, schema, permissions or session state
+const WRITE_STATEMENT_TYPES = new Set([
+  'insert',
+  'update',
+  'delete',
+  'replace',
+  'create',
+  'drop',
+  'alter',
+  'truncate',
+  'rename',
+  'grant',
+  'revoke',
+  'lock',
+  'set',
+  'call',
+  'use',
+  'exec',
+  'transaction',
+]);
+
+// Functions that have side effects or expose the server beyond the data
+const DEFAULT_FUNCTION_DENYLIST = [
+  'pg_terminate_backend',
+  'pg_cancel_backend',
+  'pg_reload_conf',
+  'pg_rotate_logfile',
+  'pg_sleep',
+  'pg_sleep_for',
+  'pg_sleep_until',
+  'pg_read_file',
+  'pg_read_binary_file',
+  'pg_ls_dir',
+  'pg_stat_file',
+  'pg_switch_wal',
+  'pg_create_restore_point',
+  'pg_promote',
+  'set_config',
+  'nextval',
+  'setval',
+  'lo_import',
+  'lo_export',
+  'lo_unlink',
+  'lo_create',
+  'dblink',
+  'dblink_exec',
+  'dblink_connect',
+  'query_to_xml',
+  'current_setting',
+];
+
+// Whole function families are denied by prefix (e.g. pg_advisory_lock)
+const DENIED_FUNCTION_PREFIXES = ['pg_advisory_', 'pg_try_advisory_', 'lo_'];
+
+export const FUNCTION_DENYLIST = new Set([
+  ...DEFAULT_FUNCTION_DENYLIST,
+  ...(process.env.SQL_FUNCTION_DENYLIST || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean),
+]);
+
+const isDeniedFunction = name =>
+  FUNCTION_DENYLIST.has(name) ||
+  DENIED_FUNCTION_PREFIXES.some(prefix => name.startsWith(prefix));
+
+export const getFunctionName = node => {
+  if (typeof node.name === 'string') {
+    return node.name.toLowerCase();
+  }
+  const parts = node.name?.name || [];
+  return parts
+    .map(part => String(part.value))
+    .join('.')
+    .toLowerCase();
+};
+
+/**
+ * Parses SQL into a list of statement ASTs.
+ * @param {string} sqlQuery - The SQL to parse.
+ * @param {{dialect?: string}} [options] - node-sql-parser database name.
+ * @returns {Array<object>} One AST per statement.
+ */
+export const parseSql = (sqlQuery, { dialect = 'postgresql' } = {}) => {
+  const ast = parser.astify(sqlQuery, { database: dialect });
+  return (Array.isArray(ast) ? ast : [ast]).filter(Boolean);
+};
+
+// Depth-first walk over every object in the AST
+export const walkAst = (node, visit) => {
+  if (Array.isArray(node)) {
+    node.forEach(child => walkAst(child, visit));
+    return;
+  }
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+  visit(node);
+  Object.values(node).forEach(child => walkAst(child, visit));
+};
+
+const collectAstViolations = statement => {
+  const reasons = [];
+  walkAst(statement, node => {
+    if (node !== statement && WRITE_STATEMENT_TYPES.has(node.type)) {
+      reasons.push({
+        code: 'NESTED_WRITE_STATEMENT',
+        message: `Nested ${node.type.toUpperCase()} statements are not allowed.`,
+        statementType: node.type,
+      });
+    }
+    if (node.type === 'select' && node.into?.position) {
+      reasons.push({
+        code: 'SELECT_INTO',
+        message: 'SELECT ... INTO creates a table and is not allowed.',
+      });
+    }
+    if (node.type === 'function' || node.type === 'aggr_func') {
+      const functionName = getFunctionName(node);
+      const baseName = functionName.split('.').pop();
+      if (isDeniedFunction(baseName)) {
+        reasons.push({
+          code: 'FORBIDDEN_FUNCTION',
+          message: `Function "${functionName}" is not allowed.`,
+          functionName,
+        });
+      }
+    }
+  });
+  return reasons;
+};
+
+/**
+ * Lists the tables a statement reads from. CTE names are excluded since
+ * they are not real tables.
+ * @param {object} ast - A statement AST from `parseSql`.
+ * @returns {Array<{schema: string|null, table: string}>}
+ */
+export const extractTableReferences = ast => {
+  const cteNames = new Set();
+  const references = new Map();
+  walkAst(ast, node => {
+    (Array.isArray(node.with) ? node.with : []).forEach(cte => {
+      cteNames.add(cte.name?.value ?? cte.name);
+    });
+    if (
+      typeof node.table === 'string' &&
+      'db' in node &&
+      node.type !== 'column_ref'
+    ) {
+      const schema = node.db || null;
+      references.set(`${schema}.${node.table}`, { schema, table: node.table });
+    }
+  });
+  return [...references.values()].filter(
+    ({ schema, table }) => schema !== null || !cteNames.has(table),
+  );
+};
+
+// Identifiers come back either as strings or as `{ type, value }` nodes
+const identifierName = identifier =>
+  typeof identifier === 'string' ? identifier : identifier?.expr?.value;
+
+const qualifierName = qualifier =>
+  typeof qualifier === 'string' ? qualifier : (qualifier?.value ?? null);
+
+// Real tables of one SELECT, by every name a column can be qualified with:
+// alias, table name and `schema.table`
+const buildSelectScope = (select, cteNames) => {
+  const tables = [];
+  const names = new Map();
+  (select.from || []).forEach(item => {
+    if (typeof item.table !== 'string' || !('db' in item)) {
+      return;
+    }
+    if (!item.db && cteNames.has(item.table)) {
+      return;
+    }
+    const reference = { schema: item.db || DEFAULT_SCHEMA, table: item.table };
+    tables.push(reference);
+    [item.as, item.table, `${reference.schema}.${item.table}`]
+      .filter(Boolean)
+      .forEach(name => names.set(name, reference));
+  });
+  return { tables, names };
+};
+
+/**
+ * Lists the column references of a statement that touch denied columns.
+ * Each reference is resolved through the enclosing SELECTs, innermost
+ * first. An unqualified column is checked against the tables of the first
+ * scope where the filter's `claimsColumn` places it, or else against every
+ * table in scope, since a correlated subquery can read outer columns. `*`
+ * is refused on any table a column rule applies to, since the columns it
+ * expands to cannot be checked.
+ * @param {object} ast - A statement AST from `parseSql`.
+ * @param {{isColumnDenied: Function, hasDeniedColumns: Function, claimsColumn?: Function, label?: string}} filter -
+ *   A datasource `schemaFilter` or a caller's `access.columnFilter`; the
+ *   optional `label` names the rule in the messages.
+ * @returns {Array<{code: string, message: string, table: string, column?: string}>}
+ */
+export const collectColumnViolations = (ast, filter) => {
+  const source = filter.label ? ` under ${filter.label}` : '';
+  const cteNames = new Set();
+  walkAst(ast, node => {
+    (Array.isArray(node.with) ? node.with : []).forEach(cte => {
+      cteNames.add(cte.name?.value ?? cte.name);
+    });
+  });
+
+  const resolveTargets = (node, column, chain) => {
+    const qualifier = qualifierName(node.table);
+    if (qualifier) {
+      const name = node.schema ? `${node.schema}.${qualifier}` : qualifier;
+      const scope = chain.find(level => level.names.has(name));
+      return scope ? [scope.names.get(name)] : [];
+    }
+    if (column === '*') {
+      return chain[0]?.tables || [];
+    }
+    for (const level of chain) {
+      const claiming = level.tables.filter(({ schema, table }) =>
+        filter.claimsColumn?.(schema, table, column),
+      );
+      if (claiming.length > 0) {
+        return claiming;
+      }
+    }
+    return chain.flatMap(level => level.tables);
+  };
+
+  const violations = new Map();
+  const checkColumn = (node, chain) => {
+    const column = identifierName(node.column);
+    resolveTargets(node, column, chain).forEach(({ schema, table }) => {
+      const qualifiedName = `${schema}.${table}`;
+      if (column === '*' && filter.hasDeniedColumns(schema, table)) {
+        violations.set(`${qualifiedName}.*`, {
+          code: 'SELECT_STAR_NOT_ALLOWED',
+          message: `SELECT * is not allowed on "${qualifiedName}" because some of its columns are restricted${source}; list the columns instead.`,
+          table: qualifiedName,
+        });
+      } else if (column && filter.isColumnDenied(schema, table, column)) {
+        violations.set(`${qualifiedName}.${column}`, {
+          code: 'COLUMN_NOT_ALLOWED',
+          message: `Column "${column}" of "${qualifiedName}" is not available${source}.`,
+          table: qualifiedName,
+          column,
+        });
+      }
+    });
+  };
+
+  const visit = (node, chain) => {
+    if (Array.isArray(node)) {
+      node.forEach(child => visit(child, chain));
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if (node.type === 'column_ref') {
+      checkColumn(node, chain);
+      return;
+    }
+    const scopes =
+      node.type === 'select'
+        ? [buildSelectScope(node, cteNames), ...chain]
+        : chain;
+    Object.values(node).forEach(child => visit(child, scopes));
+  };
+  visit(ast, []);
+  return [...violations.values()];
+};
+
+/**
+ * Checks that the SQL is exactly one read-only SELECT statement.
+ * String literals are never inspected, so `WHERE note = ' update '` is fine.
+ * @param {string} sqlQuery - The SQL to validate.
+ * @param {{dialect?: string}} [options]
+ * @returns {{isValid: boolean, reasons: Array<{code: string, message: string}>, ast: object|null}}
+ */
+export const validateReadOnlySql = (
+  sqlQuery,
+  { dialect = 'postgresql' } = {},
+) => {
+  let statements;
+  try {
+    statements = parseSql(sqlQuery, { dialect });
+  } catch (error) {
+    logger.warn('SQL safety check failed - unable to parse query', {
+      error: error.message,
+      service: 'SQL_VALIDATOR',
+    });
+    return {
+      isValid: false,
+      reasons: [
+        {
+          code: 'PARSE_ERROR',
+          message: `Query could not be parsed: ${error.message}`,
+        },
+      ],
+      ast: null,
+    };
+  }
+
+  const reasons = [];
+  if (statements.length === 0) {
+    reasons.push({ code: 'EMPTY_QUERY', message: 'Query is empty.' });
+  }
+  if (statements.length > 1) {
+    reasons.push({
+      code: 'MULTIPLE_STATEMENTS',
+      message: `Only a single statement is allowed, found ${statements.length}.`,
+    });
+  }
+  statements.forEach(statement => {
+    if (statement.type !== 'select') {
+      reasons.push({
+        code: 'NON_SELECT_STATEMENT',
+        message: `${String(statement.type).toUpperCase()} statements are not allowed.`,
+        statementType: statement.type,
+      });
+    }
+    reasons.push(...collectAstViolations(statement));
+  });
+
+  if (reasons.length > 0) {
+    logger.warn('SQL safety check failed', {
+      reasons: reasons.map(reason => reason.code),
+      service: 'SQL_VALIDATOR',
+    });
+  }
+
+  return {
+    isValid: reasons.length === 0,
+    reasons,
+    ast: statements.length === 1 ? statements[0] : null,
+  };
+};
+
+// Joins structured rejection reasons into a single readable error message
+export const formatValidationReasons = reasons =>
+  reasons.map(reason => reason.message).join(' ');
+
+/**
+ * Full validation for generated SQL: the read-only safety check with the
+ * datasource dialect's grammar, the datasource table allowlist, schema
+ * filters and column denylist, the caller's policy, then EXPLAIN on the
+ * datasource's connection. Dialects without a connector are only checked
+ * by the parser. Row filters of the caller's policy are applied before
+ * EXPLAIN; the rewritten query is returned as `sql`.
+ * @param {string} sqlQuery - The SQL to validate.
+ * @param {{datasource?: object, access?: object|null, service?: string}} [options] -
+ *   `datasource` comes from config/datasources.js; `access` from
+ *   accessControl.js; `service` tags the log lines.
+ * @returns {Promise<{isValid: boolean, error?: string, reasons?: Array, validatedBy?: string, sql?: string}>}
+ */
+export const validateGeneratedSql = async (
+  sqlQuery,
+  {
+    datasource = getDatasource(),
+    access = null,
+    service = 'SQL_VALIDATOR',
+  } = {},
+) => {
+  const { dialect } = datasource;
+  logger.debug('Starting SQL syntax validation', {
+    queryLength: sqlQuery.length,
+    dialect: dialect.id,
+    datasource: datasource.name,
+    service,
+  });
+
+  const safetyResult = validateReadOnlySql(sqlQuery, {
+    dialect: dialect.parserDatabase,
+  });
+  if (!safetyResult.isValid) {
+    logger.warn(
+      'SQL validation failed - query is not a single read-only SELECT',
+      {
+        reasons: safetyResult.reasons.map(reason => reason.code),
+        service,
+      },
+    );
+    return {
+      isValid: false,
+      error: formatValidationReasons(safetyResult.reasons),
+      reasons: safetyResult.reasons,
+    };
+  }
+
+  const forbiddenTables = extractTableReferences(safetyResult.ast).filter(
+    ({ schema, table }) => !isTableAllowed(datasource, table, schema),
+  );
+  if (forbiddenTables.length > 0) {
+    const reasons = forbiddenTables.map(({ schema, table }) => ({
+      code: 'TABLE_NOT_ALLOWED',
+      message: `Table "${schema ? `${schema}.` : ''}${table}" is not available in datasource "${datasource.name}".`,
+      table,
+    }));
+    logger.warn('SQL validation failed - table outside datasource allowlist', {
+      tables: forbiddenTables.map(({ table }) => table),
+      datasource: datasource.name,
+      service,
+    });
+    return {
+      isValid: false,
+      error: formatValidationReasons(reasons),
+      reasons,
+    };
+  }
+
+  const policyTables = extractTableReferences(safetyResult.ast).filter(
+    ({ schema, table }) =>
+      access !== null &&
+      !access.isTableAllowed(schema ?? DEFAULT_SCHEMA, table),
+  );
+  if (policyTables.length > 0) {
+    const reasons = policyTables.map(({ schema, table }) => ({
+      code: 'TABLE_NOT_ALLOWED',
+      message: `Table "${schema ?? DEFAULT_SCHEMA}.${table}" is not allowed under policy "${access.policy}".`,
+      table,
+    }));
+    logger.warn('SQL validation failed - table outside caller policy', {
+      tables: policyTables.map(({ table }) => table),
+      callerId: access.callerId,
+      policy: access.policy,
+      service,
+    });
+    return {
+      isValid: false,
+      error: formatValidationReasons(reasons),
+      reasons,
+    };
+  }
+
+  const columnViolations = [
+    ...collectColumnViolations(safetyResult.ast, datasource.schemaFilter),
+    ...(access
+      ? collectColumnViolations(safetyResult.ast, access.columnFilter)
+      : []),
+  ];
+  if (columnViolations.length > 0) {
+    logger.warn('SQL validation failed - restricted columns referenced', {
+      reasons: columnViolations.map(reason => reason.code),
+      tables: [...new Set(columnViolations.map(({ table }) => table))],
+      datasource: datasource.name,
+      service,
+    });
+    return {
+      isValid: false,
+      error: formatValidationReasons(columnViolations),
+      reasons: columnViolations,
+    };
+  }
+
+  // The filtered query is what runs, so it is the one EXPLAIN checks
+  const filteredSql = access?.applyRowFilters(
+    safetyResult.ast,
+    dialect.parserDatabase,
+    sqlQuery,
+  );
+  const finalSql = filteredSql ?? sqlQuery;
+
+  if (dialect.connector !== 'postgres') {
+    logger.info('SQL validation passed - parser only', {
+      dialect: dialect.id,
+      service,
+    });
+    return {
+      isValid: true,
+      validatedBy: 'parser',
+      ...(filteredSql && { sql: filteredSql }),
+    };
+  }
+
+  const client = await datasource.pool.connect();
+  try {
+    logger.debug('Executing EXPLAIN query for validation', { service });
+    await client.query(`EXPLAIN ${finalSql}`);
+    logger.info('SQL validation passed', { service });
+    return {
+      isValid: true,
+      validatedBy: 'explain',
+      ...(filteredSql && { sql: filteredSql }),
+    };
+  } catch (error) {
+    logger.error('SQL validation failed', {
+      error: error.message,
+      sqlQuery: `${finalSql.substring(0, 100)}...`,
+      service,
+    });
+    return { isValid: false, error: error.message };
+  } finally {
+    client.release();
+  }
+};
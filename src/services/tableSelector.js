@@ -0,0 +1,276 @@
+import 'dotenv/config';
+import logger from '../config/logger.js';
+import { cosineSimilarity, createEmbeddings } from './embeddings.js';
+import { formatTableSchema } from './schemaIntrospection.js';
+import { estimateTokens } from './llm/index.js';
+
+const DEFAULT_TOKEN_BUDGET = 8000;
+const DEFAULT_SEED_TABLES = 8;
+// Neighbors pulled in through a foreign key inherit part of the score of the
+// table that pulled them in
+const NEIGHBOR_SCORE_FACTOR = 0.5;
+const LEXICAL_WEIGHT = 0.5;
+// Tables scoring below this share of the best score are noise, not context
+const MIN_RELATIVE_SCORE = 0.2;
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Approximate prompt tokens of the schema section for one request
+export const SCHEMA_TOKEN_BUDGET = parsePositiveInt(
+  process.env.SCHEMA_TOKEN_BUDGET,
+  DEFAULT_TOKEN_BUDGET,
+);
+// Best-ranked tables kept before foreign-key expansion
+export const SEED_TABLE_COUNT = parsePositiveInt(
+  process.env.TABLE_SELECTION_SEED_TABLES,
+  DEFAULT_SEED_TABLES,
+);
+const USE_EMBEDDINGS = process.env.TABLE_SELECTION_EMBEDDINGS !== 'false';
+
+const embeddings = createEmbeddings();
+// `schema.table` -> { text, vector }; re-embedded when the description changes
+const tableVectors = new Map();
+
+// Lowercase words with a trailing plural `s` removed, so `orders` matches
+// `order_id` and `users` matches `user`
+const tokenize = text =>
+  (
+    String(text)
+      .toLowerCase()
+      .match(/[a-z0-9]+/g) || []
+  ).map(word => (word.length > 3 ? word.replace(/s$/, '') : word));
+
+// Table name hits weigh most, then schema and column names, then comments
+// and enums
+const lexicalScore = (questionTokens, table) => {
+  const nameTokens = new Set(tokenize(table.name));
+  const columnTokens = new Set([
+    ...tokenize(table.schema),
+    ...table.columns.flatMap(column => tokenize(column.name)),
+  ]);
+  const descriptionTokens = new Set(
+    tokenize(
+      [
+        table.comment,
+        ...table.columns.map(column => column.comment),
+        ...table.columns.flatMap(column => column.enumValues || []),
+      ]
+        .filter(Boolean)
+        .join(' '),
+    ),
+  );
+
+  return questionTokens.reduce((score, token) => {
+    if (nameTokens.has(token)) {
+      return score + 3;
+    }
+    if (columnTokens.has(token)) {
+      return score + 1;
+    }
+    if (descriptionTokens.has(token)) {
+      return score + 0.5;
+    }
+    return score;
+  }, 0);
+};
+
+const embeddingScores = async (question, tables, descriptions) => {
+  const keys = tables.map(table => table.qualifiedName);
+  const stale = keys
+    .map((_key, index) => index)
+    .filter(
+      index => tableVectors.get(keys[index])?.text !== descriptions[index],
+    );
+  if (stale.length > 0) {
+    const vectors = await embeddings.embedDocuments(
+      stale.map(index => descriptions[index]),
+    );
+    stale.forEach((index, position) => {
+      tableVectors.set(keys[index], {
+        text: descriptions[index],
+        vector: vectors[position],
+      });
+    });
+  }
+
+  const questionVector = await embeddings.embedQuery(question);
+  return keys.map(key =>
+    Math.max(0, cosineSimilarity(questionVector, tableVectors.get(key).vector)),
+  );
+};
+
+// Tables linked by a foreign key in either direction, by qualified name
+const buildNeighborMap = tables => {
+  const neighbors = new Map(
+    tables.map(table => [table.qualifiedName, new Set()]),
+  );
+  tables.forEach(table => {
+    table.foreignKeys.forEach(({ references }) => {
+      const target = `${references.schema}.${references.table}`;
+      if (neighbors.has(target) && target !== table.qualifiedName) {
+        neighbors.get(table.qualifiedName).add(target);
+        neighbors.get(target).add(table.qualifiedName);
+      }
+    });
+  });
+  return neighbors;
+};
+
+/**
+ * Picks the tables worth sending to the model when the whole schema does
+ * not fit in the token budget:
+ * 1. rank every table by lexical and embedding relevance to the question,
+ * 2. keep the best `seedCount` tables and add their foreign-key neighbors,
+ *    so join paths stay intact,
+ * 3. add the remaining relevant tables in score order until the budget is
+ *    used up.
+ * Embedding failures are logged and ranking falls back to lexical scores.
+ * @param {string} question - Text to rank against (question and history).
+ * @param {Array<object>} tables - Tables from `introspectSchema`.
+ * @param {{tokenBudget?: number, seedCount?: number, useEmbeddings?: boolean, service?: string}} [options]
+ * @returns {Promise<{tables: Array<object>, selection: {strategy: string, tokenBudget: number, estimatedTokens: number, selected: Array<{name: string, score: number, reason: string}>, dropped: string[]}}>}
+ */
+export const selectTables = async (
+  question,
+  tables,
+  {
+    tokenBudget = SCHEMA_TOKEN_BUDGET,
+    seedCount = SEED_TABLE_COUNT,
+    useEmbeddings = USE_EMBEDDINGS,
+    service = 'TABLE_SELECTOR',
+  } = {},
+) => {
+  const descriptions = tables.map(formatTableSchema);
+  const tokens = descriptions.map(estimateTokens);
+  const totalTokens = tokens.reduce((sum, count) => sum + count, 0);
+
+  if (totalTokens <= tokenBudget) {
+    return {
+      tables,
+      selection: {
+        strategy: 'all',
+        tokenBudget,
+        estimatedTokens: totalTokens,
+        selected: tables.map(table => ({
+          name: table.qualifiedName,
+          score: 1,
+          reason: 'schema fits the budget',
+        })),
+        dropped: [],
+      },
+    };
+  }
+
+  const questionTokens = tokenize(question);
+  const lexical = tables.map(table => lexicalScore(questionTokens, table));
+  const maxLexical = Math.max(...lexical, 1);
+
+  let semantic = null;
+  if (useEmbeddings) {
+    try {
+      semantic = await embeddingScores(question, tables, descriptions);
+    } catch (error) {
+      logger.warn('Embedding ranking failed, using lexical ranking only', {
+        error: error.message,
+        service,
+      });
+    }
+  }
+
+  const ranked = tables
+    .map((table, index) => {
+      const lexicalPart = lexical[index] / maxLexical;
+      const score = semantic
+        ? LEXICAL_WEIGHT * lexicalPart + (1 - LEXICAL_WEIGHT) * semantic[index]
+        : lexicalPart;
+      return {
+        index,
+        name: table.qualifiedName,
+        score,
+        reason: 'relevance to the question',
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  // Seeds and their foreign-key neighbors go first, then everything else by
+  // score, so a join table is never squeezed out by an unrelated table
+  const minScore = ranked[0].score * MIN_RELATIVE_SCORE;
+  const candidates = new Map();
+  const rankedByName = new Map(ranked.map(entry => [entry.name, entry]));
+  const neighbors = buildNeighborMap(tables);
+  ranked.slice(0, seedCount).forEach(seed => {
+    if (seed.score <= 0 || seed.score < minScore) {
+      return;
+    }
+    candidates.set(seed.name, seed);
+    neighbors.get(seed.name).forEach(neighborName => {
+      const neighbor = rankedByName.get(neighborName);
+      const inherited = seed.score * NEIGHBOR_SCORE_FACTOR;
+      if (!candidates.has(neighborName) && neighbor.score < inherited) {
+        candidates.set(neighborName, {
+          ...neighbor,
+          score: inherited,
+          reason: `foreign-key neighbor of ${seed.name}`,
+        });
+      } else if (!candidates.has(neighborName)) {
+        candidates.set(neighborName, neighbor);
+      }
+    });
+  });
+  const relevant = [
+    ...[...candidates.values()].sort((a, b) => b.score - a.score),
+    ...ranked.filter(
+      entry =>
+        !candidates.has(entry.name) &&
+        entry.score > 0 &&
+        entry.score >= minScore,
+    ),
+  ];
+  // Nothing matched the question at all: send as much of the schema as fits
+  // rather than an empty one
+  const ordered = relevant.length > 0 ? relevant : ranked;
+
+  const selected = [];
+  let usedTokens = 0;
+  ordered.forEach(entry => {
+    if (usedTokens + tokens[entry.index] <= tokenBudget) {
+      selected.push(entry);
+      usedTokens += tokens[entry.index];
+    }
+  });
+
+  const selectedNames = new Set(selected.map(entry => entry.name));
+  const dropped = tables
+    .map(table => table.qualifiedName)
+    .filter(name => !selectedNames.has(name));
+
+  logger.info('Pruned schema to fit the token budget', {
+    tokenBudget,
+    schemaTokens: totalTokens,
+    selectedTokens: usedTokens,
+    selectedTables: [...selectedNames],
+    droppedCount: dropped.length,
+    droppedTables: dropped,
+    rankedBy: semantic ? 'lexical+embedding' : 'lexical',
+    service,
+  });
+
+  return {
+    // Keep the original order so related tables stay next to each other
+    tables: tables.filter(table => selectedNames.has(table.qualifiedName)),
+    selection: {
+      strategy: semantic ? 'lexical+embedding' : 'lexical',
+      tokenBudget,
+      estimatedTokens: usedTokens,
+      selected: selected.map(({ name, score, reason }) => ({
+        name,
+        score: Number(score.toFixed(3)),
+        reason,
+      })),
+      dropped,
+    },
+  };
+};
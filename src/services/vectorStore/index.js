@@ -0,0 +1,77 @@
+import 'dotenv/config';
+import logger from '../../config/logger.js';
+
+// Backends are loaded on first use so unused clients are never imported
+const BACKENDS = {
+  pinecone: () => import('./pineconeStore.js'),
+  pgvector: () => import('./pgvectorStore.js'),
+  local: () => import('./localStore.js'),
+};
+
+// Index holding one vector per table summary
+export const TABLE_INDEX_NAME =
+  process.env.PINECONE_INDEX_NAME || 'table-metadata';
+// Index holding one vector per summarized query intent
+export const QUERY_INDEX_NAME =
+  process.env.PINECONE_QUERY_INDEX_NAME || 'query-intents';
+
+/**
+ * A backend module exports `createBackend()`, returning an object with:
+ *   upsert(indexName, namespace, records) - records are `{id, values, metadata}`
+ *   query(indexName, namespace, {vector, topK}) -> {matches: [{id, score, metadata}]}
+ *   deleteMany(indexName, namespace, ids)
+ *   listIds(indexName, namespace) -> ids of every record in the namespace
+ * Scores are cosine similarities, higher is closer.
+ */
+
+/**
+ * Creates a vector store with the Pinecone call shape
+ * (`store.index(name).namespace(ns).query(...)`), whatever the backend.
+ * @param {{backend?: string}} [options] - Defaults to `VECTOR_STORE`
+ *   (`pinecone`, `pgvector` or `local`).
+ */
+export const createVectorStore = ({
+  backend = process.env.VECTOR_STORE || 'pinecone',
+} = {}) => {
+  const name = backend.toLowerCase();
+  if (!BACKENDS[name]) {
+    throw new Error(
+      `Unknown vector store "${backend}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`,
+    );
+  }
+  let backendPromise;
+
+  const getBackend = () => {
+    backendPromise ??= BACKENDS[name]().then(module => {
+      logger.info('Vector store initialized', {
+        backend: name,
+        service: 'VECTOR_STORE',
+      });
+      return module.createBackend();
+    });
+    return backendPromise;
+  };
+
+  return {
+    backend: name,
+    index: indexName => ({
+      namespace: (namespace = '') => ({
+        upsert: async records =>
+          (await getBackend()).upsert(indexName, namespace, records),
+        query: async ({ vector, topK = 10 }) =>
+          (await getBackend()).query(indexName, namespace, { vector, topK }),
+        deleteMany: async ids =>
+          (await getBackend()).deleteMany(indexName, namespace, ids),
+        listIds: async () => (await getBackend()).listIds(indexName, namespace),
+      }),
+    }),
+  };
+};
+
+let vectorStore;
+
+// Shared store used by the generators, sync jobs and seed script
+export const getVectorStore = () => {
+  vectorStore ??= createVectorStore();
+  return vectorStore;
+};
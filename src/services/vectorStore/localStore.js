@@ -0,0 +1,109 @@
+import 'dotenv/config';
+import { existsSync } from 'fs';
+import { mkdir, readFile, rename, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { cosineSimilarity } from '../embeddings.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Go up three levels to the project root, then into `data/vectors`
+const storeDir =
+  process.env.VECTOR_STORE_DIR ||
+  path.join(__dirname, '..', '..', '..', 'data', 'vectors');
+
+/**
+ * In-process backend that keeps each index in a JSON file and searches it
+ * with brute-force cosine similarity. Meant for laptops and CI, not for
+ * large indexes. The cron process and the API server can share the files:
+ * an index is read again whenever its file changes, before every query and
+ * every write. Writes of two processes at the same instant can still race.
+ */
+export const createBackend = () => {
+  // indexName -> { mtimeMs, size, data: {[namespace]: {[id]: {values, metadata}}} }
+  const indexes = new Map();
+
+  const filePath = indexName =>
+    path.join(storeDir, `${indexName.replace(/[^\w.-]/g, '_')}.json`);
+
+  const load = async indexName => {
+    const file = filePath(indexName);
+    if (!existsSync(file)) {
+      indexes.delete(indexName);
+      return {};
+    }
+    const { mtimeMs, size } = await stat(file);
+    const cached = indexes.get(indexName);
+    if (cached?.mtimeMs === mtimeMs && cached.size === size) {
+      return cached.data;
+    }
+    const data = JSON.parse(await readFile(file, 'utf-8'));
+    indexes.set(indexName, { mtimeMs, size, data });
+    return data;
+  };
+
+  // indexName -> Promise of the last write; writes of an index run one at a
+  // time, each on the latest content of the file
+  const pendingWrites = new Map();
+
+  // Reads the index, applies `change` and writes it to a temp file first,
+  // so a crash never leaves a truncated index. The temp file is per
+  // process, since processes sharing the directory write independently.
+  const update = (indexName, change) => {
+    const file = filePath(indexName);
+    const write = (pendingWrites.get(indexName) ?? Promise.resolve())
+      .catch(() => {})
+      .then(async () => {
+        const data = await load(indexName);
+        change(data);
+        const temp = `${file}.${process.pid}.tmp`;
+        await mkdir(storeDir, { recursive: true });
+        await writeFile(temp, JSON.stringify(data));
+        await rename(temp, file);
+        const { mtimeMs, size } = await stat(file);
+        indexes.set(indexName, { mtimeMs, size, data });
+      })
+      .catch(error => {
+        // The cached copy holds the change the file does not
+        indexes.delete(indexName);
+        throw error;
+      });
+    pendingWrites.set(indexName, write);
+    return write;
+  };
+
+  // Reads see every write this process has started
+  const read = async indexName => {
+    await pendingWrites.get(indexName)?.catch(() => {});
+    return load(indexName);
+  };
+
+  return {
+    upsert: (indexName, namespace, records) =>
+      update(indexName, data => {
+        data[namespace] ??= {};
+        records.forEach(({ id, values, metadata = {} }) => {
+          data[namespace][id] = { values, metadata };
+        });
+      }),
+    query: async (indexName, namespace, { vector, topK }) => {
+      const data = await read(indexName);
+      const matches = Object.entries(data[namespace] || {})
+        .map(([id, { values, metadata }]) => ({
+          id,
+          score: cosineSimilarity(vector, values),
+          metadata,
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+      return { matches };
+    },
+    deleteMany: (indexName, namespace, ids) =>
+      update(indexName, data => {
+        ids.forEach(id => delete data[namespace]?.[id]);
+      }),
+    listIds: async (indexName, namespace) =>
+      Object.keys((await read(indexName))[namespace] || {}),
+  };
+};
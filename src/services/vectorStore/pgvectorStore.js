@@ -0,0 +1,108 @@
+import 'dotenv/config';
+import { createPool, envConnection } from '../../config/db.js';
+
+// Each index is one table; the name is reduced to a safe identifier
+const tableName = indexName =>
+  `"vectors_${indexName.replace(/\W/g, '_').toLowerCase()}"`;
+
+const toVectorLiteral = values => `[${values.join(',')}]`;
+
+/**
+ * PostgreSQL backend using the pgvector extension. Connects with
+ * PGVECTOR_DATABASE_URL, or the DB_* settings when it is not set.
+ * Tables are created on first use.
+ */
+export const createBackend = () => {
+  const pool = createPool(
+    process.env.PGVECTOR_DATABASE_URL
+      ? { connectionString: process.env.PGVECTOR_DATABASE_URL }
+      : envConnection,
+  );
+  const readyTables = new Map();
+
+  const ensureTable = indexName => {
+    if (!readyTables.has(indexName)) {
+      readyTables.set(
+        indexName,
+        pool
+          .query('CREATE EXTENSION IF NOT EXISTS vector')
+          .then(() =>
+            pool.query(
+              `CREATE TABLE IF NOT EXISTS ${tableName(indexName)} (
+                namespace TEXT NOT NULL,
+                id TEXT NOT NULL,
+                embedding vector NOT NULL,
+                metadata JSONB NOT NULL DEFAULT '{}',
+                PRIMARY KEY (namespace, id)
+              )`,
+            ),
+          )
+          .catch(error => {
+            // Allow the next call to try again
+            readyTables.delete(indexName);
+            throw error;
+          }),
+      );
+    }
+    return readyTables.get(indexName);
+  };
+
+  return {
+    upsert: async (indexName, namespace, records) => {
+      await ensureTable(indexName);
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        for (const { id, values, metadata = {} } of records) {
+          await client.query(
+            `INSERT INTO ${tableName(indexName)} (namespace, id, embedding, metadata)
+             VALUES ($1, $2, $3::vector, $4)
+             ON CONFLICT (namespace, id)
+             DO UPDATE SET embedding = EXCLUDED.embedding, metadata = EXCLUDED.metadata`,
+            [namespace, id, toVectorLiteral(values), metadata],
+          );
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+    query: async (indexName, namespace, { vector, topK }) => {
+      await ensureTable(indexName);
+      // `<=>` is cosine distance, so similarity is 1 - distance
+      const res = await pool.query(
+        `SELECT id, metadata, 1 - (embedding <=> $1::vector) AS score
+         FROM ${tableName(indexName)}
+         WHERE namespace = $2
+         ORDER BY embedding <=> $1::vector
+         LIMIT $3`,
+        [toVectorLiteral(vector), namespace, topK],
+      );
+      return {
+        matches: res.rows.map(({ id, metadata, score }) => ({
+          id,
+          score: Number(score),
+          metadata,
+        })),
+      };
+    },
+    deleteMany: async (indexName, namespace, ids) => {
+      await ensureTable(indexName);
+      await pool.query(
+        `DELETE FROM ${tableName(indexName)} WHERE namespace = $1 AND id = ANY($2)`,
+        [namespace, ids],
+      );
+    },
+    listIds: async (indexName, namespace) => {
+      await ensureTable(indexName);
+      const res = await pool.query(
+        `SELECT id FROM ${tableName(indexName)} WHERE namespace = $1`,
+        [namespace],
+      );
+      return res.rows.map(row => row.id);
+    },
+  };
+};
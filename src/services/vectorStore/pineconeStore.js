@@ -0,0 +1,39 @@
+import { Pinecone } from '@pinecone-database/pinecone';
+
+/**
+ * Pinecone backend. Reads PINECONE_API_KEY from the environment.
+ */
+export const createBackend = () => {
+  const pinecone = new Pinecone();
+  const target = (indexName, namespace) =>
+    pinecone.index(indexName).namespace(namespace);
+
+  return {
+    upsert: async (indexName, namespace, records) =>
+      target(indexName, namespace).upsert(records),
+    query: async (indexName, namespace, { vector, topK }) =>
+      target(indexName, namespace).query({
+        vector,
+        topK,
+        includeMetadata: true,
+      }),
+    deleteMany: async (indexName, namespace, ids) => {
+      if (ids.length > 0) {
+        await target(indexName, namespace).deleteMany(ids);
+      }
+    },
+    // Listing is only available on serverless indexes; pod-based ones throw
+    listIds: async (indexName, namespace) => {
+      const ids = [];
+      let paginationToken;
+      do {
+        const page = await target(indexName, namespace).listPaginated({
+          paginationToken,
+        });
+        ids.push(...(page.vectors ?? []).map(vector => vector.id));
+        paginationToken = page.pagination?.next;
+      } while (paginationToken);
+      return ids;
+    },
+  };
+};
@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+// Policies are read when the module loads
+process.env.POLICIES_CONFIG = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'config',
+  'policies.example.json',
+);
+const { createAccessContext } = await import(
+  '../src/services/accessControl.js'
+);
+const { parseSql } = await import('../src/services/sqlValidator.js');
+
+const tenant = createAccessContext({
+  id: 'acme-dashboard',
+  policy: 'tenant-analyst',
+  attributes: { tenant: 42 },
+});
+
+const applyRowFilters = (access, sql) =>
+  access.applyRowFilters(parseSql(sql)[0], 'postgresql', sql);
+
+describe('row filters', () => {
+  it('replaces a filtered table with a subquery under the same name', () => {
+    assert.equal(
+      applyRowFilters(tenant, 'SELECT id, total_amount FROM orders'),
+      'SELECT id, total_amount FROM (SELECT * FROM "public"."orders" WHERE tenant_id = 42) AS "orders"',
+    );
+  });
+
+  it('folds unquoted names to lower case like PostgreSQL', () => {
+    assert.equal(
+      applyRowFilters(tenant, 'SELECT id FROM ORDERS'),
+      'SELECT id FROM (SELECT * FROM "public"."orders" WHERE tenant_id = 42) AS "orders"',
+    );
+    assert.equal(
+      applyRowFilters(
+        tenant,
+        'SELECT O.ID, COUNT(*) AS N FROM Public.Orders O GROUP BY o.id ORDER BY N',
+      ),
+      'SELECT "o".ID, COUNT(*) AS "n" FROM (SELECT * FROM "public"."orders" WHERE tenant_id = 42) AS "o" GROUP BY "o".id ORDER BY N ASC',
+    );
+  });
+
+  it('keeps the case of quoted names', () => {
+    assert.equal(
+      applyRowFilters(tenant, 'SELECT "Id" FROM "Orders" AS "Recent"'),
+      'SELECT "Id" FROM (SELECT * FROM "public"."Orders" WHERE tenant_id = 42) AS "Recent"',
+    );
+  });
+
+  it('keeps aliases and join conditions', () => {
+    const sql = applyRowFilters(
+      tenant,
+      'SELECT u.name, o.total_amount FROM public.users u JOIN public.orders o ON o.user_id = u.id',
+    );
+
+    assert.match(
+      sql,
+      /FROM \(SELECT \* FROM "public"\."users" WHERE tenant_id = 42\) AS "u"/,
+    );
+    assert.match(
+      sql,
+      /JOIN \(SELECT \* FROM "public"\."orders" WHERE tenant_id = 42\) AS "o" ON "o"\.user_id = "u"\.id$/,
+    );
+  });
+
+  it('filters tables inside subqueries', () => {
+    assert.match(
+      applyRowFilters(
+        tenant,
+        'SELECT name FROM users WHERE id IN (SELECT user_id FROM orders)',
+      ),
+      /IN \(SELECT user_id FROM \(SELECT \* FROM "public"\."orders" WHERE tenant_id = 42\) AS "orders"\)/,
+    );
+  });
+
+  it('leaves CTE names and unfiltered tables alone', () => {
+    assert.equal(
+      applyRowFilters(tenant, 'SELECT name, price FROM products'),
+      null,
+    );
+    assert.match(
+      applyRowFilters(
+        tenant,
+        'WITH big AS (SELECT id FROM orders WHERE total_amount > 100) SELECT id FROM big',
+      ),
+      /FROM "big"$/,
+    );
+  });
+
+  it('binds caller attributes as literals', () => {
+    const quoted = createAccessContext({
+      id: 'other',
+      policy: 'tenant-analyst',
+      attributes: { tenant: "x' OR '1'='1" },
+    });
+
+    assert.match(
+      applyRowFilters(quoted, 'SELECT id FROM orders'),
+      /WHERE tenant_id = 'x'' OR ''1''=''1'\)/,
+    );
+  });
+
+  it('rejects callers without the attributes their filters need', () => {
+    assert.throws(
+      () => createAccessContext({ id: 'anon', policy: 'tenant-analyst' }),
+      error => error.status === 403 && /tenant/.test(error.message),
+    );
+  });
+
+  it('leaves every table unfiltered for a policy without row filters', () => {
+    const full = createAccessContext({ id: 'admin', policy: 'full-access' });
+
+    assert.equal(applyRowFilters(full, 'SELECT id FROM orders'), null);
+  });
+});
+
+describe('table and column rules', () => {
+  it('allows only the tables and columns of the policy', () => {
+    assert.equal(tenant.isTableAllowed('public', 'orders'), true);
+    assert.equal(tenant.isTableAllowed('public', 'order_items'), false);
+    assert.equal(
+      tenant.columnFilter.isColumnDenied('public', 'users', 'email'),
+      true,
+    );
+    assert.equal(
+      tenant.columnFilter.isColumnDenied('public', 'users', 'name'),
+      false,
+    );
+  });
+});
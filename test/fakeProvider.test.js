@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createProvider } from '../src/services/llm/fakeProvider.js';
+
+describe('fake LLM provider', () => {
+  it('answers with the first matching fixture, or the default response', async () => {
+    const provider = createProvider({
+      responses: [
+        { match: 'users', response: 'SELECT id FROM public.users' },
+        { match: 'u', response: 'SELECT 2' },
+      ],
+      defaultResponse: 'SELECT 1',
+    });
+
+    assert.equal(
+      await provider.generate('List USERS'),
+      'SELECT id FROM public.users',
+    );
+    assert.equal(await provider.generate('orders'), 'SELECT 1');
+  });
+
+  it('streams the response word by word', async () => {
+    const provider = createProvider({ defaultResponse: 'SELECT 1 AS one' });
+    const tokens = [];
+
+    const text = await provider.stream('anything', {
+      onToken: token => tokens.push(token),
+    });
+
+    assert.equal(text, 'SELECT 1 AS one');
+    assert.deepEqual(tokens, ['SELECT ', '1 ', 'AS ', 'one']);
+  });
+
+  it('keeps only the latest calls', async () => {
+    const provider = createProvider({ responses: [], maxCalls: 2 });
+
+    await provider.generate('first');
+    await provider.generate('second');
+    await provider.generate('third');
+
+    assert.deepEqual(provider.calls, ['second', 'third']);
+  });
+
+  it('clears recorded calls on reset', async () => {
+    const provider = createProvider({ responses: [] });
+    await provider.generate('first');
+
+    provider.resetCalls();
+    await provider.generate('second');
+
+    assert.deepEqual(provider.calls, ['second']);
+  });
+});
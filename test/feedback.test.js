@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const fixtures = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'fixtures',
+);
+const dataDir = mkdtempSync(path.join(tmpdir(), 'feedback-'));
+
+// Read when the modules load: a parser-only datasource, local stores and
+// fake embeddings, so no database or API key is needed
+Object.assign(process.env, {
+  DATASOURCES_CONFIG: path.join(fixtures, 'datasources.json'),
+  POLICIES_CONFIG: path.join(dataDir, 'no-policies.json'),
+  HISTORY_STORE: 'local',
+  HISTORY_FILE: path.join(dataDir, 'history.jsonl'),
+  VECTOR_STORE: 'local',
+  VECTOR_STORE_DIR: path.join(dataDir, 'vectors'),
+  EMBEDDINGS_PROVIDER: 'fake',
+  LLM_PROVIDER: 'fake',
+  JWT_SECRET: 'test-secret',
+});
+const { default: express } = await import('express');
+const { default: router } = await import('../src/routes/api.js');
+const { getHistoryStore } = await import('../src/services/historyStore.js');
+
+const encode = value =>
+  Buffer.from(JSON.stringify(value)).toString('base64url');
+const bearerToken = claims => {
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET)
+    .update(unsigned)
+    .digest('base64url');
+  return `Bearer ${unsigned}.${signature}`;
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', router);
+  server = app.listen(0);
+  await new Promise(resolve => {
+    server.once('listening', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+const recordQuestion = callerId =>
+  getHistoryStore().record({
+    datasource: 'demo',
+    callerId,
+    sessionId: null,
+    route: '/generate-sql',
+    question: 'How many orders are there?',
+    context: { historyTurns: 0 },
+    sql: 'SELECT 1',
+    status: 'valid',
+  });
+
+const sendFeedback = (historyId, headers = {}) =>
+  fetch(`${baseUrl}/api/feedback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({
+      historyId,
+      rating: 'down',
+      correctedSql: 'SELECT COUNT(*) FROM public.orders',
+    }),
+  });
+
+describe('POST /api/feedback', () => {
+  it('keeps corrected SQL of anonymous callers out of the examples', async () => {
+    const entry = await recordQuestion(null);
+
+    const response = await sendFeedback(entry.id);
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).exampleId, null);
+    const stored = await getHistoryStore().get(entry.id);
+    assert.equal(
+      stored.feedback.correctedSql,
+      'SELECT COUNT(*) FROM public.orders',
+    );
+  });
+
+  it('adds corrected SQL of authenticated callers to the examples', async () => {
+    const entry = await recordQuestion('analyst');
+
+    const response = await sendFeedback(entry.id, {
+      Authorization: bearerToken({ sub: 'analyst' }),
+    });
+
+    assert.equal(response.status, 200);
+    assert.match((await response.json()).exampleId, /^[0-9a-f]{32}$/);
+  });
+});
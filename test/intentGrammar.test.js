@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import { getDialect } from '../src/config/dialects.js';
+import { getGrammar } from '../src/config/grammars.js';
+import { buildSql, interpretQuestion } from '../src/services/intentGrammar.js';
+
+const { tables } = JSON.parse(
+  readFileSync(new URL('fixtures/demo-schema.json', import.meta.url), 'utf-8'),
+);
+
+// Column sampling finds no values, so filters come from the grammar only
+const pool = {
+  connect: async () => ({
+    query: async () => ({ rows: [], fields: [] }),
+    release: () => {},
+  }),
+};
+
+// Named after config/grammars/default.example.json, the demo grammar
+const demo = {
+  name: 'default.example',
+  dialect: getDialect('postgresql'),
+  pool,
+};
+
+const toSql = async (question, datasource = demo) =>
+  buildSql(
+    await interpretQuestion(question, {
+      datasource,
+      tables,
+      grammar: getGrammar(datasource),
+    }),
+  );
+
+describe('intent grammar', () => {
+  it('counts rows of a table named by a synonym', async () => {
+    assert.equal(
+      await toSql('How many customers are there?'),
+      'SELECT COUNT(*) AS total FROM public.users',
+    );
+  });
+
+  it('filters by values listed in the grammar', async () => {
+    assert.equal(
+      await toSql('show completed orders'),
+      "SELECT * FROM public.orders WHERE status = 'completed' LIMIT 100",
+    );
+    assert.equal(
+      await toSql('average price of gadgets'),
+      "SELECT AVG(price) AS average_price FROM public.products WHERE category = 'Electronics'",
+    );
+  });
+
+  it('sums the measure over a time range', async () => {
+    assert.equal(
+      await toSql('total revenue last 30 days'),
+      "SELECT SUM(total_amount) AS total_amount FROM public.orders WHERE created_at >= NOW() - INTERVAL '30 days'",
+    );
+  });
+
+  it('groups by a related table through its foreign key', async () => {
+    assert.equal(
+      await toSql('number of orders per user'),
+      'SELECT users.name, COUNT(*) AS total FROM public.orders AS orders JOIN public.users AS users ON users.id = orders.user_id GROUP BY users.id, users.name ORDER BY total DESC',
+    );
+  });
+
+  it('applies numeric comparisons to the measure', async () => {
+    assert.equal(
+      await toSql('products under $20'),
+      'SELECT * FROM public.products WHERE price < 20 LIMIT 100',
+    );
+  });
+
+  it('shows what a ranking ranks next to the number', async () => {
+    assert.equal(
+      await toSql('top 5 most expensive products'),
+      'SELECT name, price FROM public.products ORDER BY price DESC NULLS LAST LIMIT 5',
+    );
+    assert.equal(
+      await toSql('top 3 categories'),
+      'SELECT category, SUM(price) AS total_price FROM public.products GROUP BY category ORDER BY total_price DESC LIMIT 3',
+    );
+  });
+
+  it('applies comparisons with a fixed value to the column they name', async () => {
+    assert.equal(
+      await toSql('list products in stock'),
+      'SELECT * FROM public.products WHERE stock_quantity > 0 LIMIT 100',
+    );
+  });
+
+  it('derives names and roles from the schema without a grammar file', async () => {
+    const schemaOnly = { ...demo, name: 'schema-only' };
+    assert.equal(
+      await toSql('how many customers', schemaOnly),
+      'SELECT COUNT(*) AS total FROM public.users',
+    );
+    assert.equal(
+      await toSql('total revenue last 30 days', schemaOnly),
+      "SELECT SUM(total_amount) AS total_amount FROM public.orders WHERE created_at >= NOW() - INTERVAL '30 days'",
+    );
+    assert.equal(
+      await toSql('average over the last 2 weeks', schemaOnly),
+      "SELECT AVG(quantity) AS average_quantity FROM public.order_items WHERE created_at >= NOW() - INTERVAL '2 weeks'",
+    );
+  });
+
+  it('renders time ranges and ordering in the datasource dialect', async () => {
+    const mysql = { ...demo, dialect: getDialect('mysql') };
+    assert.equal(
+      await toSql('recent orders', mysql),
+      'SELECT * FROM public.orders WHERE created_at >= NOW() - INTERVAL 30 DAY ORDER BY created_at DESC LIMIT 100',
+    );
+    const trino = { ...demo, dialect: getDialect('trino') };
+    assert.equal(
+      await toSql('orders last quarter', trino),
+      "SELECT * FROM public.orders WHERE created_at >= date_add('quarter', -1, date_trunc('quarter', current_date)) AND created_at < date_trunc('quarter', current_date) LIMIT 100",
+    );
+  });
+
+  it('explains which tables it knows when none is named', async () => {
+    await assert.rejects(
+      toSql('what is the weather like'),
+      /Available tables: public\.users/,
+    );
+  });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+// The store directory is read when the module loads
+const storeDir = mkdtempSync(path.join(tmpdir(), 'vectors-'));
+process.env.VECTOR_STORE_DIR = storeDir;
+const { createBackend } = await import(
+  '../src/services/vectorStore/localStore.js'
+);
+
+describe('local vector store', () => {
+  it('keeps every record of concurrent upserts', async () => {
+    const backend = createBackend();
+
+    await Promise.all(
+      Array.from({ length: 20 }, (_, index) =>
+        backend.upsert('tables', 'demo', [
+          { id: `t${index}`, values: [index, 1], metadata: { index } },
+        ]),
+      ),
+    );
+
+    const saved = JSON.parse(
+      readFileSync(path.join(storeDir, 'tables.json'), 'utf-8'),
+    );
+    assert.equal(Object.keys(saved.demo).length, 20);
+  });
+
+  it('ranks records by cosine similarity', async () => {
+    const backend = createBackend();
+    await backend.upsert('ranked', '', [
+      { id: 'x', values: [1, 0] },
+      { id: 'y', values: [0, 1] },
+    ]);
+
+    const { matches } = await backend.query('ranked', '', {
+      vector: [0.1, 1],
+      topK: 1,
+    });
+
+    assert.deepEqual(
+      matches.map(match => match.id),
+      ['y'],
+    );
+  });
+
+  it('deletes records by id', async () => {
+    const backend = createBackend();
+    await backend.upsert('deleted', '', [
+      { id: 'x', values: [1, 0] },
+      { id: 'y', values: [0, 1] },
+    ]);
+
+    await backend.deleteMany('deleted', '', ['x']);
+
+    const saved = JSON.parse(
+      readFileSync(path.join(storeDir, 'deleted.json'), 'utf-8'),
+    );
+    assert.deepEqual(Object.keys(saved['']), ['y']);
+  });
+
+  it('sees and keeps the writes of another process', async () => {
+    // Two backends stand for the cron process and the API server
+    const cron = createBackend();
+    const server = createBackend();
+    await server.upsert('shared', '', [{ id: 'seeded', values: [1, 0] }]);
+    assert.deepEqual(await cron.listIds('shared', ''), ['seeded']);
+
+    await cron.upsert('shared', '', [{ id: 'synced', values: [0, 1] }]);
+    const { matches } = await server.query('shared', '', {
+      vector: [0, 1],
+      topK: 1,
+    });
+    assert.deepEqual(
+      matches.map(match => match.id),
+      ['synced'],
+    );
+
+    await server.upsert('shared', '', [{ id: 'example', values: [1, 1] }]);
+    const saved = JSON.parse(
+      readFileSync(path.join(storeDir, 'shared.json'), 'utf-8'),
+    );
+    assert.deepEqual(Object.keys(saved[''] ?? {}).sort(), [
+      'example',
+      'seeded',
+      'synced',
+    ]);
+  });
+});
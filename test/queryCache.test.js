@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createMemoryQueryCache } from '../src/services/queryCache.js';
+
+const context = {
+  datasource: 'demo',
+  scope: null,
+  strategies: 'rule-based',
+  schemaVersion: 'v1',
+};
+
+// Embeds a question as the counts of a few words, and counts its calls
+const wordEmbeddings = ({ delayMs = 0 } = {}) => {
+  const words = ['orders', 'users', 'count', 'last', 'week'];
+  const embeddings = {
+    calls: 0,
+    embedQuery: async question => {
+      embeddings.calls += 1;
+      await new Promise(resolve => {
+        setTimeout(resolve, delayMs);
+      });
+      return words.map(word => (question.toLowerCase().includes(word) ? 1 : 0));
+    },
+  };
+  return embeddings;
+};
+
+const createCache = options =>
+  createMemoryQueryCache({ similarityThreshold: 0.9, ...options });
+
+// Lets the background embedding of stored entries finish
+const settle = () =>
+  new Promise(resolve => {
+    setTimeout(resolve, 20);
+  });
+
+describe('query cache', () => {
+  it('answers the same question from the first level', async () => {
+    const cache = createCache({ embeddings: wordEmbeddings() });
+    await cache.store('Count users', context, { sql: 'SELECT 1' });
+
+    const { hit } = await cache.lookup('count   USERS?', context);
+
+    assert.equal(hit.level, 'exact');
+    assert.equal(hit.entry.generation.sql, 'SELECT 1');
+  });
+
+  it('does not embed questions while no entry could match', async () => {
+    const embeddings = wordEmbeddings();
+    const cache = createCache({ embeddings });
+
+    const { hit } = await cache.lookup('count orders', context);
+    await cache.store('count users', { ...context, datasource: 'other' }, {});
+    await settle();
+    embeddings.calls = 0;
+    await cache.lookup('count orders', context);
+
+    assert.equal(hit, null);
+    assert.equal(embeddings.calls, 0);
+  });
+
+  it('matches a similar question once stored entries are embedded', async () => {
+    const cache = createCache({ embeddings: wordEmbeddings() });
+    await cache.store('count orders last week', context, { sql: 'SELECT 2' });
+    await settle();
+
+    const { hit } = await cache.lookup('orders last week count', context);
+
+    assert.equal(hit.level, 'semantic');
+    assert.equal(hit.entry.generation.sql, 'SELECT 2');
+  });
+
+  it('misses instead of waiting for a slow embedding', async () => {
+    const cache = createCache({
+      embeddings: wordEmbeddings({ delayMs: 200 }),
+      embedTimeoutMs: 20,
+    });
+    await cache.store(
+      'count orders',
+      { ...context, embedding: [1, 1, 1, 0, 0] },
+      {},
+    );
+    const startedAt = Date.now();
+
+    const { hit, embedding } = await cache.lookup('orders count', context);
+
+    assert.equal(hit, null);
+    assert.equal(embedding, null);
+    assert.ok(Date.now() - startedAt < 150);
+  });
+});
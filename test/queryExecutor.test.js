@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import pg from 'pg';
+import { executeReadOnlyQuery } from '../src/services/queryExecutor.js';
+
+const { INT4, INT8, TEXT } = pg.types.builtins;
+
+// Answers the capped query with `result`, as pg does with rowMode 'array'
+const fakeDatasource = result => {
+  const queries = [];
+  const client = {
+    query: async query => {
+      queries.push(query);
+      return typeof query === 'object' ? result : {};
+    },
+    release: () => {},
+  };
+  return {
+    queries,
+    datasource: { name: 'test', pool: { connect: async () => client } },
+  };
+};
+
+describe('executeReadOnlyQuery', () => {
+  it('keeps columns that share a name', async () => {
+    const { datasource } = fakeDatasource({
+      fields: [
+        { name: 'id', dataTypeID: INT4 },
+        { name: 'id', dataTypeID: INT4 },
+        { name: 'id_2', dataTypeID: TEXT },
+      ],
+      rows: [[1, 7, 'x']],
+    });
+
+    const result = await executeReadOnlyQuery(
+      'SELECT u.id, o.id, o.note AS id_2 FROM users u JOIN orders o ON o.user_id = u.id',
+      { datasource },
+    );
+
+    assert.deepEqual(
+      result.columns.map(column => column.name),
+      ['id', 'id_2', 'id_2_2'],
+    );
+    assert.deepEqual(result.rows, [{ id: 1, id_2: 7, id_2_2: 'x' }]);
+  });
+
+  it('caps rows and runs in a read-only transaction', async () => {
+    const { datasource, queries } = fakeDatasource({
+      fields: [{ name: 'n', dataTypeID: INT8 }],
+      rows: [['1'], ['2'], ['3']],
+    });
+
+    const result = await executeReadOnlyQuery('SELECT n FROM t;', {
+      datasource,
+      maxRows: 2,
+    });
+
+    assert.deepEqual(result.rows, [{ n: 1 }, { n: 2 }]);
+    assert.equal(result.truncated, true);
+    assert.equal(queries[0], 'BEGIN READ ONLY');
+    assert.equal(
+      queries[2].text,
+      'SELECT * FROM (SELECT n FROM t) AS capped_result LIMIT 3',
+    );
+    assert.equal(queries.at(-1), 'ROLLBACK');
+  });
+});
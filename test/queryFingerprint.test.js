@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  fingerprintQuery,
+  normalizeQueryShape,
+} from '../src/services/queryFingerprint.js';
+
+describe('normalizeQueryShape', () => {
+  it('ignores literals, aliases, IN-list lengths, case and quoting', () => {
+    const shape = 'select t1.id from orders t1 where t1.status in (?) limit ?';
+
+    assert.equal(
+      normalizeQueryShape(
+        "SELECT o.id FROM orders o WHERE o.status IN ('a', 'b') LIMIT 5",
+      ),
+      shape,
+    );
+    assert.equal(
+      normalizeQueryShape(
+        'select x.id from "orders" as x where x.status in (\'c\') limit 10',
+      ),
+      shape,
+    );
+  });
+
+  it('renames column aliases', () => {
+    assert.equal(
+      normalizeQueryShape(
+        'SELECT COUNT(*) AS n FROM orders GROUP BY status ORDER BY n DESC',
+      ),
+      normalizeQueryShape(
+        'SELECT COUNT(*) AS total FROM orders GROUP BY status ORDER BY total DESC',
+      ),
+    );
+  });
+
+  it('treats placeholders of sanitized queries like literals', () => {
+    assert.equal(
+      normalizeQueryShape('SELECT id FROM users WHERE age > :number'),
+      normalizeQueryShape('SELECT id FROM users WHERE age > 42'),
+    );
+  });
+});
+
+describe('fingerprintQuery', () => {
+  it('tells different shapes apart', () => {
+    assert.equal(
+      fingerprintQuery('SELECT id FROM users WHERE id = 1'),
+      fingerprintQuery('select id from users where id=2'),
+    );
+    assert.notEqual(
+      fingerprintQuery('SELECT id FROM users WHERE id = 1'),
+      fingerprintQuery('SELECT id FROM orders WHERE id = 1'),
+    );
+    assert.match(fingerprintQuery('SELECT 1'), /^[0-9a-f]{32}$/);
+  });
+});
@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  compileRedactions,
+  sanitizeQuery,
+  tokenizeSql,
+} from '../src/services/querySanitizer.js';
+
+const sanitized = sql => sanitizeQuery(sql).sql;
+
+describe('tokenizeSql', () => {
+  it('gives back the input when the tokens are joined', () => {
+    const sql =
+      "SELECT \"Name\", e'it\\'s' -- note\nFROM t /* c */ WHERE x = $1 AND y = $$a$$";
+
+    assert.equal(
+      tokenizeSql(sql)
+        .map(token => token.text)
+        .join(''),
+      sql,
+    );
+  });
+
+  it('reads quoted identifiers, strings and parameters', () => {
+    const types = tokenizeSql('"a""b" \'it\'\'s\' $2 $tag$x$tag$')
+      .filter(token => token.type !== 'space')
+      .map(({ type, text }) => [type, text]);
+
+    assert.deepEqual(types, [
+      ['quoted', '"a""b"'],
+      ['string', "'it''s'"],
+      ['parameter', '$2'],
+      ['string', '$tag$x$tag$'],
+    ]);
+  });
+});
+
+describe('sanitizeQuery', () => {
+  it('replaces literals with typed placeholders', () => {
+    const result = sanitizeQuery(
+      "SELECT id FROM orders WHERE status IN ('paid', 'sent') AND total > 10.5 AND created_at > '2024-01-01'",
+    );
+
+    assert.equal(
+      result.sql,
+      'SELECT id FROM orders WHERE status IN (:string, :string) AND total > :number AND created_at > :date',
+    );
+    assert.deepEqual(result.placeholders, { string: 2, number: 1, date: 1 });
+  });
+
+  it('keeps LIMIT and OFFSET counts', () => {
+    assert.equal(
+      sanitized('SELECT id FROM users WHERE age > 30 LIMIT 10 OFFSET 20'),
+      'SELECT id FROM users WHERE age > :number LIMIT 10 OFFSET 20',
+    );
+  });
+
+  it('folds typed literals into one placeholder', () => {
+    assert.equal(
+      sanitized(
+        "SELECT 1 FROM t WHERE d > DATE '2024-01-01' AND i < INTERVAL '3 days'",
+      ),
+      'SELECT :number FROM t WHERE d > :date AND i < :interval',
+    );
+  });
+
+  it('replaces prefixed and separated numbers as a whole', () => {
+    assert.equal(
+      sanitized(
+        'SELECT id FROM t WHERE a = 0x1F AND b = 0o17 AND c = 0b101 AND d > 1_000.5e1_0',
+      ),
+      'SELECT id FROM t WHERE a = :number AND b = :number AND c = :number AND d > :number',
+    );
+  });
+
+  it('replaces a number that letters run into', () => {
+    assert.equal(
+      sanitized('SELECT id FROM t WHERE a=100and b=2 OR c=0x1Gx'),
+      'SELECT id FROM t WHERE a=:number and b=:number OR c=:number Gx',
+    );
+  });
+
+  it('ends a number where letters run into it', () => {
+    assert.deepEqual(
+      tokenizeSql('12abc 0x1G').map(({ type, text }) => [type, text]),
+      [
+        ['number', '12'],
+        ['identifier', 'abc'],
+        ['space', ' '],
+        ['number', '0x1'],
+        ['identifier', 'G'],
+      ],
+    );
+  });
+
+  it('drops comments and keeps parameters and quoted names', () => {
+    assert.equal(
+      sanitized('SELECT "Email" /* secret */ FROM users -- x\nWHERE id = $1'),
+      'SELECT "Email"   FROM users  \nWHERE id = $1',
+    );
+  });
+
+  it('reports the redacted columns the query reads', () => {
+    const redactions = compileRedactions(['users.email', '*.ssn']);
+
+    assert.deepEqual(
+      sanitizeQuery("SELECT email FROM users WHERE email = 'a@b.c'", {
+        redactions,
+      }).redactedColumns,
+      ['users.email'],
+    );
+    assert.deepEqual(
+      sanitizeQuery('SELECT email FROM orders', { redactions }).redactedColumns,
+      [],
+    );
+  });
+});
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const fixtures = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'fixtures',
+);
+
+// Datasources are read when the module loads
+process.env.DATASOURCES_CONFIG = path.join(fixtures, 'datasources.json');
+const { getDatasource } = await import('../src/config/datasources.js');
+const { readSchemaFile } = await import('../src/config/schemaFiles.js');
+const { introspectSchema } = await import(
+  '../src/services/schemaIntrospection.js'
+);
+
+describe('static schema files', () => {
+  it('introspects a datasource without a connector from its schema file', async () => {
+    const tables = await introspectSchema(getDatasource('demo'));
+
+    assert.deepEqual(
+      tables.map(table => table.qualifiedName),
+      ['public.users', 'public.products', 'public.orders'],
+    );
+    const users = tables.find(table => table.name === 'users');
+    assert.ok(!users.columns.some(column => column.name === 'email'));
+    assert.deepEqual(users.uniqueConstraints, []);
+  });
+
+  it('fills in defaults for optional fields', () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'schema-file-'));
+    const file = path.join(dir, 'schema.json');
+    writeFileSync(
+      file,
+      JSON.stringify({
+        tables: [{ name: 'events', columns: [{ name: 'id', type: 'BIGINT' }] }],
+      }),
+    );
+
+    assert.deepEqual(readSchemaFile(file), [
+      {
+        name: 'events',
+        schema: 'public',
+        qualifiedName: 'public.events',
+        kind: 'table',
+        comment: null,
+        columns: [
+          {
+            name: 'id',
+            type: 'bigint',
+            nullable: true,
+            comment: null,
+            enumValues: null,
+          },
+        ],
+        primaryKey: [],
+        foreignKeys: [],
+        uniqueConstraints: [],
+        indexes: [],
+      },
+    ]);
+  });
+
+  it('rejects malformed files', () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'schema-file-'));
+    const file = path.join(dir, 'schema.json');
+    writeFileSync(file, JSON.stringify({ tables: [{ name: 'events' }] }));
+
+    assert.throws(
+      () => readSchemaFile(file),
+      /Invalid schema file .*: table #1 needs a "name" and "columns"/,
+    );
+  });
+
+  it('refuses to load a datasource without a connector or schema file', () => {
+    const load = () =>
+      execFileSync(
+        process.execPath,
+        ['--input-type=module', '-e', "import './src/config/datasources.js';"],
+        {
+          cwd: path.join(fixtures, '..', '..'),
+          env: {
+            ...process.env,
+            DATASOURCES_CONFIG: path.join(
+              fixtures,
+              'datasources-without-schema.json',
+            ),
+          },
+          stdio: 'pipe',
+        },
+      );
+
+    assert.throws(load, error =>
+      /Datasource "lake" uses Presto\/Trino, which has no database connector/.test(
+        error.stderr.toString(),
+      ),
+    );
+  });
+});
@@ -0,0 +1,164 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const fixtures = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'fixtures',
+);
+const dataDir = mkdtempSync(path.join(tmpdir(), 'sql-generator-'));
+
+// Anonymous callers may use the id and name of users only
+const policiesFile = path.join(dataDir, 'policies.json');
+writeFileSync(
+  policiesFile,
+  JSON.stringify({
+    anonymousPolicy: 'viewer',
+    policies: {
+      viewer: {
+        tables: {
+          'public.users': { columns: ['id', 'name'] },
+          'public.orders': {},
+        },
+      },
+    },
+  }),
+);
+const llmFixtures = path.join(dataDir, 'llm-fixtures.json');
+writeFileSync(
+  llmFixtures,
+  JSON.stringify([
+    {
+      match: 'names of all users',
+      response: '<@query@>SELECT "name" FROM "public"."users"</@query@>',
+    },
+  ]),
+);
+
+// Read when the modules load: the parser-only demo datasource, a local
+// vector store, fake embeddings and a fake LLM that explains itself
+// unless a fixture matches
+Object.assign(process.env, {
+  DATASOURCES_CONFIG: path.join(fixtures, 'datasources.json'),
+  POLICIES_CONFIG: policiesFile,
+  HISTORY_STORE: 'local',
+  HISTORY_FILE: path.join(dataDir, 'history.jsonl'),
+  QUERY_CACHE_ENABLED: 'false',
+  VECTOR_STORE: 'local',
+  VECTOR_STORE_DIR: path.join(dataDir, 'vectors'),
+  EMBEDDINGS_PROVIDER: 'fake',
+  LLM_PROVIDER: 'fake',
+  FAKE_LLM_FIXTURES: llmFixtures,
+  FAKE_LLM_DEFAULT_RESPONSE:
+    '<@explanation@>Only public.users.status could tell, and it is not listed.',
+});
+const { default: express } = await import('express');
+const { default: router } = await import('../src/routes/api.js');
+const { getDatasource } = await import('../src/config/datasources.js');
+const { createAccessContext } = await import(
+  '../src/services/accessControl.js'
+);
+const { createEmbeddings } = await import('../src/services/embeddings.js');
+const { getFakeProvider } = await import('../src/services/llm/fakeProvider.js');
+const { generateSqlFromQuestion } = await import(
+  '../src/services/sqlGenerator.js'
+);
+const { getVectorStore, TABLE_INDEX_NAME } = await import(
+  '../src/services/vectorStore/index.js'
+);
+
+// Summaries as the schema sync stores them, written from every column
+const STORED_TABLES = [
+  {
+    name: 'public.users',
+    schemaName: 'public',
+    tableName: 'users',
+    summary: 'Registered users and the status of their account.',
+    schema: 'Stored users schema',
+  },
+  {
+    name: 'public.orders',
+    schemaName: 'public',
+    tableName: 'orders',
+    summary: 'Orders placed by users.',
+    schema: 'Stored orders schema',
+  },
+];
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const embeddings = createEmbeddings();
+  await getVectorStore()
+    .index(TABLE_INDEX_NAME)
+    .namespace('demo')
+    .upsert(
+      await Promise.all(
+        STORED_TABLES.map(async metadata => ({
+          id: metadata.name,
+          values: await embeddings.embedQuery(metadata.summary),
+          metadata,
+        })),
+      ),
+    );
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', router);
+  server = app.listen(0);
+  await new Promise(resolve => {
+    server.once('listening', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+describe('RAG generator', () => {
+  it('narrows retrieved tables to the columns of the caller', async () => {
+    const result = await generateSqlFromQuestion(
+      'What are the names of all users?',
+      {
+        datasource: getDatasource('demo'),
+        access: createAccessContext({ id: 'anonymous', policy: 'viewer' }),
+      },
+    );
+
+    const prompt = getFakeProvider('SQL_RAG').calls.at(-1);
+    // The users summary names a hidden column, the orders one does not
+    assert.doesNotMatch(prompt, /status of their account/);
+    assert.match(prompt, /Orders placed by users\./);
+    // Schemas come from the introspected schema, not the stored text
+    assert.doesNotMatch(prompt, /Stored (users|orders) schema/);
+    assert.match(
+      prompt,
+      /"schema": "Table: public\.users\\nColumns: id \(integer, PK\), name \(character varying\(255\)\)"/,
+    );
+    assert.equal(result.sql, 'SELECT "name" FROM "public"."users"');
+  });
+});
+
+describe('POST /api/generate-sql', () => {
+  it('gives policy-restricted callers only a generic error', async () => {
+    const response = await fetch(`${baseUrl}/api/generate-sql`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        question: 'Which users are inactive?',
+        datasource: 'demo',
+        strategy: 'rag',
+      }),
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 422);
+    assert.equal(body.error, 'Failed to generate a valid SQL query.');
+    assert.deepEqual(Object.keys(body).sort(), ['error', 'historyId']);
+  });
+});
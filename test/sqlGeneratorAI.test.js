@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const fixtures = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'fixtures',
+);
+
+// Read when the modules load: the parser-only demo datasource and a fake
+// LLM answering with a fenced query, as models often do
+Object.assign(process.env, {
+  DATASOURCES_CONFIG: path.join(fixtures, 'datasources.json'),
+  EMBEDDINGS_PROVIDER: 'fake',
+  LLM_PROVIDER: 'fake',
+  FAKE_LLM_DEFAULT_RESPONSE:
+    '```sql\nSELECT name FROM public.users WHERE id = 7 LIMIT 100\n```',
+});
+const { getDatasource } = await import('../src/config/datasources.js');
+const { getFakeProvider } = await import('../src/services/llm/fakeProvider.js');
+const { generateSqlFromQuestion } = await import(
+  '../src/services/sqlGeneratorAI.js'
+);
+
+describe('full-schema generator', () => {
+  it('prompts with the allowed schema and returns the validated SQL', async () => {
+    const question = 'What is the name of user 7?';
+    const result = await generateSqlFromQuestion(question, {
+      datasource: getDatasource('demo'),
+    });
+
+    const { calls } = getFakeProvider('SQL_AI');
+    assert.equal(calls.length, 1);
+    const [prompt] = calls;
+    assert.match(prompt, /You are a Presto\/Trino expert/);
+    assert.match(prompt, /public\.users/);
+    assert.match(prompt, /public\.orders/);
+    assert.match(prompt, /USER QUESTION:\nWhat is the name of user 7\?/);
+    // Denied by the datasource config
+    assert.doesNotMatch(prompt, /order_items/);
+    assert.doesNotMatch(prompt, /email/);
+
+    assert.equal(
+      result.sql,
+      'SELECT name FROM public.users WHERE id = 7 LIMIT 100',
+    );
+    assert.equal(result.datasource, 'demo');
+    assert.equal(result.dialect, 'trino');
+    assert.equal(result.attempts.length, 1);
+    assert.equal(result.usage.calls, 1);
+  });
+});
@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  collectColumnViolations,
+  extractTableReferences,
+  parseSql,
+  validateReadOnlySql,
+} from '../src/services/sqlValidator.js';
+
+const reasonCodes = (sql, options) =>
+  validateReadOnlySql(sql, options).reasons.map(reason => reason.code);
+
+describe('validateReadOnlySql', () => {
+  it('accepts a single SELECT', () => {
+    const result = validateReadOnlySql(
+      'SELECT u.name, COUNT(*) FROM public.users u JOIN orders o ON o.user_id = u.id GROUP BY u.name',
+    );
+
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.reasons, []);
+    assert.equal(result.ast.type, 'select');
+  });
+
+  it('does not inspect string literals', () => {
+    assert.deepEqual(
+      reasonCodes("SELECT id FROM orders WHERE note = ' update; drop '"),
+      [],
+    );
+  });
+
+  it('rejects statements other than SELECT', () => {
+    assert.deepEqual(reasonCodes('DELETE FROM users'), [
+      'NON_SELECT_STATEMENT',
+    ]);
+    assert.deepEqual(reasonCodes("UPDATE users SET name = 'x'"), [
+      'NON_SELECT_STATEMENT',
+    ]);
+  });
+
+  it('rejects several statements', () => {
+    assert.ok(
+      reasonCodes('SELECT 1; DROP TABLE users').includes('MULTIPLE_STATEMENTS'),
+    );
+  });
+
+  it('rejects writes nested in a CTE', () => {
+    assert.equal(
+      validateReadOnlySql(
+        'WITH gone AS (DELETE FROM users RETURNING id) SELECT id FROM gone',
+      ).isValid,
+      false,
+    );
+  });
+
+  it('rejects SELECT INTO', () => {
+    assert.deepEqual(reasonCodes('SELECT id INTO backup FROM users'), [
+      'SELECT_INTO',
+    ]);
+  });
+
+  it('rejects denylisted functions', () => {
+    assert.deepEqual(reasonCodes('SELECT pg_sleep(10)'), [
+      'FORBIDDEN_FUNCTION',
+    ]);
+    assert.deepEqual(
+      reasonCodes("SELECT pg_read_file('/etc/passwd') FROM users"),
+      ['FORBIDDEN_FUNCTION'],
+    );
+  });
+
+  it('reports unparsable SQL', () => {
+    const result = validateReadOnlySql('SELEC id FROM');
+
+    assert.equal(result.isValid, false);
+    assert.deepEqual(
+      result.reasons.map(reason => reason.code),
+      ['PARSE_ERROR'],
+    );
+    assert.equal(result.ast, null);
+  });
+
+  it('parses with the given dialect', () => {
+    assert.deepEqual(
+      reasonCodes('SELECT `name` FROM `users` LIMIT 5', { dialect: 'mysql' }),
+      [],
+    );
+  });
+});
+
+describe('extractTableReferences', () => {
+  it('lists tables with their schema, skipping CTE names', () => {
+    const [ast] = parseSql(
+      'WITH recent AS (SELECT user_id FROM public.orders) SELECT u.name FROM users u JOIN recent r ON r.user_id = u.id',
+    );
+
+    const tables = extractTableReferences(ast).map(({ schema, table }) =>
+      [schema, table].filter(Boolean).join('.'),
+    );
+
+    assert.deepEqual(tables.sort(), ['public.orders', 'users']);
+  });
+});
+
+describe('collectColumnViolations', () => {
+  const filter = {
+    label: 'policy "test"',
+    isColumnDenied: (schema, table, column) =>
+      table === 'users' && column === 'email',
+    hasDeniedColumns: (schema, table) => table === 'users',
+  };
+  const violations = sql =>
+    collectColumnViolations(parseSql(sql)[0], filter).map(
+      ({ code, column }) => [code, column ?? null],
+    );
+
+  it('reports denied columns through aliases', () => {
+    assert.deepEqual(violations('SELECT u.email FROM users u'), [
+      ['COLUMN_NOT_ALLOWED', 'email'],
+    ]);
+  });
+
+  it('refuses * on tables with denied columns', () => {
+    assert.deepEqual(violations('SELECT * FROM users'), [
+      ['SELECT_STAR_NOT_ALLOWED', null],
+    ]);
+    assert.deepEqual(violations('SELECT * FROM orders'), []);
+  });
+});
@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const fixtures = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'fixtures',
+);
+const dataDir = mkdtempSync(path.join(tmpdir(), 'schema-sync-'));
+const stateFile = path.join(dataDir, 'schema-sync-state.json');
+const tableStandardFile = path.join(dataDir, 'table-standard.json');
+writeFileSync(tableStandardFile, '{}');
+
+// Read when the modules load: the parser-only demo datasource, a local
+// vector store, fake embeddings and a fake LLM for the summaries
+Object.assign(process.env, {
+  DATASOURCES_CONFIG: path.join(fixtures, 'datasources.json'),
+  VECTOR_STORE: 'local',
+  VECTOR_STORE_DIR: path.join(dataDir, 'vectors'),
+  EMBEDDINGS_PROVIDER: 'fake',
+  LLM_PROVIDER: 'fake',
+  SCHEMA_SYNC_STATE_FILE: stateFile,
+  TABLE_STANDARD_FILE: tableStandardFile,
+});
+const { getVectorStore, TABLE_INDEX_NAME } = await import(
+  '../src/services/vectorStore/index.js'
+);
+const { runSchemaSync } = await import('../src/scheduler/syncSchema.js');
+
+// The demo datasource denies order_items
+const DEMO_TABLES = ['public.orders', 'public.products', 'public.users'];
+
+const store = getVectorStore();
+const tableIndex = store.index(TABLE_INDEX_NAME).namespace('demo');
+
+const syncedTables = () =>
+  Object.keys(
+    JSON.parse(readFileSync(stateFile, 'utf-8')).datasources.demo.tables,
+  ).sort();
+
+describe('runSchemaSync', () => {
+  it('replaces legacy bare-name vectors and keeps seeded ones', async () => {
+    const vector = { values: [1, 0], metadata: {} };
+    await tableIndex.upsert([
+      { id: 'users', ...vector },
+      // Seeded for a table introspection does not return
+      { id: 'public.report_archive', ...vector },
+    ]);
+
+    const [report] = await runSchemaSync({ datasource: 'demo' });
+
+    assert.deepEqual(report.added.sort(), DEMO_TABLES);
+    assert.deepEqual(report.removed, ['users']);
+    assert.deepEqual(
+      (await tableIndex.listIds()).sort(),
+      [...DEMO_TABLES, 'public.report_archive'].sort(),
+    );
+  });
+
+  it('deletes tables of the last sync that are gone', async () => {
+    const state = JSON.parse(readFileSync(stateFile, 'utf-8'));
+    state.datasources.demo.tables['public.invoices'] = {
+      fingerprint: 'dropped since',
+      syncedAt: new Date().toISOString(),
+    };
+    writeFileSync(stateFile, JSON.stringify(state));
+    await tableIndex.upsert([{ id: 'public.invoices', values: [0, 1] }]);
+
+    const [report] = await runSchemaSync({ datasource: 'demo' });
+
+    assert.deepEqual(report.removed, ['public.invoices']);
+    assert.equal(report.unchanged, DEMO_TABLES.length);
+    assert.deepEqual(syncedTables(), DEMO_TABLES);
+    assert.ok((await tableIndex.listIds()).includes('public.report_archive'));
+  });
+
+  it('keeps what a cancelled sync did', async t => {
+    rmSync(stateFile);
+    const controller = new AbortController();
+    // Cancels the sync once its first table is upserted
+    const { index } = store;
+    t.mock.method(store, 'index', name => {
+      const { namespace } = index(name);
+      return {
+        namespace: ns => {
+          const target = namespace(ns);
+          return {
+            ...target,
+            upsert: async records => {
+              await target.upsert(records);
+              controller.abort();
+            },
+          };
+        },
+      };
+    });
+    const reports = [];
+    await assert.rejects(
+      runSchemaSync({
+        datasource: 'demo',
+        signal: controller.signal,
+        onReport: report => reports.push(report),
+      }),
+      { name: 'AbortError' },
+    );
+    t.mock.restoreAll();
+
+    assert.equal(reports.length, 1);
+    assert.equal(reports[0].cancelled, true);
+    assert.equal(reports[0].added.length, 1);
+    assert.deepEqual(syncedTables(), reports[0].added);
+
+    const [report] = await runSchemaSync({ datasource: 'demo' });
+    assert.equal(report.unchanged, 1);
+    assert.deepEqual(
+      [...report.added, ...reports[0].added].sort(),
+      DEMO_TABLES,
+    );
+    assert.deepEqual(syncedTables(), DEMO_TABLES);
+  });
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const fixtures = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'fixtures',
+);
+const dataDir = mkdtempSync(path.join(tmpdir(), 'token-usage-'));
+
+// Read when the modules load: the parser-only demo datasource, local key
+// and usage files and a fake LLM, so no database or API key is needed
+Object.assign(process.env, {
+  DATASOURCES_CONFIG: path.join(fixtures, 'datasources.json'),
+  POLICIES_CONFIG: path.join(dataDir, 'no-policies.json'),
+  API_KEYS_FILE: path.join(dataDir, 'api-keys.json'),
+  API_KEY_USAGE_FILE: path.join(dataDir, 'api-key-usage.json'),
+  HISTORY_STORE: 'local',
+  HISTORY_FILE: path.join(dataDir, 'history.jsonl'),
+  EMBEDDINGS_PROVIDER: 'fake',
+  LLM_PROVIDER: 'fake',
+  FAKE_LLM_DEFAULT_RESPONSE: 'SELECT name FROM public.users LIMIT 10',
+});
+const { default: express } = await import('express');
+const { default: router } = await import('../src/routes/api.js');
+const { createApiKey, findApiKey } = await import('../src/services/apiKeys.js');
+const { getQueryCache } = await import('../src/services/queryCache.js');
+const { tokenBudgetHeaders } = await import('../src/services/rateLimiter.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', router);
+  server = app.listen(0);
+  await new Promise(resolve => {
+    server.once('listening', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+const tokensUsed = apiKey =>
+  Number(tokenBudgetHeaders(findApiKey(apiKey))['X-Token-Budget-Used']);
+
+const generateSql = (apiKey, question) =>
+  fetch(`${baseUrl}/api/generate-sql`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+    body: JSON.stringify({ question, datasource: 'demo' }),
+  });
+
+describe('token budget', () => {
+  it('charges a generation that succeeds', async () => {
+    const { apiKey } = await createApiKey({ name: 'succeeds' });
+
+    const response = await generateSql(apiKey, 'List the user names');
+
+    assert.equal(response.status, 200);
+    assert.ok(tokensUsed(apiKey) > 0);
+    assert.equal(
+      response.headers.get('X-Token-Budget-Used'),
+      String(tokensUsed(apiKey)),
+    );
+  });
+
+  it('charges a request that fails after the model answered', async t => {
+    const { apiKey } = await createApiKey({ name: 'fails' });
+    t.mock.method(getQueryCache(), 'store', async () => {
+      throw new Error('cache unavailable');
+    });
+
+    const response = await generateSql(apiKey, 'List the user ids');
+
+    assert.equal(response.status, 500);
+    assert.ok(tokensUsed(apiKey) > 0);
+  });
+});